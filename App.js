@@ -1,9 +1,24 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { Alert } from 'react-native';
 import { ThemeProvider } from './context/ThemeContext';
 import RootNavigator from './navigation/RootNavigator';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
+import { initializeLibrary } from './utils/libraryManager';
+import { startProcessingQueue } from './utils/processingQueue';
 
 export default function App() {
+  // Migra bibliotecas de versões anteriores antes que as telas as leiam
+  // e só depois retoma a fila de processamento. Se a migração falhar, a
+  // biblioteca fica bloqueada e o usuário é avisado.
+  useEffect(() => {
+    initializeLibrary()
+      .then(startProcessingQueue)
+      .catch(e => Alert.alert(
+        "Erro na Biblioteca",
+        `${e.message}\n\nOs seus livros não foram alterados. Feche e abra o app para tentar de novo.`
+      ));
+  }, []);
+
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
       <ThemeProvider>
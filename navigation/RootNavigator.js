@@ -14,6 +14,7 @@ import PlayerScreen from '../screens/PlayerScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import AboutScreen from '../screens/AboutScreen';
 import StatsScreen from '../screens/StatsScreen'; 
+import SearchScreen from '../screens/SearchScreen';
 // NOVO: Importamos o ecrã de criação por voz
 import VoiceToPdfScreen from '../screens/VoiceToPdfScreen'; 
 
@@ -40,6 +41,7 @@ function LibraryStack() {
           headerBackTitleVisible: false,
         })}
       />
+      <Stack.Screen name="Search" component={SearchScreen} options={{ title: 'Buscar nos livros' }} />
     </Stack.Navigator>
   );
 }
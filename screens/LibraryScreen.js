@@ -1,21 +1,59 @@
 // /Front-and/screens/LibraryScreen.js
 
 import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
-import { StyleSheet, Text, View, TouchableOpacity, FlatList, Alert, ActivityIndicator, Image, SafeAreaView, Dimensions, Modal } from 'react-native';
+import { StyleSheet, Text, View, TouchableOpacity, FlatList, Alert, ActivityIndicator, Image, SafeAreaView, Dimensions, Modal, ScrollView, TextInput } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
-import axios from 'axios';
 import { useNavigation, useIsFocused } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../context/ThemeContext';
-import { loadLibrary, saveBook, removeBook, loadBookPages, appendPageData, updateBookStatus } from '../utils/libraryManager';
+import {
+    loadLibrary, removeBook, loadBookPages, loadStoredPageIndices,
+    loadShelves, createShelf, renameShelf, removeShelf, setBookShelf, setBookTags, setBookLanguage,
+} from '../utils/libraryManager';
+import { removeBookIndex } from '../utils/searchIndex';
+import { importDocument, findDuplicateBook, getFileSize, isTextBook, SUPPORTED_MIME_TYPES } from '../utils/bookImporter';
+import { subscribeToIncomingFiles } from '../utils/incomingFiles';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, getLanguageName } from '../utils/voiceManager';
+import {
+    subscribeToQueue, enqueueBook, pauseBook, resumeBook, cancelBook, prioritizeBook, forgetBook, retryFailedPages,
+} from '../utils/processingQueue';
 import LogoApp from '../assets/LogoApp.png';
-import * as FileSystem from 'expo-file-system';
 
-const API_BASE_URL = 'https://willianqf-audio-transcriber.hf.space';
-const cardColors = ['#2EC4B6', '#E71D36', '#FF9F1C', '#54478C', '#011627', '#20A4F3'];
+const MAX_FILE_SIZE_MB = 30;
+const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
+
+// Avisa e devolve true quando o arquivo passa do limite de tamanho
+const rejectLargeFile = async (file) => {
+    const size = await getFileSize(file);
+    if (!(size > MAX_FILE_SIZE_BYTES)) return false;
+    Alert.alert(
+        "Arquivo Muito Grande",
+        `O arquivo selecionado tem mais de ${MAX_FILE_SIZE_MB} MB e não pode ser processado. Por favor, escolha um arquivo menor.`,
+        [{ text: "OK" }]
+    );
+    return true;
+};
+
+// Pergunta o que fazer com um arquivo que já está na biblioteca.
+// Resolve com 'open', 'replace', 'keep' ou 'cancel'.
+const askDuplicateAction = (book) => new Promise(resolve => {
+    Alert.alert(
+        "Livro já está na biblioteca",
+        `"${book.nome_original}" já foi adicionado antes. O que deseja fazer?`,
+        [
+            { text: "Abrir existente", onPress: () => resolve('open') },
+            { text: "Substituir", style: "destructive", onPress: () => resolve('replace') },
+            { text: "Manter os dois", onPress: () => resolve('keep') },
+        ],
+        { cancelable: true, onDismiss: () => resolve('cancel') }
+    );
+});
 
-// Um objeto para controlar os processos em andamento e evitar múltiplas execuções para o mesmo livro
-const processingControl = {};
+const formatFileSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+const cardColors = ['#2EC4B6', '#E71D36', '#FF9F1C', '#54478C', '#011627', '#20A4F3'];
 
 const getInitials = (name) => {
     if (!name) return '??';
@@ -26,6 +64,86 @@ const getInitials = (name) => {
     return name.substring(0, 2).toUpperCase();
 };
 
+// Menu de ações em folha inferior. O Alert do Android mostra no máximo três
+// botões, então menus maiores usam esta lista. actions: [{ text, icon, style, onPress }]
+const ActionSheet = ({ title, actions, onClose, colors }) => (
+    <Modal transparent={true} animationType="slide" visible={!!title} onRequestClose={onClose}>
+        <View style={styles.sheetOverlay}>
+            <View style={[styles.sheetContainer, { backgroundColor: colors.card }]}>
+                <Text style={[styles.loadingTitle, { color: colors.text }]} numberOfLines={2}>{title}</Text>
+                <ScrollView style={styles.shelfPickerList}>
+                    {actions.map(action => {
+                        const color = action.style === 'destructive' ? '#E71D36' : colors.text;
+                        return (
+                            <TouchableOpacity
+                                key={action.text}
+                                style={styles.shelfPickerItem}
+                                onPress={() => {
+                                    onClose();
+                                    action.onPress();
+                                }}
+                            >
+                                <Ionicons name={action.icon} size={20} color={action.style === 'destructive' ? color : colors.primary} />
+                                <Text style={[styles.shelfPickerText, { color }]}>{action.text}</Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+                <TouchableOpacity onPress={onClose} style={styles.promptButton}>
+                    <Text style={{ color: colors.text }}>Cancelar</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    </Modal>
+);
+
+// Modal simples com um campo de texto, usado para nomear estantes e editar tags
+const PromptModal = ({ visible, title, placeholder, initialValue, onCancel, onSubmit, colors }) => {
+    const [value, setValue] = useState(initialValue || '');
+
+    useEffect(() => {
+        if (visible) setValue(initialValue || '');
+    }, [visible, initialValue]);
+
+    return (
+        <Modal transparent={true} animationType="fade" visible={visible} onRequestClose={onCancel}>
+            <View style={styles.loadingOverlay}>
+                <View style={[styles.promptContainer, { backgroundColor: colors.card }]}>
+                    <Text style={[styles.loadingTitle, { color: colors.text }]}>{title}</Text>
+                    <TextInput
+                        style={[styles.promptInput, { color: colors.text, borderColor: colors.subtext }]}
+                        value={value}
+                        onChangeText={setValue}
+                        placeholder={placeholder}
+                        placeholderTextColor={colors.subtext}
+                        autoFocus
+                    />
+                    <View style={styles.promptButtons}>
+                        <TouchableOpacity onPress={onCancel} style={styles.promptButton}>
+                            <Text style={{ color: colors.text }}>Cancelar</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => onSubmit(value)} style={[styles.promptButton, { backgroundColor: colors.primary }]}>
+                            <Text style={styles.promptButtonTextActive}>Salvar</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+// Botão arredondado usado nos filtros de estante e tag
+const FilterChip = ({ label, active, onPress, onLongPress, colors, icon }) => (
+    <TouchableOpacity
+        onPress={onPress}
+        onLongPress={onLongPress}
+        style={[styles.chip, { borderColor: active ? colors.primary : colors.subtext }, active && { backgroundColor: colors.primary }]}
+    >
+        {icon && <Ionicons name={icon} size={14} color={active ? '#fff' : colors.text} style={styles.chipIcon} />}
+        <Text style={[styles.chipText, { color: active ? '#fff' : colors.text }]}>{label}</Text>
+    </TouchableOpacity>
+);
+
 export default function LibraryScreen() {
     const navigation = useNavigation();
     const isFocused = useIsFocused();
@@ -34,28 +152,34 @@ export default function LibraryScreen() {
     const [library, setLibrary] = useState([]);
     const [isUploading, setIsUploading] = useState(false);
     const [progress, setProgress] = useState({});
-
-    const isAnyBookProcessing = library.some(book => book.status === 'processing');
-    const isButtonDisabled = isUploading || isAnyBookProcessing;
+    const [shelves, setShelves] = useState([]);
+    const [selectedShelfId, setSelectedShelfId] = useState(null); // null = todas as estantes
+    const [selectedTags, setSelectedTags] = useState([]);
+    const [shelfPickerBook, setShelfPickerBook] = useState(null);
+    const [languagePickerBook, setLanguagePickerBook] = useState(null);
+    const [actionsBook, setActionsBook] = useState(null); // livro com o menu de ações aberto
+    // { type: 'newShelf' | 'renameShelf' | 'tags', shelf?, book? }
+    const [prompt, setPrompt] = useState(null);
+    const [queue, setQueue] = useState({ order: [], activeBookId: null });
+    const [incomingFile, setIncomingFile] = useState(null);
+    const [incomingShelfId, setIncomingShelfId] = useState(null);
+
+    // Novos envios entram na fila mesmo com outro livro em processamento
+    const isButtonDisabled = isUploading;
 
     const loadBooksFromStorage = useCallback(async () => {
         const books = await loadLibrary();
         setLibrary(books);
+        setShelves(await loadShelves());
 
         const initialProgress = {};
         for (const book of books) {
-            if (book.status === 'processing' || book.status === 'ready') {
-                const pages = await loadBookPages(book.id_arquivo);
-                const pageCount = pages?.length || 0;
-                if (book.total_paginas > 0) {
-                    initialProgress[book.id_arquivo] = pageCount / book.total_paginas;
-                }
-                if (book.status === 'processing' && pageCount === book.total_paginas) {
-                    await updateBookStatus(book.id_arquivo, 'ready');
-                }
+            if (book.status !== 'failed' && book.total_paginas > 0) {
+                const storedPages = await loadStoredPageIndices(book.id_arquivo);
+                initialProgress[book.id_arquivo] = storedPages.length / book.total_paginas;
             }
         }
-        setProgress(initialProgress);
+        setProgress(prev => ({ ...initialProgress, ...prev }));
     }, []);
 
     useEffect(() => {
@@ -64,160 +188,120 @@ export default function LibraryScreen() {
         }
     }, [isFocused, loadBooksFromStorage]);
 
-    const processBookPages = useCallback(async (bookInfo) => {
-        if (processingControl[bookInfo.id_arquivo]) {
-            return;
-        }
-        processingControl[bookInfo.id_arquivo] = true;
-        console.log(`Iniciando processamento para: ${bookInfo.nome_original}`);
-
-        const processPage = async (pageNumber) => {
-            if (pageNumber > bookInfo.total_paginas) {
-                await updateBookStatus(bookInfo.id_arquivo, 'ready');
-                console.log(`Livro ${bookInfo.nome_original} processado com sucesso!`);
-                delete processingControl[bookInfo.id_arquivo];
-                loadBooksFromStorage();
-                return;
-            }
-
-            const currentLibrary = await loadLibrary();
-            if (!currentLibrary.some(b => b.id_arquivo === bookInfo.id_arquivo)) {
-                console.log(`Processamento cancelado para ${bookInfo.nome_original}, livro removido.`);
-                delete processingControl[bookInfo.id_arquivo];
-                return;
-            }
-
-            try {
-                const response = await axios.post(`${API_BASE_URL}/obter_dados_pagina`, {
-                    id_arquivo: bookInfo.id_arquivo,
-                    numero_pagina: pageNumber
-                }, { timeout: 60000 });
-
-                if (response.data && response.data.status === 'sucesso') {
-                    const pageData = response.data.dados;
-
-                    if (pageNumber === 1 && pageData.idioma && !pageData.idioma.startsWith('pt')) {
-                        Alert.alert(
-                            "Idioma Diferente Detectado",
-                            `Este livro parece não estar em português (detectado: ${pageData.idioma}). A leitura em voz alta pode não funcionar como esperado.`,
-                            [{ text: "OK" }]
-                        );
-                    }
-
-                    const processedCount = await appendPageData(bookInfo.id_arquivo, pageData);
-
-                    setProgress(prev => ({
-                        ...prev,
-                        [bookInfo.id_arquivo]: processedCount / bookInfo.total_paginas
-                    }));
+    // A fila roda fora da tela; aqui só acompanhamos o andamento
+    useEffect(() => {
+        return subscribeToQueue((state, event) => {
+            setQueue(state);
+            setProgress(prev => ({ ...prev, ...state.progress }));
+            if (event === 'status') loadBooksFromStorage();
+        });
+    }, [loadBooksFromStorage]);
 
-                    setTimeout(() => processPage(pageNumber + 1), 10);
+    const deleteBook = async (bookId) => {
+        await forgetBook(bookId);
+        await removeBook(bookId);
+        await removeBookIndex(bookId);
+        setProgress(prev => {
+            const newProgress = { ...prev };
+            delete newProgress[bookId];
+            return newProgress;
+        });
+    };
 
-                } else {
-                    throw new Error(`Resposta inválida para a página ${pageNumber}.`);
+    // Caminho comum do seletor e dos arquivos abertos de outros apps
+    const importFile = async (file, shelfId = null) => {
+        setIsUploading(true);
+        try {
+            // O mesmo arquivo escolhido de novo não é enviado sem perguntar
+            const { contentHash, fileSize, duplicate } = await findDuplicateBook(file);
+            let replacedBook = null;
+            if (duplicate) {
+                setIsUploading(false);
+                const action = await askDuplicateAction(duplicate);
+                if (action === 'open') {
+                    handlePressBook(duplicate);
+                    return;
                 }
-
-            } catch (error) {
-                console.error(`Erro ao processar página ${pageNumber}:`, error);
-                await updateBookStatus(bookInfo.id_arquivo, 'failed');
-                delete processingControl[bookInfo.id_arquivo];
-                loadBooksFromStorage();
+                if (action === 'cancel') return;
+                if (action === 'replace') replacedBook = duplicate;
+                setIsUploading(true);
             }
-        };
-
-        const existingPages = await loadBookPages(bookInfo.id_arquivo);
-        const startPage = (existingPages?.length || 0) + 1;
-        processPage(startPage);
-
-    }, [loadBooksFromStorage]);
 
-    useEffect(() => {
-        const pendingBook = library.find(book => book.status === 'processing');
-        if (pendingBook && !processingControl[pendingBook.id_arquivo]) {
-            processBookPages(pendingBook);
+            // Ao substituir, o novo livro fica na estante do antigo
+            const book = await importDocument(file, { shelfId: shelfId || replacedBook?.shelfId, contentHash, fileSize });
+            // O antigo só sai depois que o novo foi importado
+            if (replacedBook) await deleteBook(replacedBook.id_arquivo);
+            if (isTextBook(book)) {
+                // EPUB, TXT e Markdown já chegam com todas as páginas
+                await loadBooksFromStorage();
+            } else {
+                setProgress(prev => ({ ...prev, [book.id_arquivo]: 0 }));
+                await enqueueBook(book.id_arquivo);
+            }
+        } catch (error) {
+            console.error("Erro ao adicionar o documento:", error);
+            Alert.alert("Erro", error.message || "Não foi possível adicionar o livro. Tente novamente.");
+        } finally {
+            setIsUploading(false);
         }
-    }, [library, processBookPages]);
+    };
 
     const handleDocumentPick = async () => {
         try {
-            const result = await DocumentPicker.getDocumentAsync({ type: 'application/pdf', copyToCacheDirectory: true });
+            const result = await DocumentPicker.getDocumentAsync({ type: SUPPORTED_MIME_TYPES, copyToCacheDirectory: true });
             if (result.canceled) return;
 
             const file = result.assets[0];
-
-            // --- NOVO: Verificação do tamanho do arquivo ---
-            const MAX_FILE_SIZE_MB = 30;
-            const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
-
-            if (file.size > MAX_FILE_SIZE_BYTES) {
-                Alert.alert(
-                    "Arquivo Muito Grande",
-                    `O arquivo selecionado tem mais de ${MAX_FILE_SIZE_MB} MB e não pode ser processado. Por favor, escolha um arquivo menor.`,
-                    [{ text: "OK" }]
-                );
-                return; // Interrompe a execução
-            }
-            // --- FIM DA VERIFICAÇÃO ---
-
-            setIsUploading(true);
-
-            const formData = new FormData();
-            formData.append('file', { uri: file.uri, name: file.name, type: 'application/pdf' });
-
-            try {
-                const response = await axios.post(`${API_BASE_URL}/iniciar_processamento`, formData, {
-                    headers: { 'Content-Type': 'multipart/form-data' },
-                });
-
-                const bookInfo = response.data;
-                if (bookInfo.nome_original) {
-                    bookInfo.nome_original = decodeURIComponent(bookInfo.nome_original);
-                }
-                const permanentUri = `${FileSystem.documentDirectory}${bookInfo.id_arquivo}`;
-                await FileSystem.copyAsync({ from: file.uri, to: permanentUri });
-                console.log(`PDF copiado para o armazenamento local: ${permanentUri}`);
-
-                const bookToProcess = { ...bookInfo, localUri: permanentUri };
-                await saveBook(bookToProcess);
-                setProgress(prev => ({ ...prev, [bookInfo.id_arquivo]: 0 }));
-                loadBooksFromStorage();
-            } catch (error) {
-                console.error("Erro ao escolher o documento:", error);
-                Alert.alert("Erro", "Não foi possível iniciar o processamento do PDF. Tente novamente.");
-            } finally {
-                setIsUploading(false);
-            }
+            if (await rejectLargeFile(file)) return;
+            await importFile(file);
         } catch (error) {
             console.error("Erro no DocumentPicker:", error);
             setIsUploading(false);
         }
     };
 
+    // Arquivos abertos com o app: confirma e escolhe a estante antes de importar
+    useEffect(() => {
+        return subscribeToIncomingFiles(async (file) => {
+            if (await rejectLargeFile(file)) return;
+            navigation.navigate('Biblioteca', { screen: 'LibraryHome' });
+            setIncomingFile(file);
+            setIncomingShelfId(null);
+        });
+    }, [navigation]);
+
+    const handleConfirmIncoming = () => {
+        const file = incomingFile;
+        setIncomingFile(null);
+        if (file) importFile(file, incomingShelfId);
+    };
+
     const handlePressBook = async (item) => {
         if (isUploading) return;
 
         if (item.status === 'failed') {
-            Alert.alert("Falha no Processamento", "Deseja tentar novamente?",
+            const reason = item.processingError ? `${item.processingError}\n\n` : '';
+            Alert.alert("Falha no Processamento", `${reason}Deseja tentar novamente?`,
                 [
                     { text: 'Cancelar', style: 'cancel' },
-                    {
-                        text: 'Tentar Novamente', onPress: async () => {
-                            await updateBookStatus(item.id_arquivo, 'processing');
-                            loadBooksFromStorage();
-                        }
-                    },
+                    { text: 'Tentar Novamente', onPress: () => retryFailedPages(item.id_arquivo) },
                 ]
             );
             return;
         }
 
-        if (item.status === 'ready' || item.status === 'processing') {
-            const pagesData = await loadBookPages(item.id_arquivo);
-            if (pagesData && pagesData.length > 0) {
-                navigation.navigate('Player', { bookInfo: { ...item, pagesData } });
-            } else {
-                Alert.alert("Aguarde um instante...", "O livro está sendo preparado. A primeira página estará disponível em breve.");
-            }
+        const pagesData = await loadBookPages(item.id_arquivo);
+        if (pagesData && pagesData.length > 0) {
+            navigation.navigate('Player', { bookInfo: { ...item, pagesData } });
+        } else if (item.status === 'canceled') {
+            Alert.alert("Processamento Cancelado", "Nenhuma página foi processada. Deseja retomar o processamento?",
+                [
+                    { text: 'Cancelar', style: 'cancel' },
+                    { text: 'Retomar', onPress: () => enqueueBook(item.id_arquivo) },
+                ]
+            );
+        } else {
+            Alert.alert("Aguarde um instante...", "O livro está sendo preparado. A primeira página estará disponível em breve.");
         }
     };
 
@@ -227,13 +311,7 @@ export default function LibraryScreen() {
                 { text: "Cancelar", style: "cancel" },
                 {
                     text: "Remover", style: "destructive", onPress: async () => {
-                        delete processingControl[bookId];
-                        await removeBook(bookId);
-                        setProgress(prev => {
-                            const newProgress = { ...prev };
-                            delete newProgress[bookId];
-                            return newProgress;
-                        });
+                        await deleteBook(bookId);
                         loadBooksFromStorage();
                     }
                 },
@@ -241,6 +319,106 @@ export default function LibraryScreen() {
         );
     };
 
+    const getFailedPageCount = (item) => Object.keys(item.failedPages || {}).length;
+
+    // Opções da fila, conforme a situação do livro
+    const getQueueActions = (item) => {
+        if (item.status === 'canceled') {
+            return [{ text: "Retomar processamento", icon: 'play-outline', onPress: () => enqueueBook(item.id_arquivo) }];
+        }
+        if (item.status === 'ready' && getFailedPageCount(item) > 0) {
+            return [{ text: "Tentar páginas com falha", icon: 'refresh-outline', onPress: () => retryFailedPages(item.id_arquivo) }];
+        }
+        if (item.status !== 'processing' && item.status !== 'paused') return [];
+
+        const actions = [item.status === 'paused'
+            ? { text: "Retomar processamento", icon: 'play-outline', onPress: () => resumeBook(item.id_arquivo) }
+            : { text: "Pausar processamento", icon: 'pause-outline', onPress: () => pauseBook(item.id_arquivo) }];
+        if (queue.order[0] !== item.id_arquivo) {
+            actions.push({ text: "Processar primeiro", icon: 'arrow-up-outline', onPress: () => prioritizeBook(item.id_arquivo) });
+        }
+        actions.push({ text: "Cancelar processamento", icon: 'stop-circle-outline', style: "destructive", onPress: () => cancelBook(item.id_arquivo) });
+        return actions;
+    };
+
+    // Menu do cartão (toque longo): fila, mover de estante, editar tags, idioma ou remover
+    const getBookActions = (item) => [
+        ...getQueueActions(item),
+        { text: "Mover para estante", icon: 'folder-outline', onPress: () => setShelfPickerBook(item) },
+        { text: "Editar tags", icon: 'pricetags-outline', onPress: () => setPrompt({ type: 'tags', book: item }) },
+        { text: "Idioma da leitura", icon: 'language-outline', onPress: () => setLanguagePickerBook(item) },
+        { text: "Remover", icon: 'trash-outline', style: "destructive", onPress: () => handleRemoveBook(item.id_arquivo) },
+    ];
+
+    const handleMoveToShelf = async (shelfId) => {
+        const book = shelfPickerBook;
+        setShelfPickerBook(null);
+        if (!book) return;
+        await setBookShelf(book.id_arquivo, shelfId);
+        loadBooksFromStorage();
+    };
+
+    // null volta ao idioma detectado nas páginas
+    const handleSetLanguage = async (language) => {
+        const book = languagePickerBook;
+        setLanguagePickerBook(null);
+        if (!book) return;
+        await setBookLanguage(book.id_arquivo, language);
+        loadBooksFromStorage();
+    };
+
+    const handleShelfActions = (shelf) => {
+        Alert.alert(shelf.name, null,
+            [
+                { text: "Renomear", onPress: () => setPrompt({ type: 'renameShelf', shelf }) },
+                {
+                    text: "Excluir estante", style: "destructive", onPress: async () => {
+                        await removeShelf(shelf.id);
+                        if (selectedShelfId === shelf.id) setSelectedShelfId(null);
+                        loadBooksFromStorage();
+                    }
+                },
+                { text: "Cancelar", style: "cancel" },
+            ],
+            { cancelable: true }
+        );
+    };
+
+    const handlePromptSubmit = async (value) => {
+        const current = prompt;
+        setPrompt(null);
+        if (!current) return;
+
+        if (current.type === 'tags') {
+            await setBookTags(current.book.id_arquivo, value.split(','));
+        } else if (!value.trim()) {
+            return;
+        } else if (current.type === 'newShelf') {
+            const shelf = await createShelf(value);
+            if (shelf) setSelectedShelfId(shelf.id);
+        } else if (current.type === 'renameShelf') {
+            await renameShelf(current.shelf.id, value);
+        }
+        loadBooksFromStorage();
+    };
+
+    const toggleTagFilter = (tag) => {
+        setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+    };
+
+    const allTags = [...new Set(library.flatMap(book => book.tags || []))].sort();
+    const visibleBooks = library.filter(book =>
+        (!selectedShelfId || book.shelfId === selectedShelfId) &&
+        selectedTags.every(tag => (book.tags || []).includes(tag))
+    );
+    const isFiltering = !!selectedShelfId || selectedTags.length > 0;
+
+    const promptTitles = {
+        newShelf: "Nova Estante",
+        renameShelf: "Renomear Estante",
+        tags: "Tags (separadas por vírgula)",
+    };
+
     return (
         <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
             <Modal transparent={true} animationType="fade" visible={isUploading}>
@@ -254,37 +432,185 @@ export default function LibraryScreen() {
                     </View>
                 </View>
             </Modal>
+            <PromptModal
+                visible={!!prompt}
+                title={prompt ? promptTitles[prompt.type] : ''}
+                placeholder={prompt?.type === 'tags' ? 'ex: artigos, faculdade' : 'Nome da estante'}
+                initialValue={prompt?.type === 'tags' ? (prompt.book.tags || []).join(', ') : prompt?.shelf?.name}
+                onCancel={() => setPrompt(null)}
+                onSubmit={handlePromptSubmit}
+                colors={colors}
+            />
+            <ActionSheet
+                title={actionsBook?.nome_original}
+                actions={actionsBook ? getBookActions(actionsBook) : []}
+                onClose={() => setActionsBook(null)}
+                colors={colors}
+            />
+            <Modal transparent={true} animationType="fade" visible={!!shelfPickerBook} onRequestClose={() => setShelfPickerBook(null)}>
+                <View style={styles.loadingOverlay}>
+                    <View style={[styles.promptContainer, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.loadingTitle, { color: colors.text }]}>Mover para estante</Text>
+                        <ScrollView style={styles.shelfPickerList}>
+                            {[{ id: null, name: 'Sem estante' }, ...shelves].map(shelf => (
+                                <TouchableOpacity key={shelf.id || 'none'} style={styles.shelfPickerItem} onPress={() => handleMoveToShelf(shelf.id)}>
+                                    <Ionicons
+                                        name={shelfPickerBook?.shelfId === shelf.id || (!shelfPickerBook?.shelfId && !shelf.id) ? 'radio-button-on' : 'radio-button-off'}
+                                        size={20}
+                                        color={colors.primary}
+                                    />
+                                    <Text style={[styles.shelfPickerText, { color: colors.text }]}>{shelf.name}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </ScrollView>
+                        <TouchableOpacity onPress={() => setShelfPickerBook(null)} style={styles.promptButton}>
+                            <Text style={{ color: colors.text }}>Cancelar</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </Modal>
+            <Modal transparent={true} animationType="fade" visible={!!languagePickerBook} onRequestClose={() => setLanguagePickerBook(null)}>
+                <View style={styles.loadingOverlay}>
+                    <View style={[styles.promptContainer, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.loadingTitle, { color: colors.text }]}>Idioma da leitura</Text>
+                        <ScrollView style={styles.shelfPickerList}>
+                            {[null, ...SUPPORTED_LANGUAGES].map(language => (
+                                <TouchableOpacity key={language || 'auto'} style={styles.shelfPickerItem} onPress={() => handleSetLanguage(language)}>
+                                    <Ionicons
+                                        name={(languagePickerBook?.language || null) === language ? 'radio-button-on' : 'radio-button-off'}
+                                        size={20}
+                                        color={colors.primary}
+                                    />
+                                    <Text style={[styles.shelfPickerText, { color: colors.text }]}>
+                                        {language
+                                            ? getLanguageName(language)
+                                            : `Automático (${getLanguageName(languagePickerBook?.detectedLanguage || DEFAULT_LANGUAGE)})`}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </ScrollView>
+                        <TouchableOpacity onPress={() => setLanguagePickerBook(null)} style={styles.promptButton}>
+                            <Text style={{ color: colors.text }}>Cancelar</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </Modal>
+            <Modal transparent={true} animationType="slide" visible={!!incomingFile} onRequestClose={() => setIncomingFile(null)}>
+                <View style={styles.sheetOverlay}>
+                    <View style={[styles.sheetContainer, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.loadingTitle, { color: colors.text }]}>Adicionar à biblioteca</Text>
+                        <View style={styles.incomingFileRow}>
+                            <Ionicons name="document-text-outline" size={28} color={colors.primary} />
+                            <View style={styles.incomingFileInfo}>
+                                <Text style={[styles.incomingFileName, { color: colors.text }]} numberOfLines={2}>{incomingFile?.name}</Text>
+                                {incomingFile?.size ? (
+                                    <Text style={{ color: colors.subtext }}>{formatFileSize(incomingFile.size)}</Text>
+                                ) : null}
+                            </View>
+                        </View>
+                        <Text style={[styles.sheetLabel, { color: colors.subtext }]}>Estante</Text>
+                        <ScrollView style={styles.shelfPickerList}>
+                            {[{ id: null, name: 'Sem estante' }, ...shelves].map(shelf => (
+                                <TouchableOpacity key={shelf.id || 'none'} style={styles.shelfPickerItem} onPress={() => setIncomingShelfId(shelf.id)}>
+                                    <Ionicons
+                                        name={incomingShelfId === shelf.id ? 'radio-button-on' : 'radio-button-off'}
+                                        size={20}
+                                        color={colors.primary}
+                                    />
+                                    <Text style={[styles.shelfPickerText, { color: colors.text }]}>{shelf.name}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </ScrollView>
+                        <View style={styles.promptButtons}>
+                            <TouchableOpacity onPress={() => setIncomingFile(null)} style={styles.promptButton}>
+                                <Text style={{ color: colors.text }}>Cancelar</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity onPress={handleConfirmIncoming} style={[styles.promptButton, { backgroundColor: colors.primary }]}>
+                                <Text style={styles.promptButtonTextActive}>Adicionar</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
             <View style={styles.header}>
                 <Image source={LogoApp} style={styles.logo} />
+                <TouchableOpacity style={styles.searchButton} onPress={() => navigation.navigate('Search')}>
+                    <Ionicons name="search" size={26} color={colors.text} />
+                </TouchableOpacity>
             </View>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow} contentContainerStyle={styles.chipRowContent}>
+                <FilterChip label="Todas" active={!selectedShelfId} onPress={() => setSelectedShelfId(null)} colors={colors} />
+                {shelves.map(shelf => (
+                    <FilterChip
+                        key={shelf.id}
+                        label={shelf.name}
+                        icon="folder-outline"
+                        active={selectedShelfId === shelf.id}
+                        onPress={() => setSelectedShelfId(shelf.id)}
+                        onLongPress={() => handleShelfActions(shelf)}
+                        colors={colors}
+                    />
+                ))}
+                <FilterChip label="Estante" icon="add" active={false} onPress={() => setPrompt({ type: 'newShelf' })} colors={colors} />
+            </ScrollView>
+            {allTags.length > 0 && (
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow} contentContainerStyle={styles.chipRowContent}>
+                    {allTags.map(tag => (
+                        <FilterChip
+                            key={tag}
+                            label={`#${tag}`}
+                            active={selectedTags.includes(tag)}
+                            onPress={() => toggleTagFilter(tag)}
+                            colors={colors}
+                        />
+                    ))}
+                </ScrollView>
+            )}
             <FlatList
-                data={library}
+                data={visibleBooks}
                 keyExtractor={(item) => item.id_arquivo}
                 numColumns={2}
                 ListEmptyComponent={() => (
-                    !isButtonDisabled && (
+                    isFiltering && library.length > 0 ? (
+                        <View style={styles.emptyContainer}>
+                            <Ionicons name="funnel-outline" size={64} color={colors.subtext} />
+                            <Text style={[styles.emptyText, { color: colors.text }]}>Nenhum livro aqui</Text>
+                            <Text style={[styles.emptySubText, { color: colors.subtext }]}>Segure um livro e escolha "Mover para estante" ou "Editar tags".</Text>
+                        </View>
+                    ) : !isButtonDisabled && (
                         <View style={styles.emptyContainer}>
                             <Ionicons name="library-outline" size={64} color={colors.subtext} />
                             <Text style={[styles.emptyText, { color: colors.text }]}>A sua estante está vazia</Text>
-                            <Text style={[styles.emptySubText, { color: colors.subtext }]}>Toque em '+' para adicionar um PDF e começar a ouvir.</Text>
+                            <Text style={[styles.emptySubText, { color: colors.subtext }]}>Toque em '+' para adicionar um PDF, EPUB ou texto e começar a ouvir.</Text>
                         </View>
                     )
                 )}
                 renderItem={({ item, index }) => {
                     const currentProgress = progress[item.id_arquivo] || 0;
+                    const queuePosition = queue.order.indexOf(item.id_arquivo);
+                    const isWaiting = item.status === 'processing' && queue.activeBookId !== item.id_arquivo;
+                    const failedPageCount = getFailedPageCount(item);
                     return (
                         <TouchableOpacity
                             style={styles.bookItem}
                             onPress={() => handlePressBook(item)}
-                            onLongPress={() => handleRemoveBook(item.id_arquivo)}
+                            onLongPress={() => setActionsBook(item)}
                             disabled={isUploading}
                         >
                             <View style={[styles.card, { backgroundColor: cardColors[index % cardColors.length] }]}>
-                                {item.status === 'processing' ? (
+                                {item.status === 'processing' || item.status === 'paused' ? (
                                     <View style={styles.centered}>
-                                        <ActivityIndicator color="#fff" />
+                                        {item.status === 'paused' ? (
+                                            <Ionicons name="pause-circle-outline" size={40} color="#fff" />
+                                        ) : isWaiting ? (
+                                            <Ionicons name="hourglass-outline" size={36} color="#fff" />
+                                        ) : (
+                                            <ActivityIndicator color="#fff" />
+                                        )}
                                         <Text style={styles.progressText}>{(currentProgress * 100).toFixed(0)}%</Text>
                                     </View>
+                                ) : item.status === 'canceled' ? (
+                                    <Ionicons name="close-circle-outline" size={48} color="#fff" />
                                 ) : item.status === 'failed' ? (
                                     <Ionicons name="alert-circle-outline" size={48} color="#fff" />
                                 ) : (
@@ -294,7 +620,20 @@ export default function LibraryScreen() {
                             <Text style={[styles.bookTitle, { color: colors.text }]} numberOfLines={2}>
                                 {item.nome_original}
                             </Text>
+                            {item.tags?.length > 0 && (
+                                <Text style={[styles.bookTags, { color: colors.subtext }]} numberOfLines={1}>
+                                    {item.tags.map(tag => `#${tag}`).join(' ')}
+                                </Text>
+                            )}
                             {item.status === 'failed' && <Text style={{ color: '#E71D36' }}>Falhou</Text>}
+                            {failedPageCount > 0 && item.status !== 'failed' && (
+                                <Text style={[styles.queueText, { color: '#E71D36' }]}>{failedPageCount} pág. com falha</Text>
+                            )}
+                            {item.status === 'paused' && <Text style={[styles.queueText, { color: colors.subtext }]}>Pausado</Text>}
+                            {item.status === 'canceled' && <Text style={[styles.queueText, { color: colors.subtext }]}>Processamento cancelado</Text>}
+                            {isWaiting && queuePosition >= 0 && (
+                                <Text style={[styles.queueText, { color: colors.subtext }]}>Na fila ({queuePosition + 1}º)</Text>
+                            )}
                         </TouchableOpacity>
                     )
                 }}
@@ -317,8 +656,14 @@ const cardSize = (width / 2) - 30;
 const styles = StyleSheet.create({
     container: { flex: 1 },
     centered: { justifyContent: 'center', alignItems: 'center' },
-    header: { paddingTop: 25, paddingBottom: 20, alignItems: 'center' },
+    header: { paddingTop: 25, paddingBottom: 10, alignItems: 'center' },
+    chipRow: { flexGrow: 0, marginBottom: 8 },
+    chipRowContent: { paddingHorizontal: 15 },
+    chip: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, marginRight: 8 },
+    chipIcon: { marginRight: 4 },
+    chipText: { fontSize: 13, fontWeight: '500' },
     logo: { width: 120, height: 120, resizeMode: 'contain' },
+    searchButton: { position: 'absolute', top: 25, right: 20, padding: 5 },
     emptyContainer: { height: Dimensions.get('window').height * 0.6, justifyContent: 'center', alignItems: 'center', padding: 40 },
     emptyText: { fontSize: 18, fontWeight: 'bold', marginTop: 16, textAlign: 'center' },
     emptySubText: { fontSize: 15, marginTop: 8, textAlign: 'center' },
@@ -338,7 +683,9 @@ const styles = StyleSheet.create({
     },
     cardInitials: { fontSize: 48, fontWeight: 'bold', color: '#fff' },
     bookTitle: { marginTop: 10, fontSize: 14, fontWeight: '500', textAlign: 'center', width: cardSize },
+    bookTags: { marginTop: 2, fontSize: 12, textAlign: 'center', width: cardSize },
     progressText: { color: '#fff', marginTop: 8, fontWeight: 'bold' },
+    queueText: { fontSize: 12, marginTop: 2 },
     addButton: {
         position: 'absolute',
         bottom: 30,
@@ -377,4 +724,75 @@ const styles = StyleSheet.create({
         fontSize: 14,
         textAlign: 'center',
     },
+    promptContainer: {
+        width: '85%',
+        maxHeight: '70%',
+        padding: 20,
+        borderRadius: 20,
+        elevation: 10,
+    },
+    promptInput: {
+        borderWidth: 1,
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 16,
+        marginBottom: 20,
+    },
+    promptButtons: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+    },
+    promptButton: {
+        paddingVertical: 10,
+        paddingHorizontal: 20,
+        borderRadius: 8,
+        marginLeft: 10,
+        alignSelf: 'flex-end',
+    },
+    promptButtonTextActive: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    shelfPickerList: {
+        marginBottom: 10,
+    },
+    shelfPickerItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    shelfPickerText: {
+        fontSize: 16,
+        marginLeft: 12,
+    },
+    sheetOverlay: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    },
+    sheetContainer: {
+        maxHeight: '80%',
+        padding: 20,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        elevation: 10,
+    },
+    sheetLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        marginTop: 10,
+    },
+    incomingFileRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    incomingFileInfo: {
+        flex: 1,
+        marginLeft: 12,
+    },
+    incomingFileName: {
+        fontSize: 16,
+        fontWeight: '500',
+    },
 });
\ No newline at end of file
@@ -1,14 +1,24 @@
 import React, { useState, useEffect, useContext, useCallback, useRef, useMemo } from 'react';
 import {
     StyleSheet, Text, View, TouchableOpacity, ScrollView,
-    ActivityIndicator, Modal, TextInput, KeyboardAvoidingView, Platform, Image
+    ActivityIndicator, Modal, TextInput, KeyboardAvoidingView, Platform, Image, Alert
 } from 'react-native';
-import * as Speech from 'expo-speech';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../context/ThemeContext';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
-import { updateBookState, addBookmark, removeBookmark, saveAnnotation, removeAnnotation, loadLibrary } from '../utils/libraryManager';
+import {
+    updateBookState, addBookmark, renameBookmark, removeBookmark, addAnnotation, updateAnnotation, removeAnnotation,
+    addHighlight, updateHighlightColor, removeHighlights, loadBook, loadPageData, loadStoredPageIndices, setDetectedLanguage,
+} from '../utils/libraryManager';
+import { subscribeToQueue } from '../utils/processingQueue';
+import { toPagePoint, findWordAtPoint } from '../utils/wordGeometry';
+import { findInPages, buildSnippet, splitWords } from '../utils/textUtils';
+import { isTextBook } from '../utils/bookImporter';
+import { getBookLanguage, resolveVoice } from '../utils/voiceManager';
+import { loadPronunciations } from '../utils/textNormalizer';
+import {
+    speakPage, stopSpeaking, updateSpeechOptions, findSkipTarget, setLastPageIndex, stopAfterCurrentSentence,
+} from '../utils/speechEngine';
 
 import { GestureDetector, Gesture } from 'react-native-gesture-handler';
 import Animated, { useSharedValue, useAnimatedStyle, withSpring, runOnJS } from 'react-native-reanimated';
@@ -24,15 +34,103 @@ try {
     pdfAvailable = false;
 }
 
-const HighlightedText = ({ text, currentWordIndex, colors }) => {
+// Cores usadas para marcar ocorrências de uma busca (a selecionada fica mais forte)
+const SEARCH_HIGHLIGHT_COLOR = '#FFD54F';
+const ACTIVE_SEARCH_HIGHLIGHT_COLOR = '#FF9800';
+const FIND_DELAY = 300; // ms sem digitar antes de procurar no livro
+const SLEEP_TIMER_MINUTES = [15, 30, 45, 60];
+
+const formatRemainingTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.max(seconds, 0) % 60).padStart(2, '0')}`;
+
+// Última página do capítulo que contém pageIndex (book.chapters dos livros de texto)
+const getChapterLastPage = (chapters, pageIndex, totalPages) => {
+    const nextChapter = (chapters || []).find(chapter => chapter.pageIndex > pageIndex);
+    return nextChapter ? nextChapter.pageIndex - 1 : totalPages - 1;
+};
+
+const isWordInMatches = (index, matches) =>
+    matches.some(match => index >= match.wordIndex && index < match.wordIndex + match.wordCount);
+
+const NOTE_COLOR = '#4CAF50';
+// Cores do marca-texto
+const HIGHLIGHT_COLORS = ['#FFEB3B', '#A5D6A7', '#81D4FA', '#F48FB1', '#FFCC80'];
+const SELECTION_LONG_PRESS = 400; // ms segurando antes de começar a selecionar
+const SELECTION_TOLERANCE = 12; // dp de folga ao procurar a palavra sob o dedo
+
+// Vale para anotações, destaques e seleção ({ startWord, endWord } inclusivos)
+const isWordInNotes = (index, notes) => notes.some(note => index >= note.startWord && index <= note.endWord);
+const findRangeAt = (index, ranges) => ranges.find(range => index >= range.startWord && index <= range.endWord);
+
+const HighlightedText = ({
+    text, currentWordIndex, colors, searchMatches = [], activeMatch = null, notes = [], onPressNote,
+    highlights = [], selection = null, onLongPressWord, onPressWord, heading = null,
+}) => {
     const words = text ? text.split(/\s+/) : [];
+
+    const getWordStyle = (index) => {
+        if (index === currentWordIndex) return [styles.highlightedWord, { backgroundColor: colors.primary, color: colors.card }];
+        if (activeMatch && isWordInMatches(index, [activeMatch])) return [styles.highlightedWord, { backgroundColor: ACTIVE_SEARCH_HIGHLIGHT_COLOR, color: '#111' }];
+        if (isWordInMatches(index, searchMatches)) return [styles.highlightedWord, { backgroundColor: SEARCH_HIGHLIGHT_COLOR, color: '#111' }];
+        if (selection && isWordInNotes(index, [selection])) return [styles.highlightedWord, { backgroundColor: colors.primary, color: '#fff', opacity: 0.7 }];
+        const highlight = findRangeAt(index, highlights);
+        if (highlight) return { backgroundColor: highlight.color, color: '#111' };
+        if (isWordInNotes(index, notes)) return [styles.notedWord, { textDecorationColor: NOTE_COLOR }];
+        return null;
+    };
+
     return (
         <ScrollView contentContainerStyle={styles.textContainerScrollView}>
+            {heading ? <Text style={[styles.chapterHeading, { color: colors.subtext }]}>{heading}</Text> : null}
             <Text style={[styles.textContainer, { color: colors.text }]}>
+                {words.map((word, index) => (
+                    <React.Fragment key={index}>
+                        {notes.filter(note => note.startWord === index).map(note => (
+                            <Text key={note.id} onPress={() => onPressNote?.(note)}>
+                                <Ionicons name="chatbox-ellipses" size={18} color={NOTE_COLOR} />{' '}
+                            </Text>
+                        ))}
+                        <Text
+                            style={getWordStyle(index)}
+                            onLongPress={onLongPressWord ? () => onLongPressWord(index) : undefined}
+                            onPress={onPressWord ? () => onPressWord(index) : undefined}
+                        >
+                            {word}{' '}
+                        </Text>
+                    </React.Fragment>
+                ))}
+            </Text>
+        </ScrollView>
+    );
+};
+
+// Formata as datas das anotações (notas migradas da 1.0.x não têm data)
+const formatNoteDate = (isoDate) => {
+    if (!isoDate) return null;
+    const date = new Date(isoDate);
+    return `${date.toLocaleDateString('pt-BR')} ${date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+// Palavras da página tocáveis: o primeiro toque marca o início, o segundo o fim
+const WordRangePicker = ({ words, range, onChange, colors }) => {
+    const [pickingEnd, setPickingEnd] = useState(false);
+
+    const handlePressWord = (index) => {
+        if (pickingEnd) {
+            onChange({ startWord: Math.min(range.startWord, index), endWord: Math.max(range.startWord, index) });
+        } else {
+            onChange({ startWord: index, endWord: index });
+        }
+        setPickingEnd(!pickingEnd);
+    };
+
+    return (
+        <ScrollView style={[styles.rangePicker, { borderColor: colors.subtext }]} contentContainerStyle={styles.rangePickerContent}>
+            <Text style={[styles.rangePickerText, { color: colors.text }]}>
                 {words.map((word, index) => (
                     <Text
                         key={index}
-                        style={index === currentWordIndex ? [styles.highlightedWord, { backgroundColor: colors.primary, color: colors.card }] : null}
+                        onPress={() => handlePressWord(index)}
+                        style={index >= range.startWord && index <= range.endWord ? { backgroundColor: NOTE_COLOR, color: '#fff' } : null}
                     >
                         {word}{' '}
                     </Text>
@@ -54,6 +152,19 @@ const PdfFallback = ({ colors }) => (
     </View>
 );
 
+// Página que não pôde ser processada: ocupa o lugar dela até uma nova tentativa
+const FailedPagePlaceholder = ({ colors, error }) => (
+    <View style={[styles.centered, { padding: 20 }]}>
+        <Ionicons name="alert-circle-outline" size={80} color={colors.subtext} />
+        <Text style={[styles.fallbackText, { color: colors.text }]}>
+            Não foi possível processar esta página
+        </Text>
+        <Text style={[styles.fallbackSubtext, { color: colors.subtext }]}>
+            {error ? `${error}\n` : ''}Segure o livro na estante e escolha "Tentar páginas com falha".
+        </Text>
+    </View>
+);
+
 // Lupa via snapshot do container do PDF (sem segunda instância do Pdf)
 const LUPA_SIZE = 200;
 const LUPA_VERTICAL_OFFSET = -LUPA_SIZE * 1.25;
@@ -174,17 +285,35 @@ export default function PlayerScreen({ route }) {
     const navigation = useNavigation();
     const { bookInfo } = route.params;
 
-    const [currentPageIndex, setCurrentPageIndex] = useState(bookInfo.lastPosition || 0);
+    // Vindo da busca, abre direto na página da ocorrência
+    const [currentPageIndex, setCurrentPageIndex] = useState(route.params.initialPageIndex ?? (bookInfo.lastPosition || 0));
+    // Busca dentro do livro: o texto digitado vira searchQuery após uma pausa
+    const [findVisible, setFindVisible] = useState(!!route.params.searchQuery);
+    const [findInput, setFindInput] = useState(route.params.searchQuery || '');
+    const [searchQuery, setSearchQuery] = useState(route.params.searchQuery || '');
+    const [activeMatchIndex, setActiveMatchIndex] = useState(-1);
+    const [findListVisible, setFindListVisible] = useState(false);
     const [pageData, setPageData] = useState(null);
     const [isPlaying, setIsPlaying] = useState(false);
     const [currentWordIndex, setCurrentWordIndex] = useState(-1);
     const [playbackRate, setPlaybackRate] = useState(1.0);
-    const [activeVoice, setActiveVoice] = useState(null);
+    // Timer de sono: { mode: 'minutes', remaining, stopping } ou { mode: 'page' | 'chapter', lastPageIndex }
+    const [sleepTimer, setSleepTimer] = useState(null);
+    const [sleepModalVisible, setSleepModalVisible] = useState(false);
+    const [activeVoice, setActiveVoice] = useState(null); // { language, voice } para o Speech.speak
+    const [bookLanguages, setBookLanguages] = useState({ language: bookInfo.language, detectedLanguage: bookInfo.detectedLanguage });
     const [bookmarks, setBookmarks] = useState(bookInfo.bookmarks || []);
     const [annotations, setAnnotations] = useState(bookInfo.annotations || {});
     const [bookmarkModalVisible, setBookmarkModalVisible] = useState(false);
-    const [annotationModalVisible, setAnnotationModalVisible] = useState(false);
-    const [currentAnnotation, setCurrentAnnotation] = useState('');
+    // Marcador sendo renomeado: { id, label }
+    const [bookmarkRename, setBookmarkRename] = useState(null);
+    const [highlights, setHighlights] = useState(bookInfo.highlights || {});
+    // Trecho selecionado na página atual (toque longo e arrastar): { startWord, endWord }
+    const [selection, setSelection] = useState(null);
+    const selectionAnchorRef = useRef(-1);
+    const [annotationsPanelVisible, setAnnotationsPanelVisible] = useState(false);
+    // Nota sendo criada/editada: { pageIndex, id?, startWord, endWord, text }
+    const [noteEditor, setNoteEditor] = useState(null);
     const [pdfLayout, setPdfLayout] = useState({ width: 1, height: 1 });
     const [containerLayout, setContainerLayout] = useState({ width: 0, height: 0 });
     const [pdfScale, setPdfScale] = useState(1);
@@ -194,7 +323,7 @@ export default function PlayerScreen({ route }) {
     const pdfSource = useMemo(() => ({ uri: bookInfo.localUri }), [bookInfo.localUri]);
 
     const isPlayingRef = useRef(isPlaying);
-    const speechStartIndex = useRef(0);
+    const currentWordIndexRef = useRef(-1);
     const timeListenedRef = useRef(0);
     const intervalRef = useRef(null);
 
@@ -213,6 +342,25 @@ export default function PlayerScreen({ route }) {
     };
 
     const navLockRef = useRef(false);
+    // Páginas lidas do armazenamento depois de abrir o livro (ainda em processamento).
+    // loadedPagesVersion muda a cada página nova, para a busca ser refeita.
+    const loadedPagesRef = useRef(new Map());
+    const [loadedPagesVersion, setLoadedPagesVersion] = useState(0);
+    // A leitura virou a página sozinha: a nova página não reinicia a fala
+    const speechTurnedPageRef = useRef(false);
+    const currentPageIndexRef = useRef(currentPageIndex);
+    const sleepTimerRef = useRef(null);
+    const pronunciationsRef = useRef({});
+    // Funções que o speechEngine chama durante a leitura; são recriadas a cada
+    // render, então startSpeech as lê daqui na hora da chamada
+    const speechHandlersRef = useRef({});
+    // Posição para começar a ler assim que a próxima página carregar: { wordIndex, play }.
+    // Ao reabrir o livro, começa marcando a palavra onde a leitura parou.
+    const pendingStartRef = useRef(
+        route.params.initialPageIndex == null && bookInfo.lastWordIndex > 0
+            ? { wordIndex: bookInfo.lastWordIndex, play: false }
+            : null
+    );
 
     // Cooldown/coalescência para navegação de páginas
     const MIN_PAGE_CHANGE_INTERVAL = 900; // ms
@@ -280,36 +428,119 @@ export default function PlayerScreen({ route }) {
             runOnJS(setSnapshotUri)(null);
         });
 
+    // Seleção de trecho no PDF: ponto do dedo → palavra mais próxima
+    const handleSelectionTouch = (x, y, isStart) => {
+        const point = toPagePoint(x, y, pdfScale, pdfOffsets);
+        const index = findWordAtPoint(pageData?.palavras, point.x, point.y, SELECTION_TOLERANCE / pdfScale);
+        if (index < 0) return;
+        if (isStart) {
+            selectionAnchorRef.current = index;
+            setSelection({ startWord: index, endWord: index });
+        } else if (selectionAnchorRef.current >= 0) {
+            const anchor = selectionAnchorRef.current;
+            setSelection({ startWord: Math.min(anchor, index), endWord: Math.max(anchor, index) });
+        }
+    };
+
+    const selectionGesture = Gesture.Pan()
+        .activateAfterLongPress(SELECTION_LONG_PRESS)
+        .onStart((e) => {
+            runOnJS(handleSelectionTouch)(e.x, e.y, true);
+        })
+        .onUpdate((e) => {
+            runOnJS(handleSelectionTouch)(e.x, e.y, false);
+        });
+
+    // Toque simples no PDF: a palavra sob o dedo, como no modo texto
+    const handleWordTap = (x, y) => {
+        if (pdfScale <= 0 || isPageLoading) return;
+        const point = toPagePoint(x, y, pdfScale, pdfOffsets);
+        const index = findWordAtPoint(pageData?.palavras, point.x, point.y, SELECTION_TOLERANCE / pdfScale);
+        if (index >= 0) handlePressWord(index);
+    };
+
+    const tapGesture = Gesture.Tap()
+        .onEnd((e, success) => {
+            if (success) runOnJS(handleWordTap)(e.x, e.y);
+        });
+
+    // Segurar parado seleciona texto; arrastar logo de início abre a lupa;
+    // tocar e soltar lê a partir da palavra
+    const pdfGesture = Gesture.Race(selectionGesture, panGesture, tapGesture);
+
     const loadUpdatedBookData = useCallback(async () => {
-        const library = await loadLibrary();
-        const currentBook = library.find(b => b.id_arquivo === bookInfo.id_arquivo);
+        const currentBook = await loadBook(bookInfo.id_arquivo);
         if (currentBook) {
             setBookmarks(currentBook.bookmarks || []);
             setAnnotations(currentBook.annotations || {});
+            setHighlights(currentBook.highlights || {});
+            setBookLanguages({ language: currentBook.language, detectedLanguage: currentBook.detectedLanguage });
         }
     }, [bookInfo.id_arquivo]);
 
     useFocusEffect(useCallback(() => { loadUpdatedBookData(); }, [loadUpdatedBookData]));
 
+    // A voz segue o idioma do livro e é escolhida de novo a cada foco, já que
+    // a preferência pode ter mudado nas configurações
+    const readingLanguage = getBookLanguage(bookLanguages);
+    useFocusEffect(useCallback(() => {
+        resolveVoice(readingLanguage).then(setActiveVoice);
+    }, [readingLanguage]));
+
+    // O dicionário de pronúncias também é editado nas configurações
+    useFocusEffect(useCallback(() => {
+        loadPronunciations().then(pronunciations => { pronunciationsRef.current = pronunciations; });
+    }, []));
+
     useFocusEffect(useCallback(() => {
         navigation.setOptions({ title: bookInfo.nome_original });
         return () => {
-            Speech.stop();
+            stopSpeaking();
             stopTimer();
-            updateBookState(bookInfo.id_arquivo, currentPageIndex, timeListenedRef.current);
+            updateBookState(bookInfo.id_arquivo, currentPageIndexRef.current, timeListenedRef.current, currentWordIndexRef.current);
             timeListenedRef.current = 0;
         };
-    }, [bookInfo.id_arquivo, currentPageIndex, navigation, bookInfo.nome_original]));
+    }, [bookInfo.id_arquivo, navigation, bookInfo.nome_original]));
+
+    // Guarda a posição a cada troca de página, sem interromper a leitura
+    useEffect(() => {
+        if (currentPageIndexRef.current === currentPageIndex) return; // abertura do livro
+        currentPageIndexRef.current = currentPageIndex;
+        updateBookState(bookInfo.id_arquivo, currentPageIndex, timeListenedRef.current, pendingStartRef.current?.wordIndex ?? 0);
+        timeListenedRef.current = 0;
+    }, [bookInfo.id_arquivo, currentPageIndex]);
+
+    useEffect(() => { sleepTimerRef.current = sleepTimer; }, [sleepTimer]);
+
+    // O timer em minutos só anda enquanto a leitura está tocando
+    useEffect(() => {
+        if (sleepTimer?.mode !== 'minutes' || sleepTimer.stopping || !isPlaying) return undefined;
+        const interval = setInterval(() => {
+            setSleepTimer(timer => (timer?.mode === 'minutes' ? { ...timer, remaining: timer.remaining - 1 } : timer));
+        }, 1000);
+        return () => clearInterval(interval);
+    }, [sleepTimer?.mode, sleepTimer?.stopping, isPlaying]);
+
+    // Tempo esgotado: a leitura termina a frase atual e para
+    useEffect(() => {
+        if (sleepTimer?.mode !== 'minutes' || sleepTimer.remaining > 0) return;
+        if (!isPlaying) {
+            setSleepTimer(null); // pausada antes de terminar a frase
+        } else if (!sleepTimer.stopping) {
+            stopAfterCurrentSentence();
+            setSleepTimer({ ...sleepTimer, stopping: true });
+        }
+    }, [sleepTimer, isPlaying]);
 
     useEffect(() => { isPlayingRef.current = isPlaying; }, [isPlaying]);
+    useEffect(() => { currentWordIndexRef.current = currentWordIndex; }, [currentWordIndex]);
 
+    // Livros processados antes da detecção de idioma ganham o da primeira página aberta
     useEffect(() => {
-        const loadVoice = async () => {
-            const savedVoice = await AsyncStorage.getItem('@HearLearn:voicePreference');
-            setActiveVoice(savedVoice);
-        };
-        loadVoice();
-    }, []);
+        if (!pageData?.idioma || bookLanguages.language || bookLanguages.detectedLanguage) return;
+        setDetectedLanguage(bookInfo.id_arquivo, pageData.idioma.split(/[-_]/)[0].toLowerCase())
+            .then(loadUpdatedBookData);
+    }, [pageData, bookLanguages, bookInfo.id_arquivo, loadUpdatedBookData]);
 
     // Escala e centraliza a página para caber inteira
     useEffect(() => {
@@ -329,51 +560,99 @@ export default function PlayerScreen({ route }) {
         }
     }, [pdfLayout, containerLayout]);
 
+    const getPageData = (pageIndex) => bookInfo.pagesData?.[pageIndex] || loadedPagesRef.current.get(pageIndex);
+
+    const addLoadedPage = (pageIndex, page) => {
+        loadedPagesRef.current.set(pageIndex, page);
+        setLoadedPagesVersion(version => version + 1);
+    };
+
+    // Próxima página para a leitura contínua; as que ainda não estavam
+    // carregadas são lidas do armazenamento. null no fim do livro.
+    const loadPageForSpeech = async (pageIndex) => {
+        if (pageIndex >= bookInfo.total_paginas) return null;
+        const cached = getPageData(pageIndex);
+        if (cached) return cached;
+        const page = await loadPageData(bookInfo.id_arquivo, pageIndex);
+        if (page) addLoadedPage(pageIndex, page);
+        return page;
+    };
+
     // Atualiza dados da página e usa dimensões conhecidas (OCR) para escalar
     useEffect(() => {
         setIsPageLoading(true);
         setShowMagnifier(false);
         setSnapshotUri(null);
+        setSelection(null);
 
-        if (bookInfo.pagesData && bookInfo.pagesData[currentPageIndex]) {
-            const newPageData = bookInfo.pagesData[currentPageIndex];
+        const newPageData = getPageData(currentPageIndex);
+        if (newPageData) {
             setPageData(newPageData);
-            setCurrentWordIndex(-1);
-
-            // Usa dimensões do OCR (confiáveis para manter proporção)
-            if (newPageData.dimensoes?.largura && newPageData.dimensoes?.altura) {
-                setPdfLayout({
-                    width: newPageData.dimensoes.largura,
-                    height: newPageData.dimensoes.altura
-                });
-            } else {
-                // fallback mínimo (evita ficar sem nada)
-                setPdfLayout({ width: 1000, height: 1414 }); // proporção A4 aproximada
-            }
+            // Virada pela leitura, a palavra atual já é a da página nova
+            if (!speechTurnedPageRef.current) setCurrentWordIndex(-1);
+
+            // As páginas chegam normalizadas (pageSchema), sempre com dimensoes
+            setPdfLayout({
+                width: newPageData.dimensoes.largura,
+                height: newPageData.dimensoes.altura
+            });
         }
     }, [currentPageIndex, bookInfo.pagesData]);
 
     // Continua leitura automaticamente ao trocar de página se já estava tocando
     useEffect(() => {
+        if (speechTurnedPageRef.current) {
+            speechTurnedPageRef.current = false;
+            return;
+        }
+        const pendingStart = pendingStartRef.current;
+        if (pendingStart && pageData) {
+            pendingStartRef.current = null;
+            setCurrentWordIndex(pendingStart.wordIndex);
+            if (pendingStart.play && pageData.texto_completo) {
+                setIsPlaying(true);
+                startSpeech(pageData, playbackRate, pendingStart.wordIndex, activeVoice);
+                startTimer();
+            }
+            return;
+        }
+        // Páginas que falharam no processamento não têm texto: a leitura pula para a seguinte
+        if (isPlaying && pageData?.falhou) {
+            if (currentPageIndex < bookInfo.total_paginas - 1) {
+                throttledGoTo(1, false, { continueSpeech: true });
+            } else {
+                setIsPlaying(false);
+                stopTimer();
+            }
+            return;
+        }
         if (isPlaying && pageData?.texto_completo) {
-            startSpeech(pageData.texto_completo, playbackRate, 0, activeVoice);
+            startSpeech(pageData, playbackRate, 0, activeVoice);
         }
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [pageData]);
 
     useEffect(() => {
-        const hasAnnotation = annotations[currentPageIndex]?.trim() !== '';
+        const timeout = setTimeout(() => setSearchQuery(findInput.trim()), FIND_DELAY);
+        return () => clearTimeout(timeout);
+    }, [findInput]);
+
+    useEffect(() => {
+        const hasAnnotation = (annotations[currentPageIndex] || []).length > 0;
         navigation.setOptions({
             headerRight: () => (
                 <View style={styles.headerButtons}>
-                    <TouchableOpacity onPress={() => { setCurrentAnnotation(annotations[currentPageIndex] || ''); setAnnotationModalVisible(true); }} style={styles.headerIcon}>
+                    <TouchableOpacity onPress={() => setFindVisible(visible => !visible)} style={styles.headerIcon}>
+                        <Ionicons name="search" size={24} color={colors.primary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => setAnnotationsPanelVisible(true)} style={styles.headerIcon}>
                         <Ionicons name={hasAnnotation ? "reader" : "reader-outline"} size={26} color={colors.primary} />
                     </TouchableOpacity>
                     <TouchableOpacity onPress={() => setBookmarkModalVisible(true)} style={styles.headerIcon}>
                         <Ionicons name="list" size={28} color={colors.primary} />
                     </TouchableOpacity>
-                    <TouchableOpacity onPress={() => toggleBookmark(currentPageIndex)}>
-                        <Ionicons name={bookmarks.includes(currentPageIndex) ? "bookmark" : "bookmark-outline"} size={24} color={colors.primary} />
+                    <TouchableOpacity onPress={toggleBookmark}>
+                        <Ionicons name={bookmarks.some(b => b.pageIndex === currentPageIndex) ? "bookmark" : "bookmark-outline"} size={24} color={colors.primary} />
                     </TouchableOpacity>
                 </View>
             ),
@@ -403,7 +682,7 @@ export default function PlayerScreen({ route }) {
         setSnapshotUri(null);
         setIsPageLoading(true);
 
-        Speech.stop(); // evita sobreposição
+        stopSpeaking(); // evita sobreposição
 
         if (!continueSpeech) {
             setIsPlaying(false);
@@ -457,52 +736,50 @@ export default function PlayerScreen({ route }) {
         };
     }, []);
 
-    const startSpeech = useCallback((textToSpeak, rate, fromWordIndex, voiceIdentifier) => {
-        if (!textToSpeak || !textToSpeak.trim()) { setIsPlaying(false); return; }
-        const words = textToSpeak.split(/\s+/);
-        const startIndex = fromWordIndex >= 0 ? fromWordIndex : 0;
-        speechStartIndex.current = startIndex;
-        const textSegment = words.slice(startIndex).join(' ');
-        if (!textSegment) { setIsPlaying(false); return; }
-        Speech.speak(textSegment, {
-            language: 'pt-BR', rate, voice: voiceIdentifier,
-            onDone: () => {
-                if (isPlayingRef.current) {
-                    if (currentPageIndex < bookInfo.total_paginas - 1) {
-                        // Avança e continua lendo com throttle
-                        throttledGoTo(1, false, { continueSpeech: true });
-                    } else {
-                        setIsPlaying(false);
-                        stopTimer();
-                        setCurrentWordIndex(-1);
-                    }
+    // Lê a partir de uma palavra da página atual e segue pelas próximas sem
+    // pausa; o speechEngine avisa cada palavra dita e quando a leitura passa
+    // para outra página, que então é virada na tela
+    const startSpeech = useCallback((page, rate, fromWordIndex, voiceOptions) => {
+        const started = speakPage(page, fromWordIndex, {
+            pageIndex: currentPageIndex,
+            loadPage: (pageIndex) => speechHandlersRef.current.loadPage(pageIndex),
+            lastPageIndex: sleepTimerRef.current?.lastPageIndex,
+            rate,
+            voice: voiceOptions,
+            pronunciations: pronunciationsRef.current,
+            onWord: setCurrentWordIndex,
+            onPageChange: (pageIndex) => {
+                speechTurnedPageRef.current = true;
+                setCurrentPageIndex(pageIndex);
+            },
+            onEnd: ({ reason, resumeAt }) => {
+                setIsPlaying(false);
+                speechHandlersRef.current.stopTimer();
+                if (reason === 'limit') {
+                    speechHandlersRef.current.onSleepStop(resumeAt);
+                } else {
+                    // Fim do livro (ou das páginas já processadas)
+                    setCurrentWordIndex(-1);
                 }
             },
             onError: (error) => {
                 console.error("Speech Error:", error);
                 setIsPlaying(false);
-                stopTimer();
-            },
-            onBoundary: (event) => {
-                if (event.charIndex !== undefined) {
-                    const spokenText = textSegment.substring(0, event.charIndex);
-                    const currentLocalWordIndex = (spokenText.match(/\s+/g) || []).length;
-                    const currentGlobalWordIndex = speechStartIndex.current + currentLocalWordIndex;
-                    setCurrentWordIndex(currentGlobalWordIndex);
-                }
+                speechHandlersRef.current.stopTimer();
             },
         });
-    }, [currentPageIndex, bookInfo.total_paginas, throttledGoTo]);
+        if (!started) setIsPlaying(false);
+    }, [currentPageIndex]);
 
     const handlePlayPause = () => {
         if (isPlaying) {
-            Speech.stop();
+            stopSpeaking();
             setIsPlaying(false);
             stopTimer();
         } else {
             if (pageData?.texto_completo) {
                 setIsPlaying(true);
-                startSpeech(pageData.texto_completo, playbackRate, currentWordIndex >= 0 ? currentWordIndex : 0, activeVoice);
+                startSpeech(pageData, playbackRate, currentWordIndex >= 0 ? currentWordIndex : 0, activeVoice);
                 startTimer();
             }
         }
@@ -524,38 +801,321 @@ export default function PlayerScreen({ route }) {
         }
     };
 
+    // Durante a leitura, a frase atual recomeça já na nova velocidade
     const handleChangeRate = (newRate) => {
         setPlaybackRate(newRate);
-        if (isPlaying && pageData?.texto_completo) {
-            Speech.stop();
-            startSpeech(pageData.texto_completo, newRate, currentWordIndex >= 0 ? currentWordIndex : 0, activeVoice);
+        if (isPlaying) updateSpeechOptions({ rate: newRate });
+    };
+
+    // Pula frases (toque) ou parágrafos (toque longo). Passando do fim da
+    // página, vai para a próxima e continua lendo se já estava lendo.
+    const handleSkip = (unit, delta) => {
+        if (!pageData?.texto_completo || isPageLoading) return;
+        const target = findSkipTarget(pageData, currentWordIndexRef.current, unit, delta);
+        if (target === null) {
+            if (currentPageIndex < bookInfo.total_paginas - 1) {
+                throttledGoTo(1, false, { continueSpeech: isPlaying });
+            }
+            return;
+        }
+        if (isPlaying) {
+            startSpeech(pageData, playbackRate, target, activeVoice);
+        } else {
+            setCurrentWordIndex(target);
+        }
+    };
+
+    const handleSelectSleepTimer = (option) => {
+        setSleepModalVisible(false);
+        let timer = null;
+        if (option === 'page') {
+            timer = { mode: 'page', lastPageIndex: currentPageIndex };
+        } else if (option === 'chapter') {
+            timer = { mode: 'chapter', lastPageIndex: getChapterLastPage(bookInfo.chapters, currentPageIndex, bookInfo.total_paginas) };
+        } else if (option) {
+            timer = { mode: 'minutes', remaining: option * 60, stopping: false };
         }
+        setSleepTimer(timer);
+        sleepTimerRef.current = timer;
+        setLastPageIndex(timer?.lastPageIndex ?? null);
     };
 
-    const handleJumpToBookmark = (pageIndex) => {
-        throttledGoTo(pageIndex, true, { continueSpeech: false });
+    // O timer de sono parou a leitura: guarda a posição exata e deixa marcada
+    // a palavra onde a leitura vai continuar
+    const handleSleepStop = (resumeAt) => {
+        setSleepTimer(null);
+        if (!resumeAt || resumeAt.pageIndex >= bookInfo.total_paginas) {
+            setCurrentWordIndex(-1);
+            return;
+        }
+        updateBookState(bookInfo.id_arquivo, resumeAt.pageIndex, timeListenedRef.current, resumeAt.wordIndex);
+        timeListenedRef.current = 0;
+        if (resumeAt.pageIndex === currentPageIndexRef.current) {
+            setCurrentWordIndex(resumeAt.wordIndex);
+        } else {
+            pendingStartRef.current = { wordIndex: resumeAt.wordIndex, play: false };
+            setCurrentPageIndex(resumeAt.pageIndex);
+        }
+    };
+    speechHandlersRef.current = { loadPage: loadPageForSpeech, onSleepStop: handleSleepStop, stopTimer };
+
+    const getSleepTimerLabel = () => {
+        if (!sleepTimer) return null;
+        if (sleepTimer.mode === 'page') return 'fim da página';
+        if (sleepTimer.mode === 'chapter') return 'fim do capítulo';
+        return formatRemainingTime(sleepTimer.remaining);
+    };
+
+    // Retoma a leitura exatamente na palavra guardada no marcador
+    const handleJumpToBookmark = (bookmark) => {
         setBookmarkModalVisible(false);
+        startReadingAt(bookmark.pageIndex, bookmark.wordIndex);
+    };
+
+    const handleSaveBookmarkLabel = async () => {
+        const rename = bookmarkRename;
+        setBookmarkRename(null);
+        if (!rename) return;
+        await renameBookmark(bookInfo.id_arquivo, rename.id, rename.label);
+        loadUpdatedBookData();
+    };
+
+    const handleDeleteBookmark = (bookmark) => {
+        Alert.alert("Excluir Marcador", "Deseja excluir este marcador?",
+            [
+                { text: "Cancelar", style: "cancel" },
+                {
+                    text: "Excluir", style: "destructive", onPress: async () => {
+                        await removeBookmark(bookInfo.id_arquivo, bookmark.id);
+                        loadUpdatedBookData();
+                    }
+                },
+            ]
+        );
+    };
+
+    // Nova nota na página atual, ancorada na palavra em leitura (ou na primeira)
+    const openNewNote = (range) => {
+        const anchor = currentWordIndex >= 0 ? currentWordIndex : 0;
+        setAnnotationsPanelVisible(false);
+        setNoteEditor({
+            pageIndex: currentPageIndex,
+            startWord: range?.startWord ?? anchor,
+            endWord: range?.endWord ?? anchor,
+            text: '',
+        });
+    };
+
+    const openEditNote = (pageIndex, note) => {
+        setAnnotationsPanelVisible(false);
+        setNoteEditor({ pageIndex, id: note.id, startWord: note.startWord, endWord: note.endWord, text: note.text });
     };
 
     const handleSaveAnnotation = async () => {
-        if (currentAnnotation.trim() !== '') {
-            await saveAnnotation(bookInfo.id_arquivo, currentPageIndex, currentAnnotation);
+        const editor = noteEditor;
+        if (!editor) return;
+        if (editor.text.trim() === '') {
+            Alert.alert("Nota Vazia", "Escreva algum texto para a nota.");
+            return;
+        }
+
+        const words = splitWords(getPageData(editor.pageIndex)?.texto_completo);
+        const quote = words.slice(editor.startWord, editor.endWord + 1).join(' ');
+        if (editor.id) {
+            await updateAnnotation(bookInfo.id_arquivo, editor.pageIndex, editor.id, {
+                startWord: editor.startWord, endWord: editor.endWord, quote, text: editor.text,
+            });
         } else {
-            await removeAnnotation(bookInfo.id_arquivo, currentPageIndex);
+            await addAnnotation(bookInfo.id_arquivo, editor.pageIndex, {
+                startWord: editor.startWord, endWord: editor.endWord, quote, text: editor.text,
+            });
         }
+        setNoteEditor(null);
         loadUpdatedBookData();
-        setAnnotationModalVisible(false);
     };
 
-    const toggleBookmark = async (pageIndex) => {
-        if (bookmarks.includes(pageIndex)) {
-            await removeBookmark(bookInfo.id_arquivo, pageIndex);
+    const handleDeleteAnnotation = (pageIndex, note) => {
+        Alert.alert("Excluir Nota", "Deseja excluir esta nota?",
+            [
+                { text: "Cancelar", style: "cancel" },
+                {
+                    text: "Excluir", style: "destructive", onPress: async () => {
+                        await removeAnnotation(bookInfo.id_arquivo, pageIndex, note.id);
+                        if (noteEditor?.id === note.id) setNoteEditor(null);
+                        loadUpdatedBookData();
+                    }
+                },
+            ]
+        );
+    };
+
+    const handleJumpToAnnotation = (pageIndex) => {
+        setAnnotationsPanelVisible(false);
+        if (pageIndex !== currentPageIndex) {
+            throttledGoTo(pageIndex, true, { continueSpeech: false });
+        }
+    };
+
+    // Todas as notas do livro, em ordem de página
+    const allAnnotations = useMemo(() => (
+        Object.entries(annotations)
+            .map(([pageIndex, notes]) => ({ pageIndex: Number(pageIndex), notes }))
+            .filter(entry => entry.notes.length > 0)
+            .sort((a, b) => a.pageIndex - b.pageIndex)
+    ), [annotations]);
+    const pageNotes = annotations[currentPageIndex] || [];
+    const pageHighlights = highlights[currentPageIndex] || [];
+    // Destaques que já cobrem parte do trecho selecionado: a barra passa a recolorir/excluir esses
+    const selectedHighlights = selection
+        ? pageHighlights.filter(highlight => highlight.startWord <= selection.endWord && highlight.endWord >= selection.startWord)
+        : [];
+
+    // No modo texto: toque longo inicia a seleção, toque simples estende até a palavra
+    const handleLongPressWord = (index) => {
+        selectionAnchorRef.current = index;
+        setSelection({ startWord: index, endWord: index });
+    };
+
+    // Sem seleção aberta, o toque numa palavra faz a leitura (re)começar nela
+    const handlePressWord = (index) => {
+        if (!selection) {
+            startReadingAt(currentPageIndex, index);
+            return;
+        }
+        const anchor = selectionAnchorRef.current;
+        setSelection({ startWord: Math.min(anchor, index), endWord: Math.max(anchor, index) });
+    };
+
+    const handleHighlightColor = async (color) => {
+        if (!selection) return;
+        if (selectedHighlights.length > 0) {
+            await updateHighlightColor(bookInfo.id_arquivo, currentPageIndex, selectedHighlights.map(h => h.id), color);
         } else {
-            await addBookmark(bookInfo.id_arquivo, pageIndex);
+            await addHighlight(bookInfo.id_arquivo, currentPageIndex, { ...selection, color });
         }
+        setSelection(null);
         loadUpdatedBookData();
     };
 
+    const handleRemoveSelectedHighlights = async () => {
+        await removeHighlights(bookInfo.id_arquivo, currentPageIndex, selectedHighlights.map(h => h.id));
+        setSelection(null);
+        loadUpdatedBookData();
+    };
+
+    const handleNoteFromSelection = () => {
+        const range = selection;
+        setSelection(null);
+        openNewNote(range);
+    };
+
+    // Marca a palavra em leitura (ou o início da página); se já houver um
+    // marcador exatamente nessa posição, ele é removido.
+    const toggleBookmark = async () => {
+        const pageIndex = currentPageIndex;
+        const wordIndex = Math.max(currentWordIndexRef.current, 0);
+        const existing = bookmarks.find(b => b.pageIndex === pageIndex && b.wordIndex === wordIndex);
+        if (existing) {
+            await removeBookmark(bookInfo.id_arquivo, existing.id);
+        } else {
+            const words = splitWords(getPageData(pageIndex)?.texto_completo);
+            await addBookmark(bookInfo.id_arquivo, {
+                pageIndex,
+                wordIndex,
+                snippet: words.slice(wordIndex, wordIndex + 12).join(' '),
+            });
+        }
+        loadUpdatedBookData();
+    };
+
+    // Ocorrências da busca no livro inteiro e na página atual, em índices de palavras
+    // As páginas vêm de getPageData: as do livro aberto e as lidas depois
+    const isSearching = searchQuery.length >= 2;
+    const bookMatches = useMemo(() => (
+        isSearching
+            ? findInPages(Array.from({ length: bookInfo.total_paginas }, (_, pageIndex) => getPageData(pageIndex)), searchQuery)
+            : []
+    ), [isSearching, searchQuery, bookInfo.pagesData, bookInfo.total_paginas, loadedPagesVersion]);
+
+    // Durante a busca, as páginas que a fila grava com o livro aberto são lidas
+    // e entram nos resultados
+    useEffect(() => {
+        if (!isSearching) return undefined;
+        let cancelled = false;
+        const loadNewPages = async () => {
+            const storedPages = await loadStoredPageIndices(bookInfo.id_arquivo);
+            for (const pageIndex of storedPages.filter(index => !getPageData(index))) {
+                const page = await loadPageData(bookInfo.id_arquivo, pageIndex);
+                if (cancelled) return;
+                if (page) addLoadedPage(pageIndex, page);
+            }
+        };
+        loadNewPages();
+        const unsubscribe = subscribeToQueue((state, event) => {
+            if (event === 'progress' && state.activeBookId === bookInfo.id_arquivo) loadNewPages();
+        });
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [isSearching, bookInfo.id_arquivo]);
+    const searchMatches = useMemo(() => (
+        bookMatches.filter(match => match.pageIndex === currentPageIndex)
+    ), [bookMatches, currentPageIndex]);
+    const activeMatch = bookMatches[activeMatchIndex]?.pageIndex === currentPageIndex ? bookMatches[activeMatchIndex] : null;
+
+    // Nova busca: seleciona a primeira ocorrência a partir da página atual
+    useEffect(() => {
+        if (bookMatches.length === 0) {
+            setActiveMatchIndex(-1);
+            return;
+        }
+        const firstFromHere = bookMatches.findIndex(match => match.pageIndex >= currentPageIndex);
+        setActiveMatchIndex(firstFromHere >= 0 ? firstFromHere : 0);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [bookMatches]);
+
+    const goToMatch = (matchIndex) => {
+        const match = bookMatches[matchIndex];
+        if (!match) return;
+        setActiveMatchIndex(matchIndex);
+        if (match.pageIndex !== currentPageIndex) {
+            throttledGoTo(match.pageIndex, true, { continueSpeech: false });
+        }
+    };
+
+    const handleFindStep = (step) => {
+        if (bookMatches.length === 0) return;
+        goToMatch((activeMatchIndex + step + bookMatches.length) % bookMatches.length);
+    };
+
+    // Começa a ler a partir de uma palavra, trocando de página se preciso
+    const startReadingAt = (pageIndex, wordIndex) => {
+        if (pageIndex === currentPageIndex && pageData?.texto_completo) {
+            stopSpeaking();
+            setCurrentWordIndex(wordIndex);
+            setIsPlaying(true);
+            startSpeech(pageData, playbackRate, wordIndex, activeVoice);
+            startTimer();
+        } else {
+            pendingStartRef.current = { wordIndex, play: true };
+            throttledGoTo(pageIndex, true, { continueSpeech: false });
+        }
+    };
+
+    // Começa a ler a partir da palavra da ocorrência selecionada
+    const handleReadFromMatch = () => {
+        const match = bookMatches[activeMatchIndex];
+        if (!match) return;
+        startReadingAt(match.pageIndex, match.wordIndex);
+    };
+
+    const handleCloseFind = () => {
+        setFindVisible(false);
+        setFindInput('');
+        setSearchQuery('');
+    };
+
     const getWordCoordinates = (wordIndex) => {
         if (!pageData?.palavras || wordIndex < 0 || wordIndex >= pageData.palavras.length) {
             return null;
@@ -564,19 +1124,66 @@ export default function PlayerScreen({ route }) {
     };
 
     const renderContent = () => {
-        if (!pageData || isPageLoading || !pdfAvailable) {
-            if (!pdfAvailable) return <PdfFallback colors={colors} />;
+        // EPUB, TXT e Markdown não têm PDF: sempre no modo texto
+        const textOnly = isTextBook(bookInfo);
+        if (!pageData || isPageLoading || (!pdfAvailable && !textOnly)) {
+            if (!pdfAvailable && !textOnly) return <PdfFallback colors={colors} />;
             return <ActivityIndicator size="large" color={colors.primary} style={styles.centered} />;
         }
 
-        if (pageData.extraido_por_ocr || !bookInfo.localUri) {
-            return <HighlightedText text={pageData.texto_completo} currentWordIndex={currentWordIndex} colors={colors} />;
+        if (pageData.falhou) {
+            return <FailedPagePlaceholder colors={colors} error={pageData.erro} />;
+        }
+
+        if (textOnly || pageData.extraido_por_ocr || !bookInfo.localUri) {
+            return (
+                <HighlightedText
+                    heading={pageData.capitulo}
+                    text={pageData.texto_completo}
+                    currentWordIndex={currentWordIndex}
+                    colors={colors}
+                    searchMatches={searchMatches}
+                    activeMatch={activeMatch}
+                    notes={pageNotes}
+                    onPressNote={(note) => openEditNote(currentPageIndex, note)}
+                    highlights={pageHighlights}
+                    selection={selection}
+                    onLongPressWord={handleLongPressWord}
+                    onPressWord={handlePressWord}
+                />
+            );
         }
 
         const wordData = getWordCoordinates(currentWordIndex);
 
+        // Uma caixa por palavra do intervalo, alinhada ao PDF
+        const renderRangeBoxes = (range, keyPrefix, style) => {
+            const boxes = [];
+            for (let index = range.startWord; index <= range.endWord; index++) {
+                const coords = getWordCoordinates(index)?.coords;
+                if (!coords) continue;
+                boxes.push(
+                    <View
+                        key={`${keyPrefix}-${index}`}
+                        pointerEvents="none"
+                        style={[
+                            styles.wordHighlight,
+                            {
+                                top: (coords.y0 * pdfScale) + pdfOffsets.top,
+                                left: (coords.x0 * pdfScale) + pdfOffsets.left,
+                                width: (coords.x1 - coords.x0) * pdfScale,
+                                height: (coords.y1 - coords.y0) * pdfScale,
+                            },
+                            style,
+                        ]}
+                    />
+                );
+            }
+            return boxes;
+        };
+
         return (
-            <GestureDetector gesture={panGesture}>
+            <GestureDetector gesture={pdfGesture}>
                 <View style={styles.flexOne}>
                     {/* Container absoluto que renderiza a página inteira centralizada */}
                     <View
@@ -605,6 +1212,80 @@ export default function PlayerScreen({ route }) {
                         />
                     </View>
 
+                    {/* Destaques do utilizador e seleção em andamento */}
+                    {pdfScale > 0 && pageHighlights.map(highlight =>
+                        renderRangeBoxes(highlight, highlight.id, { backgroundColor: highlight.color })
+                    )}
+                    {pdfScale > 0 && selection && renderRangeBoxes(selection, 'selection', { backgroundColor: colors.primary })}
+
+                    {/* Trechos com notas e os marcadores que abrem cada nota */}
+                    {pdfScale > 0 && pageNotes.map(note => {
+                        const boxes = [];
+                        for (let index = note.startWord; index <= note.endWord; index++) {
+                            const coords = getWordCoordinates(index)?.coords;
+                            if (!coords) continue;
+                            boxes.push(
+                                <View
+                                    key={`${note.id}-${index}`}
+                                    pointerEvents="none"
+                                    style={[
+                                        styles.noteUnderline,
+                                        {
+                                            top: (coords.y1 * pdfScale) + pdfOffsets.top,
+                                            left: (coords.x0 * pdfScale) + pdfOffsets.left,
+                                            width: (coords.x1 - coords.x0) * pdfScale,
+                                        }
+                                    ]}
+                                />
+                            );
+                        }
+                        const anchor = getWordCoordinates(note.startWord)?.coords;
+                        if (anchor) {
+                            boxes.push(
+                                <TouchableOpacity
+                                    key={`${note.id}-marker`}
+                                    onPress={() => openEditNote(currentPageIndex, note)}
+                                    style={[
+                                        styles.noteMarker,
+                                        {
+                                            top: (anchor.y0 * pdfScale) + pdfOffsets.top - 18,
+                                            left: (anchor.x0 * pdfScale) + pdfOffsets.left - 9,
+                                        }
+                                    ]}
+                                >
+                                    <Ionicons name="chatbox-ellipses" size={18} color={NOTE_COLOR} />
+                                </TouchableOpacity>
+                            );
+                        }
+                        return boxes;
+                    })}
+
+                    {/* Ocorrências da busca */}
+                    {pdfScale > 0 && searchMatches.flatMap(match =>
+                        Array.from({ length: match.wordCount }, (_, i) => match.wordIndex + i)
+                    ).map(index => {
+                        const coords = getWordCoordinates(index)?.coords;
+                        if (!coords) return null;
+                        return (
+                            <View
+                                key={`search-${index}`}
+                                pointerEvents="none"
+                                style={[
+                                    styles.wordHighlight,
+                                    {
+                                        top: (coords.y0 * pdfScale) + pdfOffsets.top,
+                                        left: (coords.x0 * pdfScale) + pdfOffsets.left,
+                                        width: (coords.x1 - coords.x0) * pdfScale,
+                                        height: (coords.y1 - coords.y0) * pdfScale,
+                                        backgroundColor: activeMatch && isWordInMatches(index, [activeMatch])
+                                            ? ACTIVE_SEARCH_HIGHLIGHT_COLOR
+                                            : SEARCH_HIGHLIGHT_COLOR,
+                                    }
+                                ]}
+                            />
+                        );
+                    })}
+
                     {/* Destaque alinhado ao PDF */}
                     {wordData?.coords && pdfScale > 0 && (
                         <View
@@ -642,37 +1323,208 @@ export default function PlayerScreen({ route }) {
 
     return (
         <View style={[styles.container, { backgroundColor: colors.background }]}>
-            <Modal animationType="slide" transparent={true} visible={annotationModalVisible} onRequestClose={() => setAnnotationModalVisible(false)}>
+            <Modal animationType="slide" transparent={true} visible={!!noteEditor} onRequestClose={() => setNoteEditor(null)}>
                 <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : "height"} style={styles.modalContainer}>
-                    <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
-                        <Text style={[styles.modalTitle, { color: colors.text }]}>Anotação - Página {currentPageIndex + 1}</Text>
-                        <TextInput style={[styles.annotationInput, { color: colors.text, backgroundColor: colors.background, borderColor: colors.subtext }]} multiline placeholder="Escreva sua nota aqui..." placeholderTextColor={colors.subtext} value={currentAnnotation} onChangeText={setCurrentAnnotation} autoFocus />
+                    <View style={[styles.modalContent, styles.noteEditorContent, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.modalTitle, { color: colors.text }]}>
+                            {noteEditor?.id ? 'Editar Nota' : 'Nova Nota'} - Página {(noteEditor?.pageIndex ?? 0) + 1}
+                        </Text>
+                        <Text style={[styles.rangePickerHint, { color: colors.subtext }]}>Toque na primeira e na última palavra do trecho:</Text>
+                        {noteEditor && (
+                            <WordRangePicker
+                                words={splitWords(getPageData(noteEditor.pageIndex)?.texto_completo)}
+                                range={noteEditor}
+                                onChange={(range) => setNoteEditor(prev => ({ ...prev, ...range }))}
+                                colors={colors}
+                            />
+                        )}
+                        <TextInput style={[styles.annotationInput, { color: colors.text, backgroundColor: colors.background, borderColor: colors.subtext }]} multiline placeholder="Escreva sua nota aqui..." placeholderTextColor={colors.subtext} value={noteEditor?.text || ''} onChangeText={(text) => setNoteEditor(prev => ({ ...prev, text }))} />
                         <View style={styles.modalButtons}>
-                            <TouchableOpacity onPress={() => setAnnotationModalVisible(false)} style={styles.cancelButton}><Text style={[styles.cancelButtonText, { color: colors.text }]}>Cancelar</Text></TouchableOpacity>
+                            <TouchableOpacity onPress={() => setNoteEditor(null)} style={styles.cancelButton}><Text style={[styles.cancelButtonText, { color: colors.text }]}>Cancelar</Text></TouchableOpacity>
                             <TouchableOpacity onPress={handleSaveAnnotation} style={[styles.saveButton, { backgroundColor: colors.primary }]}><Text style={styles.saveButtonText}>Salvar</Text></TouchableOpacity>
                         </View>
                     </View>
                 </KeyboardAvoidingView>
             </Modal>
+            <Modal animationType="slide" transparent={true} visible={annotationsPanelVisible} onRequestClose={() => setAnnotationsPanelVisible(false)}>
+                <View style={styles.modalContainer}>
+                    <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.modalTitle, { color: colors.text }]}>Anotações</Text>
+                        <ScrollView>
+                            {allAnnotations.length > 0 ? allAnnotations.map(({ pageIndex, notes }) => (
+                                <View key={pageIndex}>
+                                    <TouchableOpacity onPress={() => handleJumpToAnnotation(pageIndex)}>
+                                        <Text style={[styles.notePageTitle, { color: colors.primary }]}>Página {pageIndex + 1}</Text>
+                                    </TouchableOpacity>
+                                    {notes.map(note => (
+                                        <View key={note.id} style={styles.noteItem}>
+                                            <TouchableOpacity style={styles.flexOne} onPress={() => handleJumpToAnnotation(pageIndex)}>
+                                                {note.quote ? <Text style={[styles.noteQuote, { color: colors.subtext }]} numberOfLines={2}>"{note.quote}"</Text> : null}
+                                                <Text style={[styles.noteText, { color: colors.text }]}>{note.text}</Text>
+                                                {note.createdAt && (
+                                                    <Text style={[styles.noteDate, { color: colors.subtext }]}>
+                                                        Criada {formatNoteDate(note.createdAt)}
+                                                        {note.updatedAt && note.updatedAt !== note.createdAt ? ` · editada ${formatNoteDate(note.updatedAt)}` : ''}
+                                                    </Text>
+                                                )}
+                                            </TouchableOpacity>
+                                            <TouchableOpacity onPress={() => openEditNote(pageIndex, note)} style={styles.noteAction}>
+                                                <Ionicons name="create-outline" size={20} color={colors.text} />
+                                            </TouchableOpacity>
+                                            <TouchableOpacity onPress={() => handleDeleteAnnotation(pageIndex, note)} style={styles.noteAction}>
+                                                <Ionicons name="trash-outline" size={20} color="#E71D36" />
+                                            </TouchableOpacity>
+                                        </View>
+                                    ))}
+                                </View>
+                            )) : (<Text style={[styles.noBookmarksText, { color: colors.subtext }]}>Nenhuma anotação neste livro.</Text>)}
+                        </ScrollView>
+                        <View style={styles.modalButtons}>
+                            <TouchableOpacity onPress={() => setAnnotationsPanelVisible(false)} style={styles.cancelButton}><Text style={[styles.cancelButtonText, { color: colors.text }]}>Fechar</Text></TouchableOpacity>
+                            <TouchableOpacity onPress={() => openNewNote()} disabled={!pageData} style={[styles.saveButton, { backgroundColor: colors.primary }]}><Text style={styles.saveButtonText}>Nova nota</Text></TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
             <Modal animationType="slide" transparent={true} visible={bookmarkModalVisible} onRequestClose={() => setBookmarkModalVisible(false)}>
                 <View style={styles.modalContainer}>
                     <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
                         <Text style={[styles.modalTitle, { color: colors.text }]}>Marcadores</Text>
                         <ScrollView>
                             {bookmarks.length > 0 ? (
-                                bookmarks.map((page, index) => (
-                                    <TouchableOpacity key={index} style={styles.bookmarkItem} onPress={() => handleJumpToBookmark(page)}>
-                                        <Ionicons name="bookmark" size={20} color={colors.primary} />
-                                        <Text style={[styles.bookmarkText, { color: colors.text }]}>Página {page + 1}</Text>
-                                    </TouchableOpacity>
+                                bookmarks.map((bookmark) => (
+                                    <View key={bookmark.id} style={styles.bookmarkItem}>
+                                        <TouchableOpacity style={styles.bookmarkInfo} onPress={() => handleJumpToBookmark(bookmark)}>
+                                            <Ionicons name="bookmark" size={20} color={colors.primary} />
+                                            <View style={styles.bookmarkDetails}>
+                                                <Text style={[styles.bookmarkText, { color: colors.text }]} numberOfLines={1}>
+                                                    {bookmark.label || `Página ${bookmark.pageIndex + 1}`}
+                                                </Text>
+                                                {bookmark.snippet ? (
+                                                    <Text style={[styles.bookmarkSnippet, { color: colors.subtext }]} numberOfLines={2}>{bookmark.snippet}…</Text>
+                                                ) : null}
+                                                <Text style={[styles.noteDate, { color: colors.subtext }]}>
+                                                    {bookmark.label ? `Pág. ${bookmark.pageIndex + 1}` : ''}
+                                                    {bookmark.label && bookmark.createdAt ? ' · ' : ''}
+                                                    {bookmark.createdAt ? formatNoteDate(bookmark.createdAt) : ''}
+                                                </Text>
+                                            </View>
+                                        </TouchableOpacity>
+                                        <TouchableOpacity onPress={() => setBookmarkRename({ id: bookmark.id, label: bookmark.label })} style={styles.noteAction}>
+                                            <Ionicons name="pencil-outline" size={20} color={colors.text} />
+                                        </TouchableOpacity>
+                                        <TouchableOpacity onPress={() => handleDeleteBookmark(bookmark)} style={styles.noteAction}>
+                                            <Ionicons name="trash-outline" size={20} color="#E71D36" />
+                                        </TouchableOpacity>
+                                    </View>
                                 ))
                             ) : (<Text style={[styles.noBookmarksText, { color: colors.subtext }]}>Nenhuma página marcada.</Text>)}
                         </ScrollView>
+                        {bookmarkRename && (
+                            <View style={styles.bookmarkRename}>
+                                <TextInput
+                                    style={[styles.bookmarkRenameInput, { color: colors.text, borderColor: colors.subtext }]}
+                                    value={bookmarkRename.label}
+                                    onChangeText={(label) => setBookmarkRename(prev => ({ ...prev, label }))}
+                                    placeholder="Nome do marcador"
+                                    placeholderTextColor={colors.subtext}
+                                    autoFocus
+                                    onSubmitEditing={handleSaveBookmarkLabel}
+                                />
+                                <TouchableOpacity onPress={handleSaveBookmarkLabel} style={[styles.saveButton, { backgroundColor: colors.primary }]}>
+                                    <Text style={styles.saveButtonText}>OK</Text>
+                                </TouchableOpacity>
+                            </View>
+                        )}
                         <TouchableOpacity onPress={() => setBookmarkModalVisible(false)} style={[styles.closeButton, { backgroundColor: colors.primary }]}><Text style={styles.closeButtonText}>Fechar</Text></TouchableOpacity>
                     </View>
                 </View>
             </Modal>
 
+            <Modal animationType="slide" transparent={true} visible={findListVisible} onRequestClose={() => setFindListVisible(false)}>
+                <View style={styles.modalContainer}>
+                    <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.modalTitle, { color: colors.text }]}>Ocorrências</Text>
+                        <ScrollView>
+                            {bookMatches.map((match, index) => (
+                                <TouchableOpacity
+                                    key={`${match.pageIndex}-${match.wordIndex}`}
+                                    style={styles.bookmarkItem}
+                                    onPress={() => { goToMatch(index); setFindListVisible(false); }}
+                                >
+                                    <Text style={[styles.findListPage, { color: colors.primary }]}>Pág. {match.pageIndex + 1}</Text>
+                                    <Text style={[styles.findListSnippet, { color: index === activeMatchIndex ? colors.primary : colors.text }]} numberOfLines={2}>
+                                        {buildSnippet(getPageData(match.pageIndex)?.texto_completo, match.wordIndex, match.wordCount, 5)}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </ScrollView>
+                        <TouchableOpacity onPress={() => setFindListVisible(false)} style={[styles.closeButton, { backgroundColor: colors.primary }]}><Text style={styles.closeButtonText}>Fechar</Text></TouchableOpacity>
+                    </View>
+                </View>
+            </Modal>
+
+            <Modal animationType="slide" transparent={true} visible={sleepModalVisible} onRequestClose={() => setSleepModalVisible(false)}>
+                <View style={styles.modalContainer}>
+                    <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                        <Text style={[styles.modalTitle, { color: colors.text }]}>Timer de Sono</Text>
+                        <ScrollView>
+                            {SLEEP_TIMER_MINUTES.map(minutes => (
+                                <TouchableOpacity key={minutes} style={styles.bookmarkItem} onPress={() => handleSelectSleepTimer(minutes)}>
+                                    <Text style={[styles.bookmarkText, { color: colors.text }]}>{minutes} minutos</Text>
+                                </TouchableOpacity>
+                            ))}
+                            <TouchableOpacity style={styles.bookmarkItem} onPress={() => handleSelectSleepTimer('page')}>
+                                <Text style={[styles.bookmarkText, { color: colors.text }]}>Fim da página</Text>
+                            </TouchableOpacity>
+                            {bookInfo.chapters?.length > 0 && (
+                                <TouchableOpacity style={styles.bookmarkItem} onPress={() => handleSelectSleepTimer('chapter')}>
+                                    <Text style={[styles.bookmarkText, { color: colors.text }]}>Fim do capítulo</Text>
+                                </TouchableOpacity>
+                            )}
+                            {sleepTimer && (
+                                <TouchableOpacity style={styles.bookmarkItem} onPress={() => handleSelectSleepTimer(null)}>
+                                    <Text style={[styles.bookmarkText, { color: '#E71D36' }]}>Desligar timer</Text>
+                                </TouchableOpacity>
+                            )}
+                        </ScrollView>
+                        <TouchableOpacity onPress={() => setSleepModalVisible(false)} style={[styles.closeButton, { backgroundColor: colors.primary }]}><Text style={styles.closeButtonText}>Fechar</Text></TouchableOpacity>
+                    </View>
+                </View>
+            </Modal>
+
+            {findVisible && (
+                <View style={[styles.findBar, { backgroundColor: colors.card }]}>
+                    <TextInput
+                        style={[styles.findInput, { color: colors.text }]}
+                        value={findInput}
+                        onChangeText={setFindInput}
+                        placeholder="Procurar no livro..."
+                        placeholderTextColor={colors.subtext}
+                        autoFocus={!route.params.searchQuery}
+                        returnKeyType="search"
+                        onSubmitEditing={() => handleFindStep(1)}
+                    />
+                    <TouchableOpacity onPress={() => setFindListVisible(true)} disabled={bookMatches.length === 0}>
+                        <Text style={[styles.findCount, { color: colors.subtext }]}>
+                            {bookMatches.length > 0 ? `${activeMatchIndex + 1}/${bookMatches.length}` : searchQuery.length >= 2 ? '0' : ''}
+                        </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleFindStep(-1)} disabled={bookMatches.length === 0} style={styles.findButton}>
+                        <Ionicons name="chevron-up" size={22} color={bookMatches.length === 0 ? colors.subtext : colors.text} />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleFindStep(1)} disabled={bookMatches.length === 0} style={styles.findButton}>
+                        <Ionicons name="chevron-down" size={22} color={bookMatches.length === 0 ? colors.subtext : colors.text} />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={handleReadFromMatch} disabled={activeMatchIndex < 0} style={styles.findButton}>
+                        <Ionicons name="play" size={20} color={activeMatchIndex < 0 ? colors.subtext : colors.primary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={handleCloseFind} style={styles.findButton}>
+                        <Ionicons name="close" size={22} color={colors.subtext} />
+                    </TouchableOpacity>
+                </View>
+            )}
+
             <View
                 style={styles.contentArea}
                 onLayout={(event) => {
@@ -685,11 +1537,38 @@ export default function PlayerScreen({ route }) {
                 {renderContent()}
             </View>
 
+            {selection && (
+                <View style={[styles.selectionBar, { backgroundColor: colors.card }]}>
+                    {HIGHLIGHT_COLORS.map(color => (
+                        <TouchableOpacity key={color} onPress={() => handleHighlightColor(color)} style={[styles.colorSwatch, { backgroundColor: color }]} />
+                    ))}
+                    {selectedHighlights.length > 0 && (
+                        <TouchableOpacity onPress={handleRemoveSelectedHighlights} style={styles.selectionAction}>
+                            <Ionicons name="trash-outline" size={22} color="#E71D36" />
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity onPress={handleNoteFromSelection} style={styles.selectionAction}>
+                        <Ionicons name="chatbox-ellipses-outline" size={22} color={NOTE_COLOR} />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => setSelection(null)} style={styles.selectionAction}>
+                        <Ionicons name="close" size={22} color={colors.subtext} />
+                    </TouchableOpacity>
+                </View>
+            )}
+
             <View style={[styles.controlsContainer, { borderTopColor: colors.subtext }]}>
-                <Text style={[styles.pageIndicator, { color: colors.subtext }]}>Página {currentPageIndex + 1} de {bookInfo.total_paginas}</Text>
+                <View style={styles.controlsHeader}>
+                    <Text style={[styles.pageIndicator, { color: colors.subtext }]}>Página {currentPageIndex + 1} de {bookInfo.total_paginas}</Text>
+                    <TouchableOpacity onPress={() => setSleepModalVisible(true)} style={styles.sleepButton}>
+                        <Ionicons name={sleepTimer ? 'moon' : 'moon-outline'} size={18} color={sleepTimer ? colors.primary : colors.subtext} />
+                        {sleepTimer && <Text style={[styles.sleepTimerText, { color: colors.primary }]}>{getSleepTimerLabel()}</Text>}
+                    </TouchableOpacity>
+                </View>
                 <View style={styles.playerControls}>
                     <TouchableOpacity onPress={handlePrevious} disabled={currentPageIndex === 0 || isPageLoading}><Ionicons name="play-skip-back-circle-outline" size={50} color={currentPageIndex === 0 || isPageLoading ? colors.subtext : colors.text} /></TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleSkip('sentence', -1)} onLongPress={() => handleSkip('paragraph', -1)} disabled={!pageData?.texto_completo}><Ionicons name="play-back-outline" size={34} color={!pageData?.texto_completo ? colors.subtext : colors.text} /></TouchableOpacity>
                     <TouchableOpacity onPress={handlePlayPause} disabled={!pageData}><Ionicons name={isPlaying ? 'pause-circle' : 'play-circle'} size={80} color={!pageData ? colors.subtext : colors.primary} /></TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleSkip('sentence', 1)} onLongPress={() => handleSkip('paragraph', 1)} disabled={!pageData?.texto_completo}><Ionicons name="play-forward-outline" size={34} color={!pageData?.texto_completo ? colors.subtext : colors.text} /></TouchableOpacity>
                     <TouchableOpacity onPress={handleNext} disabled={currentPageIndex >= bookInfo.total_paginas - 1 || isPageLoading}><Ionicons name="play-skip-forward-circle-outline" size={50} color={currentPageIndex >= bookInfo.total_paginas - 1 || isPageLoading ? colors.subtext : colors.text} /></TouchableOpacity>
                 </View>
                 <View style={styles.speedControls}>
@@ -725,11 +1604,38 @@ const styles = StyleSheet.create({
         backgroundColor: '#fff',
     },
     wordHighlight: { position: 'absolute', opacity: 0.4, borderRadius: 3, },
+    findBar: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 12, paddingVertical: 4 },
+    findInput: { flex: 1, fontSize: 16, paddingVertical: 8 },
+    findCount: { fontSize: 14, marginHorizontal: 6 },
+    findButton: { padding: 6 },
+    findListPage: { fontSize: 14, fontWeight: 'bold', width: 60 },
+    findListSnippet: { flex: 1, fontSize: 14 },
     textContainerScrollView: { padding: 20 },
+    chapterHeading: { fontSize: 13, fontWeight: '600', textTransform: 'uppercase', marginBottom: 12 },
     textContainer: { fontSize: 20, lineHeight: 30 },
     highlightedWord: { paddingVertical: 2, paddingHorizontal: 3, borderRadius: 4, overflow: 'hidden' },
+    notedWord: { textDecorationLine: 'underline', textDecorationStyle: 'dotted' },
+    noteUnderline: { position: 'absolute', height: 2, backgroundColor: NOTE_COLOR },
+    noteMarker: { position: 'absolute', padding: 2 },
+    noteEditorContent: { maxHeight: '85%' },
+    selectionBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 8, paddingHorizontal: 10 },
+    colorSwatch: { width: 28, height: 28, borderRadius: 14, marginHorizontal: 5, borderWidth: 1, borderColor: 'rgba(0, 0, 0, 0.2)' },
+    selectionAction: { padding: 6, marginLeft: 6 },
+    rangePicker: { maxHeight: 160, borderWidth: 1, borderRadius: 8, marginBottom: 15 },
+    rangePickerContent: { padding: 10 },
+    rangePickerText: { fontSize: 16, lineHeight: 24 },
+    rangePickerHint: { fontSize: 14, marginBottom: 8 },
+    notePageTitle: { fontSize: 16, fontWeight: 'bold', marginTop: 10, marginBottom: 4 },
+    noteItem: { flexDirection: 'row', alignItems: 'flex-start', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: '#eee' },
+    noteQuote: { fontSize: 14, fontStyle: 'italic', marginBottom: 4 },
+    noteText: { fontSize: 16 },
+    noteDate: { fontSize: 12, marginTop: 4 },
+    noteAction: { padding: 6, marginLeft: 4 },
     controlsContainer: { flex: 2, justifyContent: 'center', borderTopWidth: 1, paddingVertical: 10, paddingHorizontal: 20 },
-    pageIndicator: { fontSize: 16, textAlign: 'center', marginBottom: 15, fontWeight: '600' },
+    controlsHeader: { flexDirection: 'row', justifyContent: 'center', alignItems: 'center', marginBottom: 15 },
+    pageIndicator: { fontSize: 16, textAlign: 'center', fontWeight: '600' },
+    sleepButton: { flexDirection: 'row', alignItems: 'center', marginLeft: 15, padding: 4 },
+    sleepTimerText: { fontSize: 14, fontWeight: '600', marginLeft: 4 },
     playerControls: { flexDirection: 'row', justifyContent: 'space-around', alignItems: 'center', width: '100%', marginBottom: 20 },
     speedControls: { flexDirection: 'row', justifyContent: 'center', alignItems: 'center', width: '100%', marginTop: 10 },
     speedLabel: { fontSize: 16, marginRight: 15, fontWeight: '500' },
@@ -740,7 +1646,12 @@ const styles = StyleSheet.create({
     modalContent: { width: '85%', maxHeight: '60%', borderRadius: 12, padding: 20, elevation: 5, shadowColor: '#000', shadowOffset: { width: 0, height: 2 }, shadowOpacity: 0.25, shadowRadius: 4 },
     modalTitle: { fontSize: 22, fontWeight: 'bold', marginBottom: 20, textAlign: 'center' },
     bookmarkItem: { flexDirection: 'row', alignItems: 'center', paddingVertical: 15, borderBottomWidth: 1, borderBottomColor: '#eee' },
-    bookmarkText: { fontSize: 18, marginLeft: 15 },
+    bookmarkText: { fontSize: 18 },
+    bookmarkInfo: { flex: 1, flexDirection: 'row', alignItems: 'flex-start' },
+    bookmarkDetails: { flex: 1, marginLeft: 15 },
+    bookmarkSnippet: { fontSize: 14, marginTop: 2 },
+    bookmarkRename: { flexDirection: 'row', alignItems: 'center', marginTop: 10 },
+    bookmarkRenameInput: { flex: 1, borderWidth: 1, borderRadius: 8, paddingHorizontal: 10, paddingVertical: 8, fontSize: 16, marginRight: 10 },
     noBookmarksText: { fontSize: 16, textAlign: 'center', marginTop: 20 },
     closeButton: { marginTop: 20, padding: 12, borderRadius: 8, alignItems: 'center' },
     closeButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
@@ -0,0 +1,111 @@
+// /Front-and/screens/SearchScreen.js
+
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { StyleSheet, Text, View, TextInput, FlatList, TouchableOpacity, ActivityIndicator, SafeAreaView } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { ThemeContext } from '../context/ThemeContext';
+import { searchLibrary } from '../utils/searchIndex';
+import { loadBookPages } from '../utils/libraryManager';
+
+const SEARCH_DELAY = 350; // ms sem digitar antes de buscar
+
+export default function SearchScreen() {
+    const navigation = useNavigation();
+    const { colors } = useContext(ThemeContext);
+
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const searchIdRef = useRef(0);
+
+    useEffect(() => {
+        const trimmed = query.trim();
+        if (trimmed.length < 2) {
+            setResults([]);
+            setIsSearching(false);
+            return;
+        }
+
+        setIsSearching(true);
+        const searchId = ++searchIdRef.current;
+        const timeout = setTimeout(async () => {
+            const found = await searchLibrary(trimmed);
+            // Ignora respostas de buscas que já foram substituídas por outra
+            if (searchId === searchIdRef.current) {
+                setResults(found);
+                setIsSearching(false);
+            }
+        }, SEARCH_DELAY);
+
+        return () => clearTimeout(timeout);
+    }, [query]);
+
+    const handleOpenResult = async (result) => {
+        const pagesData = await loadBookPages(result.book.id_arquivo);
+        if (!pagesData) return;
+        navigation.navigate('Player', {
+            bookInfo: { ...result.book, pagesData },
+            initialPageIndex: result.pageIndex,
+            searchQuery: query.trim(),
+        });
+    };
+
+    const renderEmpty = () => {
+        if (isSearching || query.trim().length < 2) return null;
+        return (
+            <View style={styles.emptyContainer}>
+                <Ionicons name="search-outline" size={56} color={colors.subtext} />
+                <Text style={[styles.emptyText, { color: colors.subtext }]}>Nenhum resultado para "{query.trim()}".</Text>
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+            <View style={[styles.searchBar, { backgroundColor: colors.card }]}>
+                <Ionicons name="search" size={20} color={colors.subtext} />
+                <TextInput
+                    style={[styles.searchInput, { color: colors.text }]}
+                    value={query}
+                    onChangeText={setQuery}
+                    placeholder="Palavra ou frase..."
+                    placeholderTextColor={colors.subtext}
+                    autoFocus
+                    returnKeyType="search"
+                />
+                {isSearching && <ActivityIndicator size="small" color={colors.primary} />}
+            </View>
+            <FlatList
+                data={results}
+                keyExtractor={(item) => `${item.book.id_arquivo}-${item.pageIndex}`}
+                ListEmptyComponent={renderEmpty}
+                renderItem={({ item }) => (
+                    <TouchableOpacity style={[styles.resultItem, { backgroundColor: colors.card }]} onPress={() => handleOpenResult(item)}>
+                        <View style={styles.resultHeader}>
+                            <Text style={[styles.resultBook, { color: colors.text }]} numberOfLines={1}>{item.book.nome_original}</Text>
+                            <Text style={[styles.resultPage, { color: colors.primary }]}>Pág. {item.pageIndex + 1}</Text>
+                        </View>
+                        <Text style={[styles.resultSnippet, { color: colors.subtext }]} numberOfLines={3}>{item.snippet}</Text>
+                    </TouchableOpacity>
+                )}
+                contentContainerStyle={styles.listContainer}
+                keyboardShouldPersistTaps="handled"
+            />
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    searchBar: { flexDirection: 'row', alignItems: 'center', margin: 15, paddingHorizontal: 12, borderRadius: 10, elevation: 1 },
+    searchInput: { flex: 1, fontSize: 16, paddingVertical: 10, marginHorizontal: 8 },
+    listContainer: { paddingHorizontal: 15, paddingBottom: 20 },
+    resultItem: { padding: 15, borderRadius: 10, marginBottom: 10 },
+    resultHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 },
+    resultBook: { flex: 1, fontSize: 16, fontWeight: 'bold', marginRight: 10 },
+    resultPage: { fontSize: 14, fontWeight: '600' },
+    resultSnippet: { fontSize: 14, lineHeight: 20 },
+    emptyContainer: { alignItems: 'center', marginTop: 60, paddingHorizontal: 30 },
+    emptyText: { fontSize: 16, marginTop: 12, textAlign: 'center' },
+});
@@ -1,75 +1,226 @@
 // /Front-and/screens/SettingsScreen.js
 
 import React, { useState, useEffect, useContext } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert, Switch } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert, Switch, ActivityIndicator, TextInput } from 'react-native';
 import * as Speech from 'expo-speech';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as DocumentPicker from 'expo-document-picker';
 import { ThemeContext } from '../context/ThemeContext';
 import { Ionicons } from '@expo/vector-icons';
-
-const VOICE_PREFERENCE_KEY = '@HearLearn:voicePreference';
+import { exportLibrary, readBackup, restoreBackup } from '../utils/backupManager';
+import { DEFAULT_SERVER_URL, loadServerSettings, saveServerSettings, testConnection } from '../utils/apiClient';
+import { MAX_CONCURRENCY, loadConcurrency, setConcurrency } from '../utils/processingQueue';
+import {
+    DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, getLanguageName, getVoicesForLanguage, loadVoicePreferences, saveVoicePreference,
+} from '../utils/voiceManager';
+import { loadPronunciations, setPronunciation, removePronunciation } from '../utils/textNormalizer';
 
 export default function SettingsScreen() {
     const { colors, theme, toggleTheme } = useContext(ThemeContext);
     const isDarkTheme = theme === 'dark';
 
     const [availableVoices, setAvailableVoices] = useState([]);
-    const [selectedVoiceIdentifier, setSelectedVoiceIdentifier] = useState(null);
+    const [voicePreferences, setVoicePreferences] = useState({}); // { [idioma]: identifier }
+    const [isBackupBusy, setIsBackupBusy] = useState(false);
+    const [serverUrl, setServerUrl] = useState('');
+    const [authToken, setAuthToken] = useState('');
+    const [isTestingServer, setIsTestingServer] = useState(false);
+    const [concurrency, setConcurrencyValue] = useState(null);
+    const [pronunciations, setPronunciations] = useState({}); // { termo: forma falada }
+    const [newTerm, setNewTerm] = useState('');
+    const [newSpoken, setNewSpoken] = useState('');
 
-    // Carrega as vozes e a preferência guardada ao iniciar a tela
+    // Carrega as vozes e as preferências guardadas ao iniciar a tela
     useEffect(() => {
         const loadSettings = async () => {
             const voices = await Speech.getAvailableVoicesAsync();
-            const ptBrVoices = voices.filter(v => v.language.startsWith('pt-BR'));
-            setAvailableVoices(ptBrVoices);
-
-            const savedVoice = await AsyncStorage.getItem(VOICE_PREFERENCE_KEY);
-            if (savedVoice) {
-                setSelectedVoiceIdentifier(savedVoice);
-            } else if (ptBrVoices.length > 0) {
-                setSelectedVoiceIdentifier(ptBrVoices[0].identifier);
-            }
+            setAvailableVoices(voices);
+            setVoicePreferences(await loadVoicePreferences());
+            setPronunciations(await loadPronunciations());
         };
 
         loadSettings();
     }, []);
 
-    // Função para guardar a nova preferência de voz
-    const handleSelectVoice = async (voiceIdentifier) => {
+    useEffect(() => {
+        loadServerSettings().then(settings => {
+            setServerUrl(settings.serverUrl);
+            setAuthToken(settings.authToken);
+        });
+        loadConcurrency().then(setConcurrencyValue);
+    }, []);
+
+    // Idiomas com voz instalada no aparelho (português aparece sempre)
+    const voiceLanguages = SUPPORTED_LANGUAGES.filter(language =>
+        language === DEFAULT_LANGUAGE || getVoicesForLanguage(availableVoices, language).length > 0
+    );
+
+    // Função para guardar a nova preferência de voz do idioma
+    const handleSelectVoice = async (language, voiceIdentifier) => {
         try {
-            await AsyncStorage.setItem(VOICE_PREFERENCE_KEY, voiceIdentifier);
-            setSelectedVoiceIdentifier(voiceIdentifier);
+            setVoicePreferences(await saveVoicePreference(language, voiceIdentifier));
         } catch (e) {
             console.error("Erro ao guardar a preferência de voz.", e);
             Alert.alert("Erro", "Não foi possível guardar a sua preferência.");
         }
     };
 
-    // Função para mostrar o menu de seleção de vozes
-    const showVoiceSelector = () => {
-        if (availableVoices.length === 0) {
-            Alert.alert("Sem Vozes", "Nenhuma voz adicional em Português (BR) foi encontrada neste dispositivo.");
+    // Função para mostrar o menu de seleção de vozes de um idioma
+    const showVoiceSelector = (language) => {
+        const voices = getVoicesForLanguage(availableVoices, language);
+        if (voices.length === 0) {
+            Alert.alert("Sem Vozes", `Nenhuma voz em ${getLanguageName(language)} foi encontrada neste dispositivo.`);
             return;
         }
 
-        const voiceOptions = availableVoices.map(voice => ({
-            text: voice.name,
-            onPress: () => handleSelectVoice(voice.identifier)
+        const voiceOptions = voices.map(voice => ({
+            text: `${voice.name} (${voice.language})`,
+            onPress: () => handleSelectVoice(language, voice.identifier)
         }));
 
         Alert.alert(
-            "Escolher Voz",
-            "Selecione uma das vozes disponíveis:",
+            `Voz em ${getLanguageName(language)}`,
+            "Os livros neste idioma serão lidos com a voz escolhida:",
             [...voiceOptions, { text: "Cancelar", style: "cancel" }],
             { cancelable: true }
         );
     };
 
-    const getSelectedVoiceName = () => {
-        const voice = availableVoices.find(v => v.identifier === selectedVoiceIdentifier);
+    // Sem preferência, vale a primeira voz do idioma (a mesma que o player usa)
+    const getSelectedVoiceName = (language) => {
+        const voices = getVoicesForLanguage(availableVoices, language);
+        const voice = voices.find(v => v.identifier === voicePreferences[language]) || voices[0];
         return voice ? voice.name : "Padrão";
     };
 
+    // O termo é comparado palavra a palavra na leitura, sem diferenciar maiúsculas
+    const handleAddPronunciation = async () => {
+        const term = newTerm.trim();
+        const spoken = newSpoken.trim();
+        if (!term || !spoken) return;
+        if (/\s/.test(term)) {
+            Alert.alert("Termo Inválido", "Use um termo de uma palavra só (ex: SQL ou e.g.).");
+            return;
+        }
+        try {
+            setPronunciations(await setPronunciation(term, spoken));
+            setNewTerm('');
+            setNewSpoken('');
+        } catch (e) {
+            console.error("Erro ao guardar a pronúncia.", e);
+            Alert.alert("Erro", "Não foi possível guardar a pronúncia.");
+        }
+    };
+
+    const handleRemovePronunciation = (term) => {
+        Alert.alert("Excluir Pronúncia", `Remover "${term}" do dicionário?`, [
+            { text: "Cancelar", style: "cancel" },
+            {
+                text: "Excluir", style: "destructive", onPress: async () => {
+                    try {
+                        setPronunciations(await removePronunciation(term));
+                    } catch (e) {
+                        console.error("Erro ao excluir a pronúncia.", e);
+                        Alert.alert("Erro", "Não foi possível excluir a pronúncia.");
+                    }
+                }
+            },
+        ]);
+    };
+
+    const handleSaveServer = async () => {
+        try {
+            const saved = await saveServerSettings({ serverUrl, authToken });
+            setServerUrl(saved.serverUrl);
+            setAuthToken(saved.authToken);
+            Alert.alert("Servidor Guardado", `Os livros novos serão processados em ${saved.serverUrl}.`);
+        } catch (e) {
+            console.error("Erro ao guardar as configurações do servidor.", e);
+            Alert.alert("Erro", "Não foi possível guardar as configurações do servidor.");
+        }
+    };
+
+    const handleResetServer = () => {
+        setServerUrl(DEFAULT_SERVER_URL);
+        setAuthToken('');
+    };
+
+    const handleTestServer = async () => {
+        setIsTestingServer(true);
+        try {
+            const { latency } = await testConnection({ serverUrl, authToken });
+            Alert.alert("Conexão OK", `O servidor respondeu em ${latency} ms.`);
+        } catch (e) {
+            console.error("Erro ao testar o servidor.", e);
+            Alert.alert("Falha na Conexão", e.message);
+        } finally {
+            setIsTestingServer(false);
+        }
+    };
+
+    // Passo de um em um entre 1 e MAX_CONCURRENCY
+    const handleChangeConcurrency = async (delta) => {
+        if (concurrency == null) return;
+        const value = concurrency + delta;
+        if (value < 1 || value > MAX_CONCURRENCY) return;
+        try {
+            setConcurrencyValue(await setConcurrency(value));
+        } catch (e) {
+            console.error("Erro ao guardar o limite de páginas em paralelo.", e);
+            Alert.alert("Erro", "Não foi possível guardar a sua preferência.");
+        }
+    };
+
+    const handleExportLibrary = async () => {
+        setIsBackupBusy(true);
+        try {
+            await exportLibrary();
+        } catch (e) {
+            console.error("Erro ao exportar a biblioteca.", e);
+            Alert.alert("Erro", e.message || "Não foi possível exportar a biblioteca.");
+        } finally {
+            setIsBackupBusy(false);
+        }
+    };
+
+    const runRestore = async (backup, mode) => {
+        setIsBackupBusy(true);
+        try {
+            const { restored, skipped } = await restoreBackup(backup, mode);
+            const skippedMessage = skipped > 0 ? ` ${skipped} já existia(m) na estante e foi(ram) mantido(s).` : '';
+            Alert.alert("Backup Restaurado", `${restored} livro(s) restaurado(s).${skippedMessage}`);
+        } catch (e) {
+            console.error("Erro ao restaurar o backup.", e);
+            Alert.alert("Erro", "Não foi possível restaurar o backup.");
+        } finally {
+            setIsBackupBusy(false);
+        }
+    };
+
+    const handleImportBackup = async () => {
+        try {
+            const result = await DocumentPicker.getDocumentAsync({ type: ['application/x-ndjson', 'application/json', '*/*'], copyToCacheDirectory: true });
+            if (result.canceled) return;
+
+            setIsBackupBusy(true);
+            const backup = await readBackup(result.assets[0].uri);
+            setIsBackupBusy(false);
+
+            Alert.alert(
+                "Restaurar Backup",
+                `O backup contém ${backup.bookCount} livro(s). Como deseja restaurá-lo?`,
+                [
+                    { text: "Cancelar", style: "cancel" },
+                    { text: "Mesclar", onPress: () => runRestore(backup, 'merge') },
+                    { text: "Substituir Tudo", style: "destructive", onPress: () => runRestore(backup, 'replace') },
+                ]
+            );
+        } catch (e) {
+            console.error("Erro ao ler o backup.", e);
+            setIsBackupBusy(false);
+            Alert.alert("Backup Inválido", e.message || "Não foi possível ler o arquivo escolhido.");
+        }
+    };
+
     return (
         <View style={[styles.container, { backgroundColor: colors.background }]}>
              <Text style={[styles.headerTitle, { color: colors.text }]}>Configurações</Text>
@@ -97,12 +248,136 @@ export default function SettingsScreen() {
                         <Ionicons name="volume-medium-outline" size={22} color={colors.subtext} />
                         <Text style={[styles.cardTitle, { color: colors.subtext }]}>LEITURA</Text>
                     </View>
-                    <TouchableOpacity style={styles.optionRow} onPress={showVoiceSelector}>
-                        <Text style={[styles.optionText, { color: colors.text }]}>Voz</Text>
-                        <View style={styles.valueContainer}>
-                           <Text style={[styles.valueText, { color: colors.primary }]}>{getSelectedVoiceName()}</Text>
-                           <Ionicons name="chevron-forward" size={20} color={colors.subtext} />
+                    {voiceLanguages.map(language => (
+                        <TouchableOpacity key={language} style={styles.optionRow} onPress={() => showVoiceSelector(language)}>
+                            <Text style={[styles.optionText, { color: colors.text }]}>Voz em {getLanguageName(language)}</Text>
+                            <View style={styles.valueContainer}>
+                               <Text style={[styles.valueText, { color: colors.primary }]} numberOfLines={1}>{getSelectedVoiceName(language)}</Text>
+                               <Ionicons name="chevron-forward" size={20} color={colors.subtext} />
+                            </View>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                {/* Cartão de Pronúncias */}
+                <View style={[styles.card, { backgroundColor: colors.card }]}>
+                    <View style={styles.cardHeader}>
+                        <Ionicons name="chatbubble-ellipses-outline" size={22} color={colors.subtext} />
+                        <Text style={[styles.cardTitle, { color: colors.subtext }]}>PRONÚNCIAS</Text>
+                    </View>
+                    {Object.entries(pronunciations).map(([term, spoken]) => (
+                        <View key={term} style={styles.optionRow}>
+                            <Text style={[styles.optionText, styles.pronunciationText, { color: colors.text }]} numberOfLines={1}>
+                                {term} → <Text style={{ color: colors.primary }}>{spoken}</Text>
+                            </Text>
+                            <TouchableOpacity onPress={() => handleRemovePronunciation(term)}>
+                                <Ionicons name="trash-outline" size={20} color={colors.subtext} />
+                            </TouchableOpacity>
                         </View>
+                    ))}
+                    <View style={[styles.inputRow, styles.pronunciationInputs]}>
+                        <TextInput
+                            style={[styles.input, styles.pronunciationInput, { color: colors.text, borderColor: colors.subtext }]}
+                            value={newTerm}
+                            onChangeText={setNewTerm}
+                            placeholder="Termo (ex: SQL)"
+                            placeholderTextColor={colors.subtext}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                        />
+                        <TextInput
+                            style={[styles.input, styles.pronunciationInput, { color: colors.text, borderColor: colors.subtext }]}
+                            value={newSpoken}
+                            onChangeText={setNewSpoken}
+                            placeholder="Como ler (ex: síquel)"
+                            placeholderTextColor={colors.subtext}
+                            autoCorrect={false}
+                        />
+                    </View>
+                    <TouchableOpacity style={styles.optionRow} onPress={handleAddPronunciation} disabled={!newTerm.trim() || !newSpoken.trim()}>
+                        <Text style={[styles.optionText, { color: colors.primary }]}>Adicionar pronúncia</Text>
+                        <Ionicons name="add" size={20} color={colors.primary} />
+                    </TouchableOpacity>
+                </View>
+
+                {/* Cartão do Servidor */}
+                <View style={[styles.card, { backgroundColor: colors.card }]}>
+                    <View style={styles.cardHeader}>
+                        <Ionicons name="server-outline" size={22} color={colors.subtext} />
+                        <Text style={[styles.cardTitle, { color: colors.subtext }]}>SERVIDOR</Text>
+                        {isTestingServer && <ActivityIndicator style={styles.cardSpinner} size="small" color={colors.primary} />}
+                    </View>
+                    <View style={styles.inputRow}>
+                        <Text style={[styles.inputLabel, { color: colors.subtext }]}>Endereço</Text>
+                        <TextInput
+                            style={[styles.input, { color: colors.text, borderColor: colors.subtext }]}
+                            value={serverUrl}
+                            onChangeText={setServerUrl}
+                            placeholder={DEFAULT_SERVER_URL}
+                            placeholderTextColor={colors.subtext}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            keyboardType="url"
+                        />
+                    </View>
+                    <View style={styles.inputRow}>
+                        <Text style={[styles.inputLabel, { color: colors.subtext }]}>Token de acesso (opcional)</Text>
+                        <TextInput
+                            style={[styles.input, { color: colors.text, borderColor: colors.subtext }]}
+                            value={authToken}
+                            onChangeText={setAuthToken}
+                            placeholder="Sem token"
+                            placeholderTextColor={colors.subtext}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            secureTextEntry
+                        />
+                    </View>
+                    <View style={styles.optionRow}>
+                        <View style={styles.optionLabel}>
+                            <Text style={[styles.optionText, { color: colors.text }]}>Páginas em paralelo</Text>
+                            <Text style={[styles.optionHint, { color: colors.subtext }]}>
+                                Mais páginas ao mesmo tempo processam os livros mais depressa, mas exigem mais do servidor.
+                            </Text>
+                        </View>
+                        <View style={styles.stepper}>
+                            <TouchableOpacity onPress={() => handleChangeConcurrency(-1)} disabled={!concurrency || concurrency <= 1}>
+                                <Ionicons name="remove-circle-outline" size={28} color={!concurrency || concurrency <= 1 ? colors.subtext : colors.primary} />
+                            </TouchableOpacity>
+                            <Text style={[styles.stepperValue, { color: colors.primary }]}>{concurrency ?? '-'}</Text>
+                            <TouchableOpacity onPress={() => handleChangeConcurrency(1)} disabled={!concurrency || concurrency >= MAX_CONCURRENCY}>
+                                <Ionicons name="add-circle-outline" size={28} color={!concurrency || concurrency >= MAX_CONCURRENCY ? colors.subtext : colors.primary} />
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                    <TouchableOpacity style={styles.optionRow} onPress={handleTestServer} disabled={isTestingServer}>
+                        <Text style={[styles.optionText, { color: colors.text }]}>Testar conexão</Text>
+                        <Ionicons name="pulse-outline" size={20} color={colors.subtext} />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.optionRow} onPress={handleSaveServer}>
+                        <Text style={[styles.optionText, { color: colors.primary }]}>Guardar</Text>
+                        <Ionicons name="checkmark" size={20} color={colors.primary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.optionRow} onPress={handleResetServer}>
+                        <Text style={[styles.optionText, { color: colors.text }]}>Usar servidor padrão</Text>
+                        <Ionicons name="refresh-outline" size={20} color={colors.subtext} />
+                    </TouchableOpacity>
+                </View>
+
+                {/* Cartão de Backup */}
+                <View style={[styles.card, { backgroundColor: colors.card }]}>
+                    <View style={styles.cardHeader}>
+                        <Ionicons name="cloud-upload-outline" size={22} color={colors.subtext} />
+                        <Text style={[styles.cardTitle, { color: colors.subtext }]}>BACKUP</Text>
+                        {isBackupBusy && <ActivityIndicator style={styles.cardSpinner} size="small" color={colors.primary} />}
+                    </View>
+                    <TouchableOpacity style={styles.optionRow} onPress={handleExportLibrary} disabled={isBackupBusy}>
+                        <Text style={[styles.optionText, { color: colors.text }]}>Exportar biblioteca</Text>
+                        <Ionicons name="share-outline" size={20} color={colors.subtext} />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.optionRow} onPress={handleImportBackup} disabled={isBackupBusy}>
+                        <Text style={[styles.optionText, { color: colors.text }]}>Restaurar backup</Text>
+                        <Ionicons name="download-outline" size={20} color={colors.subtext} />
                     </TouchableOpacity>
                 </View>
             </ScrollView>
@@ -144,6 +419,9 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         letterSpacing: 0.5,
     },
+    cardSpinner: {
+        marginLeft: 'auto',
+    },
     optionRow: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -155,12 +433,59 @@ const styles = StyleSheet.create({
     optionText: {
         fontSize: 17,
     },
+    optionLabel: {
+        flexShrink: 1,
+        marginRight: 10,
+    },
+    optionHint: {
+        fontSize: 13,
+        marginTop: 4,
+    },
+    stepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    stepperValue: {
+        fontSize: 17,
+        minWidth: 32,
+        textAlign: 'center',
+    },
+    inputRow: {
+        paddingVertical: 10,
+        borderTopWidth: 1,
+        borderTopColor: '#eee',
+    },
+    inputLabel: {
+        fontSize: 13,
+        marginBottom: 6,
+    },
+    input: {
+        borderWidth: 1,
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        fontSize: 15,
+    },
+    pronunciationText: {
+        flexShrink: 1,
+        marginRight: 10,
+    },
+    pronunciationInputs: {
+        flexDirection: 'row',
+    },
+    pronunciationInput: {
+        flex: 1,
+        marginRight: 8,
+    },
     valueContainer: {
         flexDirection: 'row',
         alignItems: 'center',
+        flexShrink: 1,
+        marginLeft: 10,
     },
     valueText: {
         fontSize: 17,
         marginRight: 5,
+        flexShrink: 1,
     },
 });
@@ -2,15 +2,12 @@ import React, { useState, useContext } from 'react';
 // --- INÍCIO DAS ALTERAÇÕES ---
 // Adiciona os imports necessários para lidar com ficheiros e partilha
 import { View, Text, StyleSheet, SafeAreaView, TouchableOpacity, TextInput, ScrollView, Alert, ActivityIndicator } from 'react-native';
-import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 // --- FIM DAS ALTERAÇÕES ---
 import { ThemeContext } from '../context/ThemeContext';
 import { Ionicons } from '@expo/vector-icons';
 import { Audio } from 'expo-av';
-import axios from 'axios';
-
-const API_BASE_URL = 'https://willianqf-audio-transcriber.hf.space';
+import { transcribeAudio, generatePdf } from '../utils/apiClient';
 
 export default function VoiceToPdfScreen() {
     const { colors } = useContext(ThemeContext);
@@ -62,27 +59,13 @@ export default function VoiceToPdfScreen() {
     };
 
     const uploadAndTranscribeAudio = async (fileUri) => {
-        const formData = new FormData();
-        formData.append('audio', {
-            uri: fileUri,
-            type: 'audio/m4a',
-            name: `audio-${Date.now()}.m4a`,
-        });
-
         try {
-            const response = await axios.post(`${API_BASE_URL}/transcrever_audio`, formData, {
-                headers: { 'Content-Type': 'multipart/form-data' },
-            });
-
-            if (response.data && response.data.texto) {
-                setRecognizedText(prevText => prevText ? `${prevText} ${response.data.texto}` : response.data.texto);
-                setStatusMessage('Texto transcrito! Edite se necessário e gere o PDF.');
-            } else {
-                Alert.alert('Erro na Transcrição', response.data.erro || 'Não foi possível obter o texto do áudio.');
-            }
+            const texto = await transcribeAudio(fileUri);
+            setRecognizedText(prevText => prevText ? `${prevText} ${texto}` : texto);
+            setStatusMessage('Texto transcrito! Edite se necessário e gere o PDF.');
         } catch (error) {
             console.error('Erro ao enviar o áudio:', error);
-            Alert.alert('Erro de Rede', 'Não foi possível conectar ao servidor para transcrever.');
+            Alert.alert(error.isNetworkError ? 'Erro de Rede' : 'Erro na Transcrição', error.message);
         } finally {
             setIsProcessing(false);
         }
@@ -99,51 +82,19 @@ export default function VoiceToPdfScreen() {
         setStatusMessage('A gerar PDF...');
 
         try {
-            // Usamos 'fetch' que é melhor para lidar com dados binários (ficheiros)
-            const response = await fetch(`${API_BASE_URL}/gerar_pdf`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ texto: recognizedText }),
-            });
+            const fileUri = await generatePdf(recognizedText);
+            console.log("PDF guardado em:", fileUri);
+            setStatusMessage('PDF gerado! A abrir menu de partilha...');
 
-            // Verificamos se a resposta do servidor foi bem-sucedida
-            if (!response.ok) {
-                // Se o servidor enviou um erro, tentamos mostrar a mensagem
-                const errorData = await response.json();
-                throw new Error(errorData.erro || "Falha ao gerar o PDF no servidor.");
+            // Abre o menu de partilha do sistema operativo
+            if (await Sharing.isAvailableAsync()) {
+                await Sharing.shareAsync(fileUri);
+            } else {
+                Alert.alert("Partilha não disponível", "Não é possível abrir o menu de partilha neste dispositivo.");
             }
-
-            // Pega o conteúdo do ficheiro como um 'blob'
-            const blob = await response.blob();
-
-            // Define um nome único para o ficheiro
-            const filename = `audioescrito_${Date.now()}.pdf`;
-            // Define o local onde o ficheiro será guardado no telemóvel
-            const fileUri = `${FileSystem.documentDirectory}${filename}`;
-
-            // Converte o blob para base64 para o FileSystem poder guardá-lo
-            const reader = new FileReader();
-            reader.readAsDataURL(blob);
-            reader.onloadend = async () => {
-                const base64data = reader.result;
-                // Guarda o ficheiro no dispositivo
-                await FileSystem.writeAsStringAsync(fileUri, base64data.split(',')[1], {
-                    encoding: FileSystem.EncodingType.Base64,
-                });
-
-                console.log("PDF guardado em:", fileUri);
-                setStatusMessage('PDF gerado! A abrir menu de partilha...');
-
-                // Abre o menu de partilha do sistema operativo
-                if (await Sharing.isAvailableAsync()) {
-                    await Sharing.shareAsync(fileUri);
-                } else {
-                    Alert.alert("Partilha não disponível", "Não é possível abrir o menu de partilha neste dispositivo.");
-                }
-                // Limpa o estado após a partilha
-                setIsProcessing(false);
-                setStatusMessage('Pressione o botão para iniciar uma nova gravação.');
-            };
+            // Limpa o estado após a partilha
+            setIsProcessing(false);
+            setStatusMessage('Pressione o botão para iniciar uma nova gravação.');
 
         } catch (error) {
             console.error("Erro ao gerar PDF:", error);
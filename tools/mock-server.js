@@ -0,0 +1,213 @@
+// /Front-and/tools/mock-server.js
+
+// Servidor de processamento falso, para testar o app sem o servidor real.
+// Segue o mesmo contrato de utils/apiClient.js e devolve páginas no formato
+// de utils/pageSchema.js, com texto inventado.
+//
+// Uso: npm run mock-server   (e aponte o app para http://<ip-do-computador>:8000
+// em Configurações > Servidor)
+//
+// Variáveis de ambiente:
+//   PORT               porta (padrão 8000)
+//   MOCK_TOKEN         exige "Authorization: Bearer <token>"
+//   MOCK_DELAY         atraso de cada resposta em ms (padrão 300)
+//   MOCK_FAIL_RATE     fração das páginas que respondem com HTTP 500 (0 a 1)
+//   MOCK_INVALID_RATE  fração das páginas que chegam fora do formato (0 a 1)
+//   MOCK_OCR_RATE      fração das páginas marcadas como extraídas por OCR (0 a 1)
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT, 10) || 8000;
+const TOKEN = process.env.MOCK_TOKEN || '';
+const DELAY = parseInt(process.env.MOCK_DELAY, 10) || 300;
+const FAIL_RATE = parseFloat(process.env.MOCK_FAIL_RATE) || 0;
+const INVALID_RATE = parseFloat(process.env.MOCK_INVALID_RATE) || 0;
+const OCR_RATE = parseFloat(process.env.MOCK_OCR_RATE) || 0;
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 18;
+
+const SENTENCES = [
+    'Era uma vez um leitor que gostava de ouvir os livros enquanto caminhava pela cidade.',
+    'Cada página trazia uma nova história, com personagens que pareciam conversar com ele.',
+    'A voz acompanhava as palavras destacadas, e o texto seguia sem pressa.',
+    'No fim do capítulo, ele marcava a página e guardava o livro para o dia seguinte.',
+    'Algumas frases eram tão boas que mereciam ser ouvidas duas vezes.',
+    'O servidor de testes inventa este texto para que o aplicativo tenha algo para ler.',
+];
+
+const books = new Map(); // { [id_arquivo]: { nome, totalPaginas } }
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+};
+
+// Página com as palavras distribuídas em linhas, como o servidor real devolve
+const buildPage = (bookId, pageNumber) => {
+    const words = [];
+    let sentence = (pageNumber * 7 + bookId.length) % SENTENCES.length;
+    while (words.length < 120) {
+        words.push(...SENTENCES[sentence].split(' '));
+        sentence = (sentence + 1) % SENTENCES.length;
+    }
+    words.unshift('Página', `${pageNumber}.`);
+
+    let x = MARGIN;
+    let y = MARGIN;
+    const palavras = words.map(texto => {
+        const width = texto.length * FONT_SIZE * 0.5;
+        if (x + width > PAGE_WIDTH - MARGIN) {
+            x = MARGIN;
+            y += LINE_HEIGHT;
+        }
+        const coords = { x0: x, y0: y, x1: x + width, y1: y + FONT_SIZE };
+        x += width + FONT_SIZE * 0.3;
+        return { texto, coords };
+    });
+
+    return {
+        texto_completo: words.join(' '),
+        palavras,
+        dimensoes: { largura: PAGE_WIDTH, altura: PAGE_HEIGHT },
+        idioma: 'pt',
+        extraido_por_ocr: Math.random() < OCR_RATE,
+    };
+};
+
+// Estraga a página de um dos jeitos que o app precisa recusar
+const breakPage = (page) => {
+    const variants = [
+        () => ({ ...page, palavras: page.palavras.slice(1) }),
+        () => ({ ...page, dimensoes: { largura: 0 } }),
+        () => ({ ...page, texto_completo: undefined }),
+        () => ({ ...page, palavras: 'não é uma lista' }),
+    ];
+    return variants[Math.floor(Math.random() * variants.length)]();
+};
+
+// Conta as páginas do PDF recebido; se não achar nenhuma, finge que tem 5
+const countPdfPages = (body) => {
+    const matches = body.toString('latin1').match(/\/Type\s*\/Page[^s]/g);
+    return matches ? matches.length : 5;
+};
+
+const getUploadedName = (body) => {
+    const match = /filename="([^"]*)"/.exec(body.toString('latin1'));
+    return match ? Buffer.from(match[1], 'latin1').toString('utf8') : 'documento.pdf';
+};
+
+// PDF mínimo de uma página com o texto recebido
+const buildPdf = (text) => {
+    const escaped = text.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?').slice(0, 200);
+    const content = `BT /F1 12 Tf 56 780 Td (${escaped}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+const routes = {
+    'GET /': async (req, res) => sendJson(res, 200, { status: 'ok', servidor: 'mock' }),
+
+    'POST /iniciar_processamento': async (req, res) => {
+        const body = await readBody(req);
+        const nome = getUploadedName(body);
+        const id = `mock_${Date.now()}`;
+        const totalPaginas = countPdfPages(body);
+        books.set(id, { nome, totalPaginas });
+        console.log(`Recebido ${nome} (${totalPaginas} páginas) como ${id}`);
+        sendJson(res, 200, { id_arquivo: id, nome_original: encodeURIComponent(nome), total_paginas: totalPaginas });
+    },
+
+    'POST /obter_dados_pagina': async (req, res) => {
+        let request;
+        try {
+            request = JSON.parse((await readBody(req)).toString('utf8'));
+        } catch (e) {
+            sendJson(res, 400, { status: 'erro', erro: 'Corpo da requisição inválido.' });
+            return;
+        }
+        const { id_arquivo: bookId, numero_pagina: pageNumber } = request;
+        const book = books.get(bookId);
+        // Depois de reiniciar o mock, ids antigos ainda respondem (com 5 páginas)
+        const totalPages = book ? book.totalPaginas : 5;
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > totalPages) {
+            sendJson(res, 404, { status: 'erro', erro: `Página ${pageNumber} não existe.` });
+            return;
+        }
+        if (Math.random() < FAIL_RATE) {
+            sendJson(res, 500, { status: 'erro', erro: 'Falha simulada do servidor.' });
+            return;
+        }
+        const page = buildPage(String(bookId), pageNumber);
+        sendJson(res, 200, { status: 'sucesso', dados: Math.random() < INVALID_RATE ? breakPage(page) : page });
+    },
+
+    'POST /transcrever_audio': async (req, res) => {
+        await readBody(req);
+        sendJson(res, 200, { texto: 'Texto transcrito pelo servidor de testes.' });
+    },
+
+    'POST /gerar_pdf': async (req, res) => {
+        let texto = '';
+        try {
+            texto = JSON.parse((await readBody(req)).toString('utf8')).texto || '';
+        } catch (e) {
+            sendJson(res, 400, { erro: 'Corpo da requisição inválido.' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        res.end(buildPdf(texto));
+    },
+};
+
+const server = http.createServer(async (req, res) => {
+    const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+    console.log(`${req.method} ${req.url}`);
+    try {
+        await wait(DELAY);
+        if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+            sendJson(res, 401, { status: 'erro', erro: 'Token inválido.' });
+            return;
+        }
+        if (!route) {
+            sendJson(res, 404, { status: 'erro', erro: 'Rota não encontrada.' });
+            return;
+        }
+        await route(req, res);
+    } catch (e) {
+        console.error("Erro no servidor de testes:", e);
+        if (!res.headersSent) sendJson(res, 500, { status: 'erro', erro: e.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Servidor de testes em http://localhost:${PORT}`);
+});
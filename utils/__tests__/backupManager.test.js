@@ -0,0 +1,217 @@
+// /Front-and/utils/__tests__/backupManager.test.js
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Sistema de arquivos em memória. Os arquivos guardam bytes (string binária),
+// como no aparelho, para a leitura em pedaços por posição funcionar.
+jest.mock('expo-file-system', () => {
+    const { encode, decode } = require('base-64');
+    const files = new Map();
+    const toBinary = (text) => Buffer.from(text, 'utf8').toString('latin1');
+    return {
+        __files: files,
+        documentDirectory: 'file:///docs/',
+        cacheDirectory: 'file:///cache/',
+        EncodingType: { Base64: 'base64', UTF8: 'utf8' },
+        getInfoAsync: async (path) => (files.has(path)
+            ? { exists: true, size: files.get(path).length }
+            : { exists: false }),
+        readAsStringAsync: async (path, { encoding, position = 0, length } = {}) => {
+            if (!files.has(path)) throw new Error(`Arquivo não encontrado: ${path}`);
+            const bytes = files.get(path);
+            if (encoding === 'base64') {
+                return encode(bytes.slice(position, length == null ? undefined : position + length));
+            }
+            return Buffer.from(bytes, 'latin1').toString('utf8');
+        },
+        writeAsStringAsync: async (path, content, { encoding } = {}) => {
+            files.set(path, encoding === 'base64' ? decode(content) : toBinary(content));
+        },
+        makeDirectoryAsync: async () => {},
+        deleteAsync: async (path) => {
+            [...files.keys()].filter(key => key.startsWith(path)).forEach(key => files.delete(key));
+        },
+    };
+});
+
+jest.mock('expo-file-system/next', () => {
+    const { __files: files } = require('expo-file-system');
+    return {
+        File: class {
+            constructor(uri) { this.uri = uri; }
+            get exists() { return files.has(this.uri); }
+            create() { files.set(this.uri, ''); }
+            delete() { files.delete(this.uri); }
+            open() {
+                const uri = this.uri;
+                return {
+                    writeBytes: (bytes) => { files.set(uri, files.get(uri) + Buffer.from(bytes).toString('latin1')); },
+                    close: () => {},
+                };
+            }
+        },
+    };
+});
+
+jest.mock('expo-sharing', () => ({}));
+jest.mock('../processingQueue', () => ({
+    forgetBook: jest.fn(async () => {}),
+    enqueueBook: jest.fn(async () => {}),
+}));
+jest.mock('../searchIndex', () => ({ removeBookIndex: jest.fn(async () => {}) }));
+
+const loadModules = () => {
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            backupManager: require('../backupManager'),
+            libraryManager: require('../libraryManager'),
+            processingQueue: require('../processingQueue'),
+            searchIndex: require('../searchIndex'),
+        };
+    });
+    return modules;
+};
+
+const makeBook = (id, nome_original) => ({
+    id_arquivo: id,
+    nome_original,
+    total_paginas: 1,
+    status: 'ready',
+    lastPosition: 0,
+    localUri: `file:///docs/${id}`,
+});
+
+describe('backup da biblioteca', () => {
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await require('@react-native-async-storage/async-storage').clear();
+        require('expo-file-system').__files.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('exporta um livro por linha e restaura substituindo a biblioteca', async () => {
+        const { backupManager, libraryManager, processingQueue, searchIndex } = loadModules();
+        const files = require('expo-file-system').__files;
+        await libraryManager.initializeLibrary();
+
+        // Texto com acentos e um PDF maior que um pedaço de leitura
+        const pdfBytes = 'x'.repeat(600 * 1024);
+        files.set('file:///docs/livro-a', pdfBytes);
+        await libraryManager.restoreBook(makeBook('livro-a', 'Memórias Póstumas.pdf'), [{ texto_completo: 'Ao verme que primeiro roeu' }]);
+        await libraryManager.restoreBook(makeBook('livro-b', 'Dom Casmurro.pdf'), [{ texto_completo: 'Uma noite destas, vindo da cidade' }]);
+
+        const { fileUri, bookCount } = await backupManager.createBackup();
+        expect(bookCount).toBe(2);
+        expect(files.get(fileUri).trim().split('\n')).toHaveLength(3);
+
+        const backup = await backupManager.readBackup(fileUri);
+        expect(backup.bookCount).toBe(2);
+        expect(backup.books).toBeUndefined();
+
+        // Um livro que só existe no aparelho some no modo de substituição
+        await libraryManager.restoreBook(makeBook('livro-c', 'Iracema.pdf'), [{ texto_completo: 'Verdes mares bravios' }]);
+        files.delete('file:///docs/livro-a');
+
+        const result = await backupManager.restoreBackup(backup, 'replace');
+        expect(result).toEqual({ restored: 2, skipped: 0 });
+
+        const library = await libraryManager.loadLibrary();
+        expect(library.map(book => book.id_arquivo).sort()).toEqual(['livro-a', 'livro-b']);
+        expect(library.find(book => book.id_arquivo === 'livro-a').nome_original).toBe('Memórias Póstumas.pdf');
+        expect(files.get('file:///docs/livro-a')).toBe(pdfBytes);
+        expect((await libraryManager.loadPageData('livro-b', 0)).texto_completo).toBe('Uma noite destas, vindo da cidade');
+
+        for (const bookId of ['livro-a', 'livro-b', 'livro-c']) {
+            expect(processingQueue.forgetBook).toHaveBeenCalledWith(bookId);
+            expect(searchIndex.removeBookIndex).toHaveBeenCalledWith(bookId);
+        }
+    });
+
+    it('mantém os livros do aparelho no modo de mesclagem', async () => {
+        const { backupManager, libraryManager } = loadModules();
+        await libraryManager.initializeLibrary();
+        await libraryManager.restoreBook(makeBook('livro-a', 'Original.pdf'), [{ texto_completo: 'um' }]);
+        const { fileUri } = await backupManager.createBackup();
+
+        await libraryManager.updateBook('livro-a', book => ({ ...book, nome_original: 'Renomeado.pdf' }));
+        const result = await backupManager.restoreBackup(await backupManager.readBackup(fileUri), 'merge');
+
+        expect(result).toEqual({ restored: 0, skipped: 1 });
+        expect((await libraryManager.loadBook('livro-a')).nome_original).toBe('Renomeado.pdf');
+    });
+
+    it('recusa um backup cortado no meio', async () => {
+        const { backupManager, libraryManager } = loadModules();
+        const files = require('expo-file-system').__files;
+        await libraryManager.initializeLibrary();
+        await libraryManager.restoreBook(makeBook('livro-a', 'A.pdf'), [{ texto_completo: 'um' }]);
+        await libraryManager.restoreBook(makeBook('livro-b', 'B.pdf'), [{ texto_completo: 'dois' }]);
+        const { fileUri } = await backupManager.createBackup();
+
+        const lines = files.get(fileUri).trim().split('\n');
+        files.set(fileUri, `${lines.slice(0, 2).join('\n')}\n`);
+
+        await expect(backupManager.readBackup(fileUri)).rejects.toThrow('incompleto');
+    });
+
+    it('ainda lê backups da versão 1', async () => {
+        const { backupManager, libraryManager } = loadModules();
+        await libraryManager.initializeLibrary();
+        const { CURRENT_SCHEMA_VERSION } = require('../libraryMigrations');
+        const fileUri = 'file:///cache/antigo.json';
+        await require('expo-file-system').writeAsStringAsync(fileUri, JSON.stringify({
+            format: 'hearlearn-backup',
+            version: 1,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            shelves: [],
+            books: [{ metadata: makeBook('livro-a', 'Ação.pdf'), pages: [{ texto_completo: 'um' }], pdfBase64: null }],
+        }));
+
+        const backup = await backupManager.readBackup(fileUri);
+        expect(backup.bookCount).toBe(1);
+        expect(await backupManager.restoreBackup(backup, 'merge')).toEqual({ restored: 1, skipped: 0 });
+        expect((await libraryManager.loadBook('livro-a')).nome_original).toBe('Ação.pdf');
+    });
+
+    it('devolve à fila os livros que estavam em processamento', async () => {
+        const { backupManager, libraryManager, processingQueue } = loadModules();
+        await libraryManager.initializeLibrary();
+        await libraryManager.restoreBook(makeBook('livro-a', 'Pronto.pdf'), [{ texto_completo: 'um' }]);
+        await libraryManager.restoreBook({ ...makeBook('livro-b', 'Pela metade.pdf'), status: 'processing', total_paginas: 3 },
+            [{ texto_completo: 'um' }]);
+        await libraryManager.restoreBook({
+            ...makeBook('livro-c', 'Com falha.pdf'),
+            failedPages: { 0: { error: 'Tempo esgotado', attempts: 4, pending: true } },
+        }, [{ texto_completo: '' }]);
+        const { fileUri } = await backupManager.createBackup();
+
+        await backupManager.restoreBackup(await backupManager.readBackup(fileUri), 'replace');
+
+        expect(processingQueue.enqueueBook.mock.calls.map(([bookId]) => bookId).sort()).toEqual(['livro-b', 'livro-c']);
+    });
+
+    it('lê uma linha que atravessa vários pedaços de leitura', async () => {
+        const { backupManager, libraryManager } = loadModules();
+        const files = require('expo-file-system').__files;
+        await libraryManager.initializeLibrary();
+        const pdfBytes = 'é'.repeat(700 * 1024);
+        files.set('file:///docs/livro-a', pdfBytes);
+        await libraryManager.restoreBook(makeBook('livro-a', 'Grande.pdf'), [{ texto_completo: 'um' }]);
+        await libraryManager.restoreBook(makeBook('livro-b', 'Pequeno.pdf'), [{ texto_completo: 'dois' }]);
+        const { fileUri } = await backupManager.createBackup();
+
+        const backup = await backupManager.readBackup(fileUri);
+        files.delete('file:///docs/livro-a');
+        await backupManager.restoreBackup(backup, 'replace');
+
+        expect(files.get('file:///docs/livro-a')).toBe(pdfBytes);
+        expect((await libraryManager.loadBook('livro-b')).nome_original).toBe('Pequeno.pdf');
+    });
+});
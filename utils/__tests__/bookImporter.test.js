@@ -0,0 +1,135 @@
+// /Front-and/utils/__tests__/bookImporter.test.js
+
+// Sistema de arquivos em memória; os arquivos guardam bytes (string binária)
+jest.mock('expo-file-system', () => {
+    const { encode } = require('base-64');
+    const files = new Map();
+    return {
+        __files: files,
+        documentDirectory: 'file:///docs/',
+        cacheDirectory: 'file:///cache/',
+        EncodingType: { Base64: 'base64', UTF8: 'utf8' },
+        // Como no aparelho, só arquivos file:// informam o md5
+        getInfoAsync: jest.fn(async (path, { md5 } = {}) => {
+            if (!files.has(path)) return { exists: false };
+            const info = { exists: true, size: files.get(path).length };
+            if (md5 && path.startsWith('file://')) {
+                info.md5 = require('crypto').createHash('md5').update(files.get(path), 'latin1').digest('hex');
+            }
+            return info;
+        }),
+        readAsStringAsync: jest.fn(async (path, { encoding, position = 0, length } = {}) => {
+            if (!files.has(path)) throw new Error(`Arquivo não encontrado: ${path}`);
+            const bytes = files.get(path);
+            if (encoding === 'base64') {
+                return encode(bytes.slice(position, length == null ? undefined : position + length));
+            }
+            return Buffer.from(bytes, 'latin1').toString('utf8');
+        }),
+        copyAsync: async ({ from, to }) => { files.set(to, files.get(from)); },
+        deleteAsync: async (path) => { files.delete(path); },
+    };
+});
+
+// Biblioteca em memória com só o que a importação usa
+jest.mock('../libraryManager', () => {
+    const books = new Map();
+    return {
+        __books: books,
+        loadLibrary: jest.fn(async () => [...books.values()]),
+        saveBook: jest.fn(async (book) => { books.set(book.id_arquivo, book); }),
+        updateBook: jest.fn(async (bookId, updater) => {
+            if (books.has(bookId)) books.set(bookId, updater(books.get(bookId)));
+        }),
+        saveBookPages: jest.fn(async () => {}),
+        updateBookStatus: jest.fn(async () => {}),
+    };
+});
+jest.mock('../apiClient', () => ({ startProcessing: jest.fn() }));
+
+const toBinary = (text) => Buffer.from(text, 'utf8').toString('latin1');
+
+describe('importDocument', () => {
+    let bookImporter;
+    let fileSystem;
+    let libraryManager;
+    let files;
+
+    beforeEach(() => {
+        jest.isolateModules(() => {
+            bookImporter = require('../bookImporter');
+            fileSystem = require('expo-file-system');
+            libraryManager = require('../libraryManager');
+        });
+        files = fileSystem.__files;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('importa como texto um arquivo sem extensão que é UTF-8', async () => {
+        files.set('content://partilha/1', toBinary('Capítulo I\n\nUma noite destas, vindo da cidade.'));
+
+        const book = await bookImporter.importDocument({ uri: 'content://partilha/1', name: 'partilha' });
+
+        expect(book).toMatchObject({ format: 'txt', status: 'ready' });
+    });
+
+    it('recusa um arquivo binário sem extensão', async () => {
+        files.set('content://partilha/2', '\x89PNG\r\n\x1a\n\x00\x00\x00\rIHDR\x00\x00\x01\x00');
+
+        await expect(bookImporter.importDocument({ uri: 'content://partilha/2', name: 'partilha' }))
+            .rejects.toThrow('Formato de arquivo não suportado');
+    });
+
+    it('recusa um ZIP sem extensão que não é EPUB', async () => {
+        files.set('content://partilha/3', 'PK\x03\x04\x14\x00\x00\x00\x08\x00fotos/praia.jpg\xff\xd8\xff\xe0');
+
+        await expect(bookImporter.importDocument({ uri: 'content://partilha/3', name: 'partilha' }))
+            .rejects.toThrow('Formato de arquivo não suportado');
+    });
+
+    it('não calcula hash quando nenhum livro tem o mesmo tamanho', async () => {
+        files.set('file:///docs/antigo.pdf', '%PDF-1.4 livro antigo');
+        libraryManager.__books.set('antigo', { id_arquivo: 'antigo', localUri: 'file:///docs/antigo.pdf', format: 'pdf' });
+        files.set('content://partilha/4', '%PDF-1.4 outro livro, de outro tamanho');
+
+        const result = await bookImporter.findDuplicateBook({ uri: 'content://partilha/4', name: 'novo.pdf' });
+
+        expect(result).toEqual({ contentHash: null, fileSize: 38, duplicate: null });
+        expect(fileSystem.getInfoAsync.mock.calls.filter(([, options]) => options?.md5)).toEqual([]);
+    });
+
+    it('encontra um PDF antigo de mesmo tamanho e guarda o hash dele', async () => {
+        const pdf = '%PDF-1.4 o mesmo livro';
+        files.set('file:///docs/antigo.pdf', pdf);
+        files.set('file:///docs/outro.pdf', '%PDF-1.4 outro livro qualquer');
+        libraryManager.__books.set('antigo', { id_arquivo: 'antigo', localUri: 'file:///docs/antigo.pdf', format: 'pdf' });
+        libraryManager.__books.set('outro', { id_arquivo: 'outro', localUri: 'file:///docs/outro.pdf', format: 'pdf' });
+        files.set('content://partilha/5', pdf);
+
+        const { contentHash, duplicate } = await bookImporter.findDuplicateBook({ uri: 'content://partilha/5', name: 'livro.pdf' });
+
+        expect(duplicate.id_arquivo).toBe('antigo');
+        expect(libraryManager.__books.get('antigo').contentHash).toBe(contentHash);
+        // O livro de outro tamanho não foi lido para o hash
+        expect(libraryManager.__books.get('outro').contentHash).toBeUndefined();
+    });
+
+    it('reaproveita na fila o documento aberto na importação', async () => {
+        const pdf = require('fs').readFileSync(require('path').join(__dirname, 'fixtures', 'texto-simples.pdf'), 'latin1');
+        files.set('content://partilha/6', pdf);
+
+        const book = await bookImporter.importDocument({ uri: 'content://partilha/6', name: 'Brás Cubas.pdf' });
+        const readsOfCopy = () => fileSystem.readAsStringAsync.mock.calls.filter(([uri]) => uri === book.localUri).length;
+        expect(book).toMatchObject({ format: 'pdf', status: 'processing', total_paginas: 1 });
+        expect(readsOfCopy()).toBe(1);
+
+        const page = await bookImporter.extractLocalPage(book, 0);
+
+        expect(page.texto_completo).toBe('Memórias póstumas de Brás Cubas');
+        expect(readsOfCopy()).toBe(1);
+    });
+});
@@ -0,0 +1,89 @@
+// /Front-and/utils/__tests__/libraryManager.test.js
+
+import libraryV0 from './fixtures/library-v0.json';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Sistema de arquivos em memória: só o que o libraryManager usa
+jest.mock('expo-file-system', () => {
+    const files = new Map();
+    return {
+        __files: files,
+        documentDirectory: 'file:///docs/',
+        getInfoAsync: async (path) => ({ exists: files.has(path) }),
+        readAsStringAsync: async (path) => {
+            if (!files.has(path)) throw new Error(`Arquivo não encontrado: ${path}`);
+            return files.get(path);
+        },
+        writeAsStringAsync: async (path, content) => { files.set(path, content); },
+        makeDirectoryAsync: async () => {},
+        deleteAsync: async (path) => {
+            [...files.keys()].filter(key => key.startsWith(path)).forEach(key => files.delete(key));
+        },
+    };
+});
+
+const LEGACY_LIBRARY_KEY = '@HearLearn:library';
+const LIBRARY_INDEX_KEY = '@HearLearn:libraryIndex';
+const SCHEMA_VERSION_KEY = '@HearLearn:schemaVersion';
+
+// O libraryManager guarda a migração em andamento no módulo: cada teste
+// carrega uma cópia nova dele
+const loadModules = () => {
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            libraryManager: require('../libraryManager'),
+            AsyncStorage: require('@react-native-async-storage/async-storage'),
+        };
+    });
+    return modules;
+};
+
+describe('initializeLibrary', () => {
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await require('@react-native-async-storage/async-storage').clear();
+        require('expo-file-system').__files.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('migra a biblioteca da 1.0.x para registros por livro', async () => {
+        const { libraryManager, AsyncStorage } = loadModules();
+        await AsyncStorage.setItem(LEGACY_LIBRARY_KEY, JSON.stringify(libraryV0));
+
+        await libraryManager.initializeLibrary();
+
+        expect(await AsyncStorage.getItem(LEGACY_LIBRARY_KEY)).toBeNull();
+        expect(JSON.parse(await AsyncStorage.getItem(LIBRARY_INDEX_KEY))).toEqual(['livro-antigo', 'livro-sem-campos']);
+        const { CURRENT_SCHEMA_VERSION } = require('../libraryMigrations');
+        expect(await AsyncStorage.getItem(SCHEMA_VERSION_KEY)).toBe(String(CURRENT_SCHEMA_VERSION));
+
+        const book = await libraryManager.loadBook('livro-antigo');
+        expect(book.bookmarks[0].snippet).toMatch(/^encontrei no trem/);
+        expect((await libraryManager.loadPageData('livro-antigo', 1)).texto_completo).toMatch(/^encontrei no trem/);
+    });
+
+    it('bloqueia leituras e escritas quando a migração falha', async () => {
+        const { libraryManager, AsyncStorage } = loadModules();
+        await AsyncStorage.setItem(LEGACY_LIBRARY_KEY, '[{ corrompido');
+
+        await expect(libraryManager.initializeLibrary()).rejects.toThrow('Não foi possível atualizar a biblioteca');
+        // Não tenta de novo na mesma execução: continua bloqueada
+        await expect(libraryManager.initializeLibrary()).rejects.toThrow('Não foi possível atualizar a biblioteca');
+
+        expect(await libraryManager.loadLibrary()).toEqual([]);
+        await expect(libraryManager.updateBook('livro-antigo', book => ({ ...book, lastPosition: 3 }))).rejects.toThrow();
+
+        // Nada foi gravado por cima do armazenamento antigo
+        expect(await AsyncStorage.getItem(LEGACY_LIBRARY_KEY)).toBe('[{ corrompido');
+        expect(await AsyncStorage.getItem(LIBRARY_INDEX_KEY)).toBeNull();
+        expect(await AsyncStorage.getItem(SCHEMA_VERSION_KEY)).toBeNull();
+    });
+});
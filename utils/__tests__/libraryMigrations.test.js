@@ -0,0 +1,132 @@
+// /Front-and/utils/__tests__/libraryMigrations.test.js
+
+import { CURRENT_SCHEMA_VERSION, MIGRATIONS, migrateLibrary } from '../libraryMigrations';
+import libraryV0 from './fixtures/library-v0.json';
+import libraryV3 from './fixtures/library-v3.json';
+import libraryV6 from './fixtures/library-v6.json';
+
+// Arquivos de páginas em memória, com as mesmas funções que o libraryManager oferece
+const createMemoryStorage = (initialPages = {}) => {
+    const pages = new Map(Object.entries(initialPages));
+    const splitBooks = [];
+    return {
+        pages,
+        splitBooks,
+        writeBookPages: async (bookId, bookPages) => { pages.set(bookId, bookPages); },
+        readBookPages: async (bookId) => pages.get(bookId) || null,
+        splitBookPages: async (bookId) => { splitBooks.push(bookId); },
+    };
+};
+
+// Os fixtures são compartilhados entre os testes: cada um migra uma cópia
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe('migrateLibrary', () => {
+    it('tem uma migração para cada versão, em ordem', () => {
+        expect(MIGRATIONS.map(migration => migration.version))
+            .toEqual(Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, i) => i + 1));
+    });
+
+    it('leva uma biblioteca da 1.0.x (v0) até a versão atual', async () => {
+        const storage = createMemoryStorage();
+        const { library, version } = await migrateLibrary(clone(libraryV0), 0, storage);
+
+        expect(version).toBe(CURRENT_SCHEMA_VERSION);
+        // Registros nulos ou sem id são descartados
+        expect(library.map(book => book.id_arquivo)).toEqual(['livro-antigo', 'livro-sem-campos']);
+
+        const [oldBook, bareBook] = library;
+        // As páginas inline saem dos metadados e vão para os arquivos
+        expect(oldBook.pagesData).toBeUndefined();
+        expect(storage.pages.get('livro-antigo')).toHaveLength(2);
+        expect(storage.splitBooks).toEqual(['livro-antigo', 'livro-sem-campos']);
+
+        expect(oldBook.annotations).toEqual({
+            0: [{
+                id: 'note_migrated_0',
+                startWord: 0,
+                endWord: 0,
+                quote: '',
+                text: 'Ler de novo o começo',
+                createdAt: null,
+                updatedAt: null,
+            }],
+        });
+        expect(oldBook.bookmarks).toEqual([{
+            id: 'bm_migrated_1',
+            pageIndex: 1,
+            wordIndex: 0,
+            label: '',
+            snippet: 'encontrei no trem da Central um rapaz aqui do bairro, que eu',
+            createdAt: null,
+        }]);
+        expect(oldBook.serverFileId).toBe('livro-antigo');
+
+        expect(bareBook).toEqual({
+            id_arquivo: 'livro-sem-campos',
+            nome_original: 'Notas.pdf',
+            total_paginas: 1,
+            status: 'ready',
+            lastPosition: 0,
+            listeningTime: 0,
+            completed: false,
+            bookmarks: [],
+            annotations: {},
+            shelfId: null,
+            tags: [],
+            highlights: {},
+            failedPages: {},
+            serverFileId: 'livro-sem-campos',
+        });
+    });
+
+    it('migra a partir da v3 mantendo estantes e tags', async () => {
+        const storage = createMemoryStorage({
+            'livro-com-estante': [
+                { texto_completo: 'Ao verme que primeiro roeu as frias carnes do meu cadáver' },
+                { texto_completo: '' },
+                { texto_completo: 'Que me conste, ninguém ainda relatou o seu próprio delírio' },
+            ],
+        });
+        const { library, version } = await migrateLibrary(clone(libraryV3), 3, storage);
+        const [book] = library;
+
+        expect(version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(book.shelfId).toBe('shelf_classicos');
+        expect(book.tags).toEqual(['vestibular']);
+        expect(book.annotations[2][0].text).toBe('Capítulo do delírio');
+        expect(book.bookmarks.map(bookmark => [bookmark.pageIndex, bookmark.snippet])).toEqual([
+            [0, 'Ao verme que primeiro roeu as frias carnes do meu cadáver'],
+            [2, 'Que me conste, ninguém ainda relatou o seu próprio delírio'],
+        ]);
+        expect(book.highlights).toEqual({});
+        expect(book.failedPages).toEqual({});
+    });
+
+    it('migra a partir da v6 sem mexer em marcadores e destaques já no formato novo', async () => {
+        const storage = createMemoryStorage();
+        const { library } = await migrateLibrary(clone(libraryV6), 6, storage);
+        const [book] = library;
+
+        expect(book.bookmarks).toEqual(libraryV6[0].bookmarks);
+        expect(book.highlights).toEqual(libraryV6[0].highlights);
+        expect(book.failedPages).toEqual({});
+        expect(book.serverFileId).toBe('livro-com-marcador');
+        expect(storage.splitBooks).toEqual(['livro-com-marcador']);
+    });
+
+    it('não altera uma biblioteca que já está na versão atual', async () => {
+        const storage = createMemoryStorage();
+        const current = clone(libraryV6);
+        const { library, version } = await migrateLibrary(current, CURRENT_SCHEMA_VERSION, storage);
+
+        expect(version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(library).toBe(current);
+        expect(storage.splitBooks).toEqual([]);
+    });
+
+    it('recusa bibliotecas de uma versão mais nova do app', async () => {
+        await expect(migrateLibrary([], CURRENT_SCHEMA_VERSION + 1, createMemoryStorage()))
+            .rejects.toThrow('mais recente que a suportada');
+    });
+});
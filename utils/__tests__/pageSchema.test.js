@@ -0,0 +1,49 @@
+// /Front-and/utils/__tests__/pageSchema.test.js
+
+import { normalizeStoredPage, DEFAULT_PAGE_DIMENSIONS } from '../pageSchema';
+
+describe('normalizeStoredPage', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('mantém idioma, dimensões e capítulo quando só as palavras estão erradas', () => {
+        const page = normalizeStoredPage({
+            texto_completo: 'Call me Ishmael.',
+            palavras: [{ texto: 'Call', coords: null }],
+            dimensoes: { largura: 612, altura: 792 },
+            idioma: 'en',
+            capitulo: 'Loomings',
+        }, 1);
+
+        expect(page).toEqual({
+            texto_completo: 'Call me Ishmael.',
+            palavras: [],
+            dimensoes: { largura: 612, altura: 792 },
+            idioma: 'en',
+            extraido_por_ocr: false,
+            capitulo: 'Loomings',
+        });
+    });
+
+    it('troca dimensões inválidas pelas padrão sem perder o idioma', () => {
+        const page = normalizeStoredPage({
+            texto_completo: 'Olá',
+            palavras: [{ texto: 'Olá', coords: { x0: 0, y0: 0, x1: 1, y1: 1 } }],
+            dimensoes: { largura: 0, altura: 'alta' },
+            idioma: 'pt',
+        }, 2);
+
+        expect(page.dimensoes).toEqual(DEFAULT_PAGE_DIMENSIONS);
+        expect(page.idioma).toBe('pt');
+        expect(page.palavras).toEqual([]);
+    });
+
+    it('vira página com falha quando não há texto', () => {
+        expect(normalizeStoredPage({ palavras: [] }, 3)).toMatchObject({ falhou: true, texto_completo: '' });
+    });
+});
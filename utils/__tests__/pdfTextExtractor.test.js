@@ -0,0 +1,87 @@
+// /Front-and/utils/__tests__/pdfTextExtractor.test.js
+
+import fs from 'fs';
+import path from 'path';
+import { openPdfDocument, getPageCount, extractPage } from '../pdfTextExtractor';
+
+// Os PDFs de fixtures/ são pequenos e escritos à mão, cada um com um caso
+// que a leitura no aparelho precisa tratar. Vêm como string binária, igual
+// ao que o bookImporter passa depois de decodificar o base64.
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'latin1');
+
+// Coordenadas arredondadas, para comparar sem ruído de ponto flutuante
+const roundCoords = ({ x0, y0, x1, y1 }) => ({
+    x0: Math.round(x0 * 10) / 10,
+    y0: Math.round(y0 * 10) / 10,
+    x1: Math.round(x1 * 10) / 10,
+    y1: Math.round(y1 * 10) / 10,
+});
+
+describe('pdfTextExtractor', () => {
+    it('lê o texto de uma fonte simples com acentos do WinAnsi', () => {
+        const doc = openPdfDocument(readFixture('texto-simples.pdf'));
+        expect(getPageCount(doc)).toBe(1);
+
+        const page = extractPage(doc, 0);
+
+        expect(page.texto_completo).toBe('Memórias póstumas de Brás Cubas');
+        expect(page.palavras).toHaveLength(5);
+        expect(page.dimensoes).toEqual({ largura: 300, altura: 200 });
+        // Helvetica sem /Widths: 500 unidades por letra, ou 6 pontos no corpo 12
+        expect(roundCoords(page.palavras[0].coords)).toEqual({ x0: 20, y0: 30.4, x1: 68, y1: 42.4 });
+        expect(roundCoords(page.palavras[3].coords)).toEqual({ x0: 38, y0: 46.4, x1: 62, y1: 58.4 });
+    });
+
+    it('lê uma fonte CID pelo ToUnicode, com objetos dentro de fluxos', () => {
+        const doc = openPdfDocument(readFixture('fonte-cid.pdf'));
+
+        const page = extractPage(doc, 0);
+
+        expect(page.texto_completo).toBe('Olá mundo');
+        expect(page.palavras).toHaveLength(2);
+        expect(page.dimensoes).toEqual({ largura: 200, altura: 150 });
+        expect(roundCoords(page.palavras[0].coords)).toEqual({ x0: 30, y0: 42, x1: 45, y1: 52 });
+        expect(roundCoords(page.palavras[1].coords)).toEqual({ x0: 50, y0: 42, x1: 75, y1: 52 });
+    });
+
+    it('devolve null para uma página digitalizada, que fica para o OCR', () => {
+        const doc = openPdfDocument(readFixture('digitalizada.pdf'));
+
+        expect(getPageCount(doc)).toBe(1);
+        expect(extractPage(doc, 0)).toBeNull();
+    });
+
+    it('recusa um PDF criptografado', () => {
+        expect(() => openPdfDocument(readFixture('criptografada.pdf'))).toThrow('PDF protegido por senha');
+    });
+
+    it('encontra os objetos mesmo com a tabela de referências apontando para o lugar errado', () => {
+        const data = readFixture('texto-simples.pdf').replace(/startxref\s+\d+/, 'startxref\n12');
+
+        const page = extractPage(openPdfDocument(data), 0);
+
+        expect(page.texto_completo).toBe('Memórias póstumas de Brás Cubas');
+    });
+
+    it('lê uma página deitada como ela aparece na tela', () => {
+        const doc = openPdfDocument(readFixture('rotacionada.pdf'));
+
+        const page = extractPage(doc, 0);
+
+        expect(page.texto_completo).toBe('Deitado');
+        expect(page.palavras).toHaveLength(1);
+        expect(page.dimensoes).toEqual({ largura: 300, altura: 200 });
+        expect(roundCoords(page.palavras[0].coords)).toEqual({ x0: 20, y0: 90.4, x1: 62, y1: 102.4 });
+    });
+
+    it('põe as palavras em ordem de leitura, coluna por coluna', () => {
+        const doc = openPdfDocument(readFixture('ordem-de-leitura.pdf'));
+
+        const page = extractPage(doc, 0);
+
+        expect(page.texto_completo).toBe('coluna um continua coluna dois termina');
+        expect(page.palavras).toHaveLength(6);
+        expect(roundCoords(page.palavras[2].coords)).toEqual({ x0: 20, y0: 85.4, x1: 68, y1: 97.4 });
+        expect(roundCoords(page.palavras[3].coords)).toEqual({ x0: 160, y0: 70.4, x1: 196, y1: 82.4 });
+    });
+});
@@ -0,0 +1,142 @@
+// /Front-and/utils/__tests__/processingQueue.test.js
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Biblioteca em memória com só o que a fila usa
+jest.mock('../libraryManager', () => {
+    const books = new Map();
+    const update = async (bookId, updater) => {
+        if (books.has(bookId)) books.set(bookId, updater(books.get(bookId)));
+    };
+    return {
+        __books: books,
+        loadLibrary: jest.fn(async () => [...books.values()]),
+        loadBook: jest.fn(async (bookId) => books.get(bookId) || null),
+        loadStoredPageIndices: jest.fn(async (bookId) =>
+            Array.from({ length: books.get(bookId)?.total_paginas || 0 }, (_, i) => i)),
+        savePageData: jest.fn(async () => 1),
+        updateBookStatus: jest.fn(async (bookId, status, errorMessage = null) => {
+            await update(bookId, book => ({ ...book, status, processingError: errorMessage }));
+        }),
+        recordPageFailure: jest.fn(async (bookId, pageIndex, error, attempts) => {
+            await update(bookId, book => ({
+                ...book,
+                failedPages: { ...book.failedPages, [pageIndex]: { error, attempts, pending: false } },
+            }));
+        }),
+        clearPageFailure: jest.fn(async () => {}),
+        markFailedPagesForRetry: jest.fn(async () => {}),
+        setDetectedLanguage: jest.fn(async () => {}),
+    };
+});
+jest.mock('../searchIndex', () => ({ indexPage: jest.fn(async () => {}) }));
+jest.mock('../apiClient', () => ({ fetchPageData: jest.fn() }));
+jest.mock('../bookImporter', () => ({
+    extractLocalPage: jest.fn(async () => ({ texto_completo: 'página relida', palavras: [] })),
+    ensureServerFile: jest.fn(),
+    closeBookDocument: jest.fn(),
+}));
+
+const loadModules = () => {
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            processingQueue: require('../processingQueue'),
+            libraryManager: require('../libraryManager'),
+            searchIndex: require('../searchIndex'),
+            bookImporter: require('../bookImporter'),
+        };
+    });
+    return modules;
+};
+
+// A fila roda sozinha: espera até ela ficar sem livro ativo
+const waitForIdle = (processingQueue) => new Promise(resolve => {
+    let unsubscribe = null;
+    unsubscribe = processingQueue.subscribeToQueue((state) => {
+        if (state.order.length === 0 && !state.activeBookId && unsubscribe) {
+            unsubscribe();
+            resolve();
+        }
+    });
+});
+
+const makeBook = (overrides) => ({
+    id_arquivo: 'livro-a',
+    nome_original: 'A.pdf',
+    total_paginas: 2,
+    status: 'processing',
+    failedPages: {},
+    ...overrides,
+});
+
+describe('fila de processamento', () => {
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await require('@react-native-async-storage/async-storage').clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('não tenta de novo para sempre uma página que não consegue gravar', async () => {
+        const { processingQueue, libraryManager } = loadModules();
+        libraryManager.__books.set('livro-a', makeBook({
+            failedPages: { 1: { error: 'Tempo esgotado', attempts: 4, pending: true } },
+        }));
+        libraryManager.savePageData.mockResolvedValue(0);
+
+        const idle = waitForIdle(processingQueue);
+        await processingQueue.startProcessingQueue();
+        await idle;
+
+        const book = libraryManager.__books.get('livro-a');
+        expect(book.status).toBe('ready');
+        expect(book.failedPages[1]).toMatchObject({ pending: false, attempts: 5 });
+        expect(libraryManager.savePageData).toHaveBeenCalledTimes(1);
+    });
+
+    it('registra no livro um erro inesperado do worker e segue com a fila', async () => {
+        const { processingQueue, libraryManager } = loadModules();
+        libraryManager.__books.set('livro-a', makeBook());
+        libraryManager.__books.set('livro-b', makeBook({ id_arquivo: 'livro-b', nome_original: 'B.pdf' }));
+        libraryManager.loadStoredPageIndices.mockImplementation(async (bookId) => {
+            if (bookId === 'livro-a') throw new Error('Armazenamento indisponível');
+            return [0, 1];
+        });
+
+        const idle = waitForIdle(processingQueue);
+        await processingQueue.startProcessingQueue();
+        await idle;
+
+        expect(libraryManager.__books.get('livro-a')).toMatchObject({
+            status: 'failed',
+            processingError: 'Armazenamento indisponível',
+        });
+        expect(libraryManager.__books.get('livro-b').status).toBe('ready');
+    });
+
+    it('não grava nem indexa a página de um livro removido enquanto ela chegava', async () => {
+        const { processingQueue, libraryManager, searchIndex, bookImporter } = loadModules();
+        libraryManager.__books.set('livro-a', makeBook({ total_paginas: 1 }));
+        libraryManager.loadStoredPageIndices.mockResolvedValue([]);
+        let deliverPage;
+        bookImporter.extractLocalPage.mockImplementation(() => new Promise(resolve => { deliverPage = resolve; }));
+
+        await processingQueue.startProcessingQueue();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(deliverPage).toBeDefined();
+
+        // Como em "Excluir Livro": sai da fila antes de os dados serem apagados
+        await processingQueue.forgetBook('livro-a');
+        deliverPage({ texto_completo: 'chegou tarde', palavras: [] });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(libraryManager.savePageData).not.toHaveBeenCalled();
+        expect(searchIndex.indexPage).not.toHaveBeenCalled();
+    });
+});
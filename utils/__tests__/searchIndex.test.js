@@ -0,0 +1,111 @@
+// /Front-and/utils/__tests__/searchIndex.test.js
+
+jest.mock('expo-file-system', () => {
+    const files = new Map();
+    return {
+        __files: files,
+        documentDirectory: 'file:///docs/',
+        getInfoAsync: async (path) => ({ exists: files.has(path) }),
+        readAsStringAsync: async (path) => {
+            if (!files.has(path)) throw new Error(`Arquivo não encontrado: ${path}`);
+            return files.get(path);
+        },
+        writeAsStringAsync: async (path, content) => { files.set(path, content); },
+        makeDirectoryAsync: async () => {},
+        deleteAsync: async (path) => { files.delete(path); },
+    };
+});
+
+// Páginas gravadas em memória: { [bookId]: { [pageIndex]: pageData } }
+jest.mock('../libraryManager', () => {
+    const pagesByBook = {};
+    return {
+        __pagesByBook: pagesByBook,
+        loadLibrary: jest.fn(async () => Object.keys(pagesByBook).map(id => ({ id_arquivo: id }))),
+        loadStoredPageIndices: jest.fn(async (bookId) => Object.keys(pagesByBook[bookId] || {}).map(Number)),
+        loadPageData: jest.fn(async (bookId, pageIndex) => pagesByBook[bookId]?.[pageIndex] || null),
+    };
+});
+
+const loadModules = () => {
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            searchIndex: require('../searchIndex'),
+            libraryManager: require('../libraryManager'),
+        };
+    });
+    return modules;
+};
+
+describe('searchLibrary', () => {
+    beforeEach(() => {
+        require('expo-file-system').__files.clear();
+    });
+
+    it('responde pelo índice gravado e lê só as páginas encontradas', async () => {
+        const { searchIndex, libraryManager } = loadModules();
+        const pages = {
+            0: { texto_completo: 'Capítulo primeiro: do título' },
+            1: { texto_completo: 'Uma noite destas, vindo da cidade para o Engenho Novo' },
+            2: { texto_completo: 'encontrei no trem da Central um rapaz aqui do bairro' },
+        };
+        libraryManager.__pagesByBook['dom-casmurro'] = pages;
+        for (const [pageIndex, pageData] of Object.entries(pages)) {
+            await searchIndex.indexPage('dom-casmurro', Number(pageIndex), pageData);
+        }
+
+        const results = await searchIndex.searchLibrary('trem da cent');
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ pageIndex: 2, wordIndex: 2, wordCount: 3 });
+        expect(results[0].snippet).toMatch(/trem da Central/);
+        expect(libraryManager.loadPageData.mock.calls).toEqual([['dom-casmurro', 2]]);
+    });
+
+    it('reconstrói o índice quando há páginas gravadas que ele não cobre', async () => {
+        const { searchIndex, libraryManager } = loadModules();
+        libraryManager.__pagesByBook['iracema'] = {
+            0: { texto_completo: 'Verdes mares bravios de minha terra natal' },
+            3: { texto_completo: 'onde canta a jandaia nas frondes da carnaúba' },
+        };
+        await searchIndex.indexPage('iracema', 0, libraryManager.__pagesByBook['iracema'][0]);
+
+        const results = await searchIndex.searchLibrary('jandaia');
+
+        expect(results.map(result => result.pageIndex)).toEqual([3]);
+        // Uma segunda busca já encontra o índice completo e não relê nada além do resultado
+        libraryManager.loadPageData.mockClear();
+        await searchIndex.searchLibrary('verdes');
+        expect(libraryManager.loadPageData.mock.calls).toEqual([['iracema', 0]]);
+    });
+
+    it('acrescenta uma página do meio gravada depois', async () => {
+        const { searchIndex, libraryManager } = loadModules();
+        const pages = {
+            0: { texto_completo: 'Ao verme que primeiro roeu as frias carnes' },
+            2: { texto_completo: 'Que me conste, ninguém ainda relatou o seu próprio delírio' },
+        };
+        libraryManager.__pagesByBook['memorias'] = pages;
+        await searchIndex.indexPage('memorias', 0, pages[0]);
+        await searchIndex.indexPage('memorias', 2, pages[2]);
+        expect(await searchIndex.searchLibrary('delírio')).toHaveLength(1);
+
+        // Página que tinha falhado e foi refeita fora da fila
+        pages[1] = { texto_completo: 'dedico como saudosa lembrança estas memórias póstumas' };
+
+        const results = await searchIndex.searchLibrary('saudosa');
+        expect(results.map(result => result.pageIndex)).toEqual([1]);
+    });
+
+    it('não recria o índice de um livro apagado com uma indexação pendente', async () => {
+        const { searchIndex } = loadModules();
+        const files = require('expo-file-system').__files;
+
+        const pending = searchIndex.indexPage('apagado', 0, { texto_completo: 'texto qualquer' });
+        await searchIndex.removeBookIndex('apagado');
+        await pending;
+
+        expect([...files.keys()].filter(path => path.includes('apagado'))).toEqual([]);
+    });
+});
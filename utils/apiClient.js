@@ -0,0 +1,223 @@
+// /Front-and/utils/apiClient.js
+
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { normalizePageData } from './pageSchema';
+
+// Cliente único do servidor de processamento. O endereço e o token opcional
+// ficam nas configurações do app, para quem usa uma instância própria.
+
+export const DEFAULT_SERVER_URL = 'https://willianqf-audio-transcriber.hf.space';
+const SERVER_SETTINGS_KEY = '@HearLearn:serverSettings';
+
+// Tempos máximos de espera por tipo de chamada (ms)
+const TIMEOUTS = {
+    upload: 120000,
+    page: 60000,
+    transcribe: 120000,
+    pdf: 60000,
+    ping: 10000,
+};
+
+let settingsCache = null;
+
+// Remove espaços e barras finais e assume https quando falta o protocolo
+export const normalizeServerUrl = (url) => {
+    const trimmed = (url || '').trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+};
+
+// { serverUrl, authToken }
+export const loadServerSettings = async () => {
+    if (settingsCache) return settingsCache;
+    try {
+        const saved = JSON.parse(await AsyncStorage.getItem(SERVER_SETTINGS_KEY)) || {};
+        settingsCache = {
+            serverUrl: normalizeServerUrl(saved.serverUrl) || DEFAULT_SERVER_URL,
+            authToken: saved.authToken || '',
+        };
+    } catch (e) {
+        console.error("Erro ao carregar as configurações do servidor.", e);
+        settingsCache = { serverUrl: DEFAULT_SERVER_URL, authToken: '' };
+    }
+    return settingsCache;
+};
+
+export const saveServerSettings = async ({ serverUrl, authToken }) => {
+    const settings = {
+        serverUrl: normalizeServerUrl(serverUrl) || DEFAULT_SERVER_URL,
+        authToken: (authToken || '').trim(),
+    };
+    await AsyncStorage.setItem(SERVER_SETTINGS_KEY, JSON.stringify(settings));
+    settingsCache = settings;
+    return settings;
+};
+
+// Converte qualquer falha do axios num Error com mensagem legível.
+// O erro mantém `status` (HTTP, quando houver) e `isNetworkError`.
+const toApiError = (error, fallbackMessage) => {
+    const status = error.response?.status ?? null;
+    let message;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        message = "O servidor demorou demais para responder.";
+    } else if (!error.response) {
+        message = "Não foi possível conectar ao servidor. Verifique a internet e o endereço nas configurações.";
+    } else if (status === 401 || status === 403) {
+        message = "O servidor recusou o acesso. Verifique o token nas configurações.";
+    } else if (status === 413) {
+        message = "O arquivo é grande demais para o servidor.";
+    } else if (error.response.data?.erro) {
+        message = error.response.data.erro;
+    } else if (status >= 500) {
+        message = `O servidor encontrou um erro (HTTP ${status}).`;
+    } else {
+        message = fallbackMessage;
+    }
+
+    const apiError = new Error(message);
+    apiError.status = status;
+    apiError.isNetworkError = !error.response;
+    apiError.cause = error;
+    return apiError;
+};
+
+const request = async (config, fallbackMessage, settings) => {
+    const { serverUrl, authToken } = settings || await loadServerSettings();
+    try {
+        return await axios.request({
+            ...config,
+            baseURL: serverUrl,
+            headers: {
+                ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+                ...config.headers,
+            },
+        });
+    } catch (e) {
+        throw toApiError(e, fallbackMessage);
+    }
+};
+
+const readBlob = (blob, as) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (as === 'text') reader.readAsText(blob);
+    else reader.readAsDataURL(blob);
+});
+
+// Envia o PDF e devolve as informações do livro criadas pelo servidor
+// ({ id_arquivo, nome_original, total_paginas, ... })
+export const startProcessing = async (file) => {
+    const formData = new FormData();
+    formData.append('file', { uri: file.uri, name: file.name, type: 'application/pdf' });
+
+    const response = await request({
+        method: 'post',
+        url: '/iniciar_processamento',
+        data: formData,
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: TIMEOUTS.upload,
+    }, "Não foi possível iniciar o processamento do PDF.");
+
+    const bookInfo = response.data;
+    if (!bookInfo?.id_arquivo) {
+        throw new Error("O servidor devolveu uma resposta inválida ao receber o PDF.");
+    }
+    if (bookInfo.nome_original) {
+        bookInfo.nome_original = decodeURIComponent(bookInfo.nome_original);
+    }
+    return bookInfo;
+};
+
+// Dados de uma página (numeração a partir de 1), já conferidos com o formato
+// de pageSchema. Uma resposta fora do formato gera um erro com `invalidPage`.
+export const fetchPageData = async (bookId, pageNumber) => {
+    const response = await request({
+        method: 'post',
+        url: '/obter_dados_pagina',
+        data: { id_arquivo: bookId, numero_pagina: pageNumber },
+        timeout: TIMEOUTS.page,
+    }, `Não foi possível obter a página ${pageNumber}.`);
+
+    if (response.data?.status !== 'sucesso') {
+        throw new Error(response.data?.erro || `Resposta inválida para a página ${pageNumber}.`);
+    }
+    return normalizePageData(response.data.dados, pageNumber);
+};
+
+// Envia uma gravação e devolve o texto reconhecido
+export const transcribeAudio = async (fileUri) => {
+    const formData = new FormData();
+    formData.append('audio', {
+        uri: fileUri,
+        type: 'audio/m4a',
+        name: `audio-${Date.now()}.m4a`,
+    });
+
+    const response = await request({
+        method: 'post',
+        url: '/transcrever_audio',
+        data: formData,
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: TIMEOUTS.transcribe,
+    }, "Não foi possível transcrever o áudio.");
+
+    if (!response.data?.texto) {
+        throw new Error(response.data?.erro || "Não foi possível obter o texto do áudio.");
+    }
+    return response.data.texto;
+};
+
+// Gera um PDF a partir do texto e grava-o no documentDirectory.
+// Devolve o caminho do arquivo criado.
+export const generatePdf = async (text) => {
+    let response;
+    try {
+        response = await request({
+            method: 'post',
+            url: '/gerar_pdf',
+            data: { texto: text },
+            responseType: 'blob',
+            timeout: TIMEOUTS.pdf,
+        }, "Falha ao gerar o PDF no servidor.");
+    } catch (e) {
+        // Com responseType 'blob' a mensagem de erro do servidor também chega como blob
+        const data = e.cause?.response?.data;
+        if (data && typeof data !== 'string' && !data.erro) {
+            try {
+                const { erro } = JSON.parse(await readBlob(data, 'text'));
+                if (erro) e.message = erro;
+            } catch (parseError) {
+                // Corpo sem JSON: mantém a mensagem genérica
+            }
+        }
+        throw e;
+    }
+
+    const dataUrl = await readBlob(response.data, 'dataUrl');
+    const fileUri = `${FileSystem.documentDirectory}audioescrito_${Date.now()}.pdf`;
+    await FileSystem.writeAsStringAsync(fileUri, dataUrl.split(',')[1], {
+        encoding: FileSystem.EncodingType.Base64,
+    });
+    return fileUri;
+};
+
+// Verifica se o servidor responde com o endereço e o token informados,
+// sem precisar gravá-los antes. Devolve o tempo de resposta em ms.
+export const testConnection = async ({ serverUrl, authToken }) => {
+    const settings = {
+        serverUrl: normalizeServerUrl(serverUrl) || DEFAULT_SERVER_URL,
+        authToken: (authToken || '').trim(),
+    };
+    const startedAt = Date.now();
+    const response = await request({
+        method: 'get',
+        url: '/',
+        timeout: TIMEOUTS.ping,
+        // Qualquer resposta prova que o servidor está no ar, menos recusa de acesso ou erro interno
+        validateStatus: (status) => status < 500 && status !== 401 && status !== 403,
+    }, "O servidor não respondeu como esperado.", settings);
+    return { latency: Date.now() - startedAt, status: response.status };
+};
@@ -0,0 +1,277 @@
+// /Front-and/utils/backupManager.js
+
+import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
+import * as Sharing from 'expo-sharing';
+import { decode } from 'base-64';
+import { loadLibrary, loadBookPages, removeBook, restoreBook, saveBookPages, loadShelves, saveShelves } from './libraryManager';
+import { CURRENT_SCHEMA_VERSION, migrateLibrary } from './libraryMigrations';
+import { enqueueBook, forgetBook } from './processingQueue';
+import { removeBookIndex } from './searchIndex';
+import { decodeUtf8 } from './textUtils';
+
+const BACKUP_FORMAT = 'hearlearn-backup';
+const BACKUP_VERSION = 2;
+const READ_CHUNK_BYTES = 512 * 1024;
+
+// O arquivo de backup tem uma linha JSON por registro (JSON Lines):
+//   1ª linha: { format, version, schemaVersion, createdAt, shelves, bookCount }
+//   depois, uma por livro: { metadata, pages, pdfBase64 }
+// Exportar e restaurar lidam com um livro de cada vez, então o tamanho da
+// biblioteca não pesa na memória. Backups da versão 1 eram um único JSON
+// com todos os livros em `books` e continuam podendo ser restaurados.
+
+// Monta o arquivo de backup da biblioteca inteira e devolve o seu caminho
+export const createBackup = async () => {
+    const library = await loadLibrary();
+    const date = new Date().toISOString().slice(0, 10);
+    const file = new File(`${FileSystem.cacheDirectory}hearlearn-backup-${date}.jsonl`);
+    if (file.exists) file.delete();
+    file.create();
+
+    const handle = file.open();
+    const encoder = new TextEncoder();
+    const writeLine = (value) => handle.writeBytes(encoder.encode(`${JSON.stringify(value)}\n`));
+    try {
+        writeLine({
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            createdAt: new Date().toISOString(),
+            shelves: await loadShelves(),
+            bookCount: library.length,
+        });
+
+        for (const metadata of library) {
+            const pages = await loadBookPages(metadata.id_arquivo) || [];
+
+            let pdfBase64 = null;
+            if (metadata.localUri) {
+                const fileInfo = await FileSystem.getInfoAsync(metadata.localUri);
+                if (fileInfo.exists) {
+                    pdfBase64 = await FileSystem.readAsStringAsync(metadata.localUri, {
+                        encoding: FileSystem.EncodingType.Base64,
+                    });
+                }
+            }
+
+            writeLine({ metadata, pages, pdfBase64 });
+        }
+    } finally {
+        handle.close();
+    }
+
+    return { fileUri: file.uri, bookCount: library.length };
+};
+
+// Gera o backup e abre o menu de partilha do sistema
+export const exportLibrary = async () => {
+    if (!(await Sharing.isAvailableAsync())) {
+        throw new Error("Não é possível abrir o menu de partilha neste dispositivo.");
+    }
+    const { fileUri, bookCount } = await createBackup();
+    await Sharing.shareAsync(fileUri, {
+        mimeType: 'application/x-ndjson',
+        dialogTitle: 'Exportar biblioteca HearLearn',
+    });
+    return bookCount;
+};
+
+// Lê o arquivo em pedaços e entrega cada linha já decodificada a `onLine`,
+// sem carregar o arquivo inteiro. Devolver false em onLine para a leitura.
+const forEachLine = async (fileUri, onLine) => {
+    const info = await FileSystem.getInfoAsync(fileUri, { size: true });
+    if (!info.exists) throw new Error("O arquivo de backup não foi encontrado.");
+
+    // Pedaços (strings binárias) da linha ainda incompleta. Só são juntados
+    // quando a linha termina: um livro com PDF ocupa dezenas de MB numa linha.
+    let pendingChunks = [];
+    const emitLine = async (line) => !/\S/.test(line) || (await onLine(decodeUtf8(line))) !== false;
+
+    for (let position = 0; position < info.size; position += READ_CHUNK_BYTES) {
+        const chunk = decode(await FileSystem.readAsStringAsync(fileUri, {
+            encoding: FileSystem.EncodingType.Base64,
+            position,
+            length: READ_CHUNK_BYTES,
+        }));
+        let start = 0;
+        for (let newline = chunk.indexOf('\n'); newline !== -1; newline = chunk.indexOf('\n', start)) {
+            pendingChunks.push(chunk.slice(start, newline));
+            const line = pendingChunks.join('');
+            pendingChunks = [];
+            if (!(await emitLine(line))) return;
+            start = newline + 1;
+        }
+        if (start < chunk.length) pendingChunks.push(chunk.slice(start));
+    }
+    await emitLine(pendingChunks.join(''));
+};
+
+const parseBackupLine = (line) => {
+    try {
+        return JSON.parse(line);
+    } catch (e) {
+        throw new Error("O arquivo escolhido não é um backup do HearLearn.");
+    }
+};
+
+// Percorre os livros do backup, um de cada vez: onBook(entry, index)
+const forEachBackupBook = async (backup, onBook) => {
+    if (backup.books) {
+        for (let index = 0; index < backup.books.length; index++) {
+            await onBook(backup.books[index], index);
+        }
+        return;
+    }
+    let index = -1;
+    await forEachLine(backup.fileUri, async (line) => {
+        if (index >= 0) await onBook(parseBackupLine(line), index);
+        index += 1;
+    });
+};
+
+// Confere o cabeçalho do backup (na versão 1, o arquivo inteiro).
+// Lança um erro com uma mensagem legível se algo estiver errado.
+const validateBackupHeader = (backup) => {
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+        throw new Error("O arquivo escolhido não é um backup do HearLearn.");
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+        throw new Error("Este backup foi criado por uma versão mais recente do app.");
+    }
+    if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error("Este backup foi criado por uma versão mais recente do app.");
+    }
+    if (backup.version < 2 && !Array.isArray(backup.books)) {
+        throw new Error("O backup não contém a lista de livros.");
+    }
+    if (backup.shelves != null && !Array.isArray(backup.shelves)) {
+        throw new Error("A lista de estantes do backup está corrompida.");
+    }
+};
+
+// Confere um livro do backup; seenIds acumula os ids já vistos
+const validateBackupEntry = (entry, index, seenIds) => {
+    const bookId = entry?.metadata?.id_arquivo;
+    if (typeof bookId !== 'string' || !bookId) {
+        throw new Error(`O livro nº ${index + 1} do backup não tem identificador.`);
+    }
+    if (seenIds.has(bookId)) {
+        throw new Error(`O livro "${entry.metadata.nome_original || bookId}" aparece duas vezes no backup.`);
+    }
+    seenIds.add(bookId);
+    if (!Array.isArray(entry.pages)) {
+        throw new Error(`As páginas do livro "${entry.metadata.nome_original || bookId}" estão corrompidas.`);
+    }
+    if (entry.pdfBase64 != null && typeof entry.pdfBase64 !== 'string') {
+        throw new Error(`O PDF do livro "${entry.metadata.nome_original || bookId}" está corrompido.`);
+    }
+};
+
+// Lê e valida um arquivo de backup escolhido pelo utilizador, sem guardar
+// páginas nem PDFs. Devolve o resumo que restoreBackup recebe depois:
+// { fileUri, version, schemaVersion, shelves, bookCount }
+export const readBackup = async (fileUri) => {
+    let header = null;
+    let bookCount = 0;
+    const seenIds = new Set();
+
+    await forEachLine(fileUri, (line) => {
+        const value = parseBackupLine(line);
+        if (!header) {
+            validateBackupHeader(value);
+            header = value;
+            return header.version >= 2;
+        }
+        validateBackupEntry(value, bookCount, seenIds);
+        bookCount += 1;
+        return true;
+    });
+
+    if (!header) throw new Error("O arquivo escolhido não é um backup do HearLearn.");
+
+    // Versão 1: os livros vieram todos no cabeçalho
+    if (header.version < 2) {
+        header.books.forEach((entry, index) => validateBackupEntry(entry, index, seenIds));
+        return { ...header, fileUri, bookCount: header.books.length };
+    }
+
+    if (typeof header.bookCount === 'number' && header.bookCount !== bookCount) {
+        throw new Error("O backup está incompleto. Exporte a biblioteca de novo.");
+    }
+    const { format, version, schemaVersion, createdAt, shelves } = header;
+    return { format, version, schemaVersion, createdAt, shelves, fileUri, bookCount };
+};
+
+// Restaura um backup já lido por readBackup, um livro de cada vez.
+// mode 'replace' apaga a biblioteca atual antes; 'merge' mantém os livros
+// existentes e só acrescenta os que ainda não estão no aparelho.
+export const restoreBackup = async (backup, mode = 'merge') => {
+    const currentLibrary = await loadLibrary();
+    if (mode === 'replace') {
+        for (const book of currentLibrary) {
+            // Como em "Excluir Livro": a fila e o índice de busca também
+            // esquecem o livro, senão continuariam apontando para ele
+            await forgetBook(book.id_arquivo);
+            await removeBook(book.id_arquivo);
+            await removeBookIndex(book.id_arquivo);
+        }
+    }
+    const existingIds = new Set(mode === 'replace' ? [] : currentLibrary.map(book => book.id_arquivo));
+
+    // Estantes: no modo de mesclagem as do aparelho têm prioridade em caso de id repetido
+    const backupShelves = (backup.shelves || []).filter(shelf => shelf && shelf.id && shelf.name);
+    if (mode === 'replace') {
+        await saveShelves(backupShelves);
+    } else {
+        const currentShelves = await loadShelves();
+        const currentShelfIds = new Set(currentShelves.map(shelf => shelf.id));
+        await saveShelves([...currentShelves, ...backupShelves.filter(shelf => !currentShelfIds.has(shelf.id))]);
+    }
+
+    let restored = 0;
+    let skipped = 0;
+    const unfinishedIds = [];
+    await forEachBackupBook(backup, async (entry) => {
+        if (existingIds.has(entry.metadata.id_arquivo)) {
+            skipped++;
+            return;
+        }
+
+        // Backups antigos passam pelas mesmas migrações que a biblioteca local;
+        // as páginas que elas consultarem vêm do próprio backup.
+        const { library: [metadata] } = await migrateLibrary(
+            [entry.metadata],
+            backup.schemaVersion,
+            { writeBookPages: saveBookPages, readBookPages: async () => entry.pages }
+        );
+        if (!metadata) {
+            skipped++;
+            return;
+        }
+
+        // O caminho do documentDirectory muda entre aparelhos, então o PDF
+        // é regravado e o localUri recalculado aqui.
+        let localUri = null;
+        if (entry.pdfBase64) {
+            localUri = `${FileSystem.documentDirectory}${metadata.id_arquivo}`;
+            await FileSystem.writeAsStringAsync(localUri, entry.pdfBase64, {
+                encoding: FileSystem.EncodingType.Base64,
+            });
+        }
+
+        await restoreBook({ ...metadata, localUri }, entry.pages);
+        restored++;
+
+        const hasPendingPages = Object.values(metadata.failedPages || {}).some(failure => failure?.pending);
+        if (metadata.status === 'processing' || hasPendingPages) unfinishedIds.push(metadata.id_arquivo);
+    });
+
+    // Livros copiados no meio do processamento voltam para a fila deste
+    // aparelho; os pausados continuam pausados até o usuário retomar.
+    for (const bookId of unfinishedIds) {
+        await enqueueBook(bookId);
+    }
+
+    return { restored, skipped };
+};
@@ -0,0 +1,365 @@
+// /Front-and/utils/bookImporter.js
+
+import * as FileSystem from 'expo-file-system';
+import { decode } from 'base-64';
+import { loadLibrary, saveBook, updateBook, saveBookPages, updateBookStatus } from './libraryManager';
+import { startProcessing } from './apiClient';
+import { openPdfDocument, getPageCount, extractPage } from './pdfTextExtractor';
+import { normalizePageData } from './pageSchema';
+import { parseEpub } from './epubParser';
+import { parsePlainText, parseMarkdown, paginateChapters } from './textBookParser';
+
+// Entrada de livros na biblioteca. O texto das páginas digitais é lido no
+// próprio aparelho; o servidor só entra quando alguma página precisa de OCR
+// (páginas digitalizadas) ou quando o PDF não pode ser lido localmente.
+//
+// book.serverFileId é o id do PDF no servidor: null enquanto o arquivo não
+// tiver sido enviado. Livros criados pelo servidor têm serverFileId igual ao
+// id_arquivo.
+//
+// EPUB, TXT e Markdown são convertidos por inteiro na importação, em páginas
+// só de texto (book.format diz o formato e book.chapters traz o início de
+// cada capítulo); esses livros já entram prontos, sem passar pela fila.
+//
+// book.contentHash é o MD5 do arquivo importado e book.fileSize o seu tamanho,
+// usados para perceber quando o mesmo arquivo é escolhido de novo.
+
+// Documentos abertos na memória: { [bookId]: Promise<doc> }, do mais antigo
+// ao mais recente. Cabem o do livro em processamento e o do último PDF
+// importado, que assim não precisa ser lido de novo quando a vez dele chegar.
+const MAX_OPEN_DOCUMENTS = 2;
+const openDocuments = new Map();
+const uploads = new Map(); // { [bookId]: Promise<serverFileId> }
+
+const readPdfDocument = async (uri) => {
+    const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+    return openPdfDocument(decode(base64));
+};
+
+const keepOpenDocument = (bookId, promise) => {
+    openDocuments.delete(bookId);
+    openDocuments.set(bookId, promise);
+    while (openDocuments.size > MAX_OPEN_DOCUMENTS) openDocuments.delete(openDocuments.keys().next().value);
+};
+
+const getDocument = (book) => {
+    let promise = openDocuments.get(book.id_arquivo);
+    if (!promise) {
+        promise = readPdfDocument(book.localUri);
+        promise.catch(() => {}); // o erro é tratado por quem espera a promessa
+    }
+    keepOpenDocument(book.id_arquivo, promise);
+    return promise;
+};
+
+// Adiciona o PDF escolhido à biblioteca e devolve o livro criado.
+// `extra` são campos a mais gravados no livro (ex: shelfId).
+// Se o PDF não puder ser lido no aparelho, ele é enviado ao servidor como antes.
+export const importPdf = async (file, extra = {}) => {
+    const localId = `local_${Date.now()}`;
+    const localUri = `${FileSystem.documentDirectory}${localId}.pdf`;
+    await FileSystem.copyAsync({ from: file.uri, to: localUri });
+    console.log(`PDF copiado para o armazenamento local: ${localUri}`);
+
+    let book;
+    try {
+        const doc = await readPdfDocument(localUri);
+        const totalPages = getPageCount(doc);
+        if (totalPages === 0) throw new Error("O PDF não tem páginas.");
+        book = {
+            id_arquivo: localId,
+            nome_original: file.name,
+            total_paginas: totalPages,
+            localUri,
+            serverFileId: null,
+            format: 'pdf',
+            ...extra,
+        };
+        keepOpenDocument(localId, Promise.resolve(doc));
+    } catch (localError) {
+        console.log("PDF não pôde ser lido no aparelho, enviando ao servidor:", localError.message);
+        try {
+            const bookInfo = await startProcessing({ ...file, uri: localUri });
+            book = { ...bookInfo, localUri, serverFileId: bookInfo.id_arquivo, format: 'pdf', ...extra };
+        } catch (error) {
+            await FileSystem.deleteAsync(localUri, { idempotent: true });
+            throw error;
+        }
+    }
+
+    await saveBook(book);
+    return book;
+};
+
+const TEXT_FORMATS = ['epub', 'txt', 'md'];
+const EXTENSIONS = { pdf: 'pdf', epub: 'epub', txt: 'txt', text: 'txt', md: 'md', markdown: 'md' };
+const MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'application/epub+zip': 'epub',
+    'text/plain': 'txt',
+    'text/markdown': 'md',
+    'text/x-markdown': 'md',
+};
+
+// Tipos aceitos no seletor de documentos
+export const SUPPORTED_MIME_TYPES = Object.keys(MIME_TYPES);
+
+// Formato do arquivo escolhido ('pdf', 'epub', 'txt' ou 'md'), ou null.
+// A extensão vale mais que o tipo, que alguns aparelhos informam errado.
+export const getDocumentFormat = (file) => {
+    const extension = /\.([a-z0-9]+)$/i.exec(file.name || '')?.[1]?.toLowerCase();
+    return EXTENSIONS[extension] || MIME_TYPES[file.mimeType] || null;
+};
+
+const SNIFF_BYTES = 4096;
+const EPUB_MIMETYPE = 'application/epub+zip';
+
+// Confere se os bytes são texto UTF-8: sequências válidas e nenhum caractere
+// de controle além de tabulação e quebras de linha. Uma sequência cortada no
+// fim da amostra não conta como erro.
+const looksLikeUtf8Text = (binary) => {
+    for (let i = 0; i < binary.length;) {
+        const byte = binary.charCodeAt(i);
+        if (byte < 0x80) {
+            if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d) return false;
+            if (byte === 0x7f) return false;
+            i += 1;
+            continue;
+        }
+        let extra;
+        if (byte >= 0xc2 && byte <= 0xdf) extra = 1;
+        else if (byte >= 0xe0 && byte <= 0xef) extra = 2;
+        else if (byte >= 0xf0 && byte <= 0xf4) extra = 3;
+        else return false;
+        for (let j = 1; j <= extra; j++) {
+            if (i + j >= binary.length) return true;
+            if ((binary.charCodeAt(i + j) & 0xc0) !== 0x80) return false;
+        }
+        i += extra + 1;
+    }
+    return true;
+};
+
+// Para arquivos sem extensão nem tipo (alguns "Abrir com" no Android):
+// olha os primeiros bytes. PDFs começam com %PDF; EPUBs são ZIPs que trazem
+// logo no início a entrada "mimetype" com application/epub+zip; o resto só
+// vale como texto se for UTF-8. Devolve null para qualquer outra coisa.
+const sniffDocumentFormat = async (uri) => {
+    const header = decode(await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64, position: 0, length: SNIFF_BYTES,
+    }));
+    if (header.startsWith('%PDF')) return 'pdf';
+    if (header.startsWith('PK\x03\x04')) {
+        // O conteúdo vem logo depois do nome da entrada (ou de um campo extra curto)
+        const mimetypeEntry = header.indexOf('mimetype');
+        const content = mimetypeEntry === -1 ? -1 : header.indexOf(EPUB_MIMETYPE, mimetypeEntry);
+        return content !== -1 && content - mimetypeEntry <= 64 ? 'epub' : null;
+    }
+    return header.length > 0 && looksLikeUtf8Text(header) ? 'txt' : null;
+};
+
+// Livros sem PDF, lidos sempre no modo texto
+export const isTextBook = (book) => TEXT_FORMATS.includes(book?.format);
+
+const readTextChapters = async (file, format) => {
+    if (format === 'epub') {
+        const base64 = await FileSystem.readAsStringAsync(file.uri, { encoding: FileSystem.EncodingType.Base64 });
+        const epub = parseEpub(decode(base64));
+        return { titulo: epub.titulo, capitulos: epub.capitulos };
+    }
+    const text = await FileSystem.readAsStringAsync(file.uri);
+    return { titulo: null, capitulos: format === 'md' ? parseMarkdown(text) : parsePlainText(text) };
+};
+
+// Converte um EPUB, TXT ou Markdown e grava o livro já pronto
+const importTextBook = async (file, format, extra) => {
+    const { titulo, capitulos } = await readTextChapters(file, format);
+    const { pages, chapters } = paginateChapters(capitulos);
+    if (pages.length === 0) throw new Error("O arquivo não tem texto para ler.");
+
+    const book = {
+        id_arquivo: `local_${Date.now()}`,
+        nome_original: titulo || file.name,
+        total_paginas: pages.length,
+        localUri: null,
+        serverFileId: null,
+        format,
+        chapters,
+        detectedLanguage: pages.find(page => page.idioma)?.idioma || null,
+        ...extra,
+    };
+    const normalizedPages = pages.map((page, pageIndex) => normalizePageData(page, pageIndex + 1));
+    await saveBook(book);
+    await saveBookPages(book.id_arquivo, normalizedPages);
+    await updateBookStatus(book.id_arquivo, 'ready');
+    return { ...book, status: 'ready' };
+};
+
+// Tamanho do arquivo em bytes, ou null se não puder ser descoberto.
+// Arquivos partilhados por outros apps (content://) costumam vir sem `size`.
+export const getFileSize = async (file) => {
+    if (typeof file.size === 'number') return file.size;
+    try {
+        const info = await FileSystem.getInfoAsync(file.uri, { size: true });
+        return info.exists && typeof info.size === 'number' ? info.size : null;
+    } catch (e) {
+        console.error("Erro ao obter o tamanho do arquivo:", e);
+        return null;
+    }
+};
+
+// MD5 do arquivo, ou null se não puder ser calculado
+const computeContentHash = async (uri) => {
+    const info = await FileSystem.getInfoAsync(uri, { md5: true });
+    if (info.exists && info.md5) return info.md5;
+    if (uri.startsWith('file://')) return null;
+
+    // URLs content:// não informam o md5: calcula sobre uma cópia temporária
+    const tempUri = `${FileSystem.cacheDirectory}hash_${Date.now()}`;
+    try {
+        await FileSystem.copyAsync({ from: uri, to: tempUri });
+        const copy = await FileSystem.getInfoAsync(tempUri, { md5: true });
+        return copy.exists && copy.md5 ? copy.md5 : null;
+    } finally {
+        await FileSystem.deleteAsync(tempUri, { idempotent: true });
+    }
+};
+
+// Hash de um livro já guardado, gravado nele para as próximas comparações
+const storeBookHash = async (book) => {
+    const contentHash = await computeContentHash(book.localUri);
+    if (contentHash) await updateBook(book.id_arquivo, (current) => ({ ...current, contentHash }));
+    return contentHash;
+};
+
+// Os PDFs importados antes do hash ganham o deles aos poucos, um de cada vez
+// e fora do caminho da importação. Só uma passada roda por vez.
+let hashBackfill = null;
+const fillMissingContentHashes = () => {
+    if (!hashBackfill) {
+        hashBackfill = (async () => {
+            const library = await loadLibrary();
+            for (const book of library) {
+                if (book.contentHash || !book.localUri) continue;
+                try {
+                    await storeBookHash(book);
+                } catch (e) {
+                    console.error(`Erro ao calcular o hash do livro ${book.id_arquivo}:`, e);
+                }
+            }
+        })()
+            .catch(e => console.error("Erro ao completar os hashes da biblioteca:", e))
+            .finally(() => { hashBackfill = null; });
+    }
+    return hashBackfill;
+};
+
+// Tamanho de um livro da biblioteca: o gravado na importação ou, nos livros
+// mais antigos, o do PDF guardado. null quando não há como saber.
+const getBookFileSize = async (book) => {
+    if (typeof book.fileSize === 'number') return book.fileSize;
+    if (!book.localUri) return null;
+    return getFileSize({ uri: book.localUri });
+};
+
+// Procura na biblioteca um livro com o mesmo conteúdo do arquivo.
+// Devolve { contentHash, fileSize, duplicate }, com duplicate null quando não
+// houver. Só se calcula o hash quando algum livro tem o mesmo tamanho do
+// arquivo (ou, nos livros de texto antigos, quando o tamanho não é conhecido).
+export const findDuplicateBook = async (file) => {
+    const fileSize = await getFileSize(file);
+    const library = await loadLibrary();
+
+    const candidates = [];
+    for (const book of library) {
+        const bookSize = await getBookFileSize(book);
+        if (fileSize == null || (bookSize == null ? Boolean(book.contentHash) : bookSize === fileSize)) {
+            candidates.push(book);
+        }
+    }
+    if (candidates.length === 0) return { contentHash: null, fileSize, duplicate: null };
+
+    let contentHash = null;
+    try {
+        contentHash = await computeContentHash(file.uri);
+    } catch (e) {
+        console.error("Erro ao calcular o hash do arquivo:", e);
+    }
+    if (!contentHash) return { contentHash: null, fileSize, duplicate: null };
+
+    for (const book of candidates) {
+        let bookHash = book.contentHash;
+        if (!bookHash && book.localUri) {
+            try {
+                bookHash = await storeBookHash(book);
+            } catch (e) {
+                console.error(`Erro ao calcular o hash do livro ${book.id_arquivo}:`, e);
+            }
+        }
+        if (bookHash === contentHash) return { contentHash, fileSize, duplicate: book };
+    }
+    return { contentHash, fileSize, duplicate: null };
+};
+
+// Adiciona à biblioteca o arquivo escolhido, em qualquer formato suportado.
+// Os PDFs voltam com status 'processing' e ainda precisam entrar na fila.
+// `options.shelfId` coloca o livro direto numa estante; `options.contentHash`
+// e `options.fileSize` são os já obtidos por findDuplicateBook. Sem hash, o
+// dos PDFs é calculado depois, a partir da cópia guardada; o dos livros de
+// texto, que não guardam o arquivo, é calculado aqui.
+export const importDocument = async (file, options = {}) => {
+    let format = getDocumentFormat(file);
+    if (!format && !/\.[a-z0-9]+$/i.test(file.name || '')) format = await sniffDocumentFormat(file.uri);
+    if (!format) throw new Error("Formato de arquivo não suportado. Escolha um PDF, EPUB, TXT ou Markdown.");
+    let contentHash = options.contentHash || null;
+    if (!contentHash && format !== 'pdf') {
+        try {
+            contentHash = await computeContentHash(file.uri);
+        } catch (e) {
+            console.error("Erro ao calcular o hash do arquivo:", e);
+        }
+    }
+    const fileSize = options.fileSize ?? await getFileSize(file);
+    const extra = { shelfId: options.shelfId || null, contentHash, fileSize };
+    if (format !== 'pdf') return importTextBook(file, format, extra);
+
+    const book = await importPdf(file, extra);
+    if (!contentHash) fillMissingContentHashes();
+    return { ...book, status: 'processing' };
+};
+
+// Lê a página no aparelho. Devolve null quando ela precisa de OCR
+// (ou o PDF não pode ser lido localmente).
+export const extractLocalPage = async (book, pageIndex) => {
+    if (!book.localUri) return null;
+    try {
+        const doc = await getDocument(book);
+        const page = extractPage(doc, pageIndex);
+        return page && normalizePageData(page, pageIndex + 1);
+    } catch (e) {
+        console.error(`Erro ao ler a página ${pageIndex + 1} no aparelho:`, e);
+        return null;
+    }
+};
+
+// Id do PDF no servidor, enviando o arquivo na primeira vez que for preciso
+export const ensureServerFile = (book) => {
+    if (book.serverFileId) return Promise.resolve(book.serverFileId);
+    if (!uploads.has(book.id_arquivo)) {
+        const upload = (async () => {
+            const bookInfo = await startProcessing({ uri: book.localUri, name: book.nome_original });
+            await updateBook(book.id_arquivo, (current) => ({ ...current, serverFileId: bookInfo.id_arquivo }));
+            return bookInfo.id_arquivo;
+        })();
+        uploads.set(book.id_arquivo, upload);
+        // Em caso de erro, a próxima página tenta enviar de novo
+        upload.catch(() => uploads.delete(book.id_arquivo));
+    }
+    return uploads.get(book.id_arquivo);
+};
+
+// Libera o documento aberto de um livro removido
+export const closeBookDocument = (bookId) => {
+    openDocuments.delete(bookId);
+    uploads.delete(bookId);
+};
@@ -0,0 +1,146 @@
+// /Front-and/utils/epubParser.js
+
+import { inflateRaw } from 'pako';
+import { decodeUtf8 } from './textUtils';
+
+// Leitura de EPUBs no aparelho. O arquivo (um ZIP) chega como string
+// binária; os documentos XHTML são lidos na ordem do spine e viram
+// capítulos { titulo, paragrafos } para o textBookParser.
+
+// --- ZIP ---
+
+const readUint16 = (data, offset) => data.charCodeAt(offset) | (data.charCodeAt(offset + 1) << 8);
+const readUint32 = (data, offset) => (readUint16(data, offset) + readUint16(data, offset + 2) * 0x10000);
+
+const binaryToBytes = (binary) => {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+    return bytes;
+};
+
+// Lê o diretório central do ZIP: { [caminho]: () => conteúdo em texto }
+const readZipEntries = (data) => {
+    const endOfDirectory = data.lastIndexOf('PK\x05\x06');
+    if (endOfDirectory === -1) throw new Error("O arquivo não é um EPUB válido.");
+
+    const entryCount = readUint16(data, endOfDirectory + 10);
+    let offset = readUint32(data, endOfDirectory + 16);
+    const entries = {};
+
+    for (let i = 0; i < entryCount; i++) {
+        if (data.slice(offset, offset + 4) !== 'PK\x01\x02') break;
+        const method = readUint16(data, offset + 10);
+        const compressedSize = readUint32(data, offset + 20);
+        const nameLength = readUint16(data, offset + 28);
+        const extraLength = readUint16(data, offset + 30);
+        const commentLength = readUint16(data, offset + 32);
+        const localHeader = readUint32(data, offset + 42);
+        const name = decodeUtf8(data.slice(offset + 46, offset + 46 + nameLength));
+
+        entries[name] = () => {
+            const start = localHeader + 30 + readUint16(data, localHeader + 26) + readUint16(data, localHeader + 28);
+            const raw = data.slice(start, start + compressedSize);
+            if (method === 0) return decodeUtf8(raw);
+            if (method === 8) return inflateRaw(binaryToBytes(raw), { to: 'string' });
+            throw new Error(`Compressão não suportada no EPUB: ${name}`);
+        };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+};
+
+// --- XHTML ---
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', laquo: '«', raquo: '»',
+    ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', shy: '',
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+        const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const BLOCK_TAGS = 'p|div|h[1-6]|li|blockquote|section|article|tr|br|hr|dt|dd|figcaption|pre';
+
+// Texto do documento, um parágrafo por bloco
+const htmlToParagraphs = (html) => {
+    const body = (/<body[^>]*>([\s\S]*)<\/body>/i.exec(html) || [null, html])[1];
+    return body
+        .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n')
+        .split(/\n\s*\n/)
+        .map(stripTags)
+        .filter(Boolean);
+};
+
+const getAttribute = (tag, name) => {
+    const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(tag);
+    return match ? decodeEntities(match[2] ?? match[3]) : null;
+};
+
+// Junta o caminho relativo ao diretório do OPF ("../" incluído)
+const resolvePath = (base, href) => {
+    const parts = base.split('/').slice(0, -1);
+    decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+};
+
+// Devolve { titulo, capitulos } com os capítulos na ordem de leitura
+export const parseEpub = (data) => {
+    const entries = readZipEntries(data);
+    const readEntry = (path) => {
+        const entry = entries[path];
+        if (!entry) throw new Error(`Arquivo ausente no EPUB: ${path}`);
+        return entry();
+    };
+
+    const container = readEntry('META-INF/container.xml');
+    const opfPath = getAttribute(/<rootfile\b[^>]*>/i.exec(container)?.[0] || '', 'full-path');
+    if (!opfPath) throw new Error("O EPUB não indica o arquivo de conteúdo.");
+    const opf = readEntry(opfPath);
+
+    const manifest = {};
+    (opf.match(/<item\b[^>]*>/gi) || []).forEach(tag => {
+        const id = getAttribute(tag, 'id');
+        const href = getAttribute(tag, 'href');
+        if (id && href) manifest[id] = { path: resolvePath(opfPath, href), type: getAttribute(tag, 'media-type') || '' };
+    });
+    const spine = (opf.match(/<itemref\b[^>]*>/gi) || [])
+        .filter(tag => getAttribute(tag, 'linear') !== 'no')
+        .map(tag => manifest[getAttribute(tag, 'idref')])
+        .filter(item => item && /html/.test(item.type));
+
+    const titleMatch = /<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i.exec(opf);
+    const capitulos = [];
+    spine.forEach(item => {
+        let html;
+        try {
+            html = readEntry(item.path);
+        } catch (e) {
+            console.error("Erro ao ler um capítulo do EPUB:", e);
+            return;
+        }
+        const paragrafos = htmlToParagraphs(html);
+        if (paragrafos.length === 0) return; // capas e páginas só com imagens
+
+        // O título do capítulo é o primeiro cabeçalho do documento, que já
+        // aparece como primeiro parágrafo e por isso sai da lista
+        const heading = /<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i.exec(html);
+        const titulo = heading ? stripTags(heading[1]) : null;
+        if (titulo && paragrafos[0] === titulo) paragrafos.shift();
+        if (paragrafos.length > 0) capitulos.push({ titulo, paragrafos });
+    });
+
+    if (capitulos.length === 0) throw new Error("O EPUB não tem texto para ler.");
+    return { titulo: titleMatch ? stripTags(titleMatch[1]) : null, capitulos };
+};
@@ -0,0 +1,136 @@
+// /Front-and/utils/incomingFiles.js
+
+import { AppState, Linking, Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import { ShareIntentModule, parseShareIntent } from 'expo-share-intent';
+
+// Arquivos abertos em outros apps com "Abrir com" / "Abrir no HearLearn".
+// O app é registrado (app.json) para PDF, EPUB e texto; o sistema entrega o
+// arquivo como uma URL content:// (Android) ou file:// (iOS), que chega
+// pelo Linking tanto na abertura do app quanto com ele já aberto.
+//
+// No Android o app também aparece em "Compartilhar" para PDF e texto
+// (intent SEND). Aí o arquivo não vem numa URL, e sim no EXTRA_STREAM, ou o
+// próprio texto no EXTRA_TEXT; quem lê esses extras é o expo-share-intent.
+// O texto compartilhado vira um .txt no cache e segue como qualquer arquivo.
+//
+// O arquivo fica pendente até alguma tela tratá-lo, para não se perder
+// quando chega antes de a biblioteca estar montada.
+
+let pendingFile = null;
+const listeners = new Set();
+let isListening = false;
+
+const isFileUrl = (url) => /^(content|file):\/\//i.test(url || '');
+
+// Nome do arquivo a partir da URL. Em content:// o último trecho costuma
+// trazer o caminho codificado ("primary%3ADownload%2Flivro.pdf").
+const getFileName = (url) => {
+    const lastSegment = url.split('?')[0].split('/').pop() || '';
+    let decoded = lastSegment;
+    try {
+        decoded = decodeURIComponent(lastSegment);
+    } catch (e) {
+        // Nome com % solto: usa como veio
+    }
+    return decoded.split(/[/:]/).pop() || 'documento';
+};
+
+// Monta o mesmo objeto que o DocumentPicker devolve: { uri, name, size, mimeType }
+const toFile = async (url) => {
+    let size = null;
+    try {
+        const info = await FileSystem.getInfoAsync(url);
+        if (info.exists && 'size' in info) size = info.size;
+    } catch (e) {
+        console.error("Erro ao ler as informações do arquivo recebido:", e);
+    }
+    return { uri: url, name: getFileName(url), size, mimeType: null };
+};
+
+const deliverFile = (file) => {
+    if (listeners.size > 0) {
+        listeners.forEach(listener => listener(file));
+    } else {
+        pendingFile = file;
+    }
+};
+
+const handleUrl = async (url) => {
+    if (!isFileUrl(url)) return;
+    deliverFile(await toFile(url));
+};
+
+// Grava o texto compartilhado num .txt, com o título (se houver) como nome
+const saveSharedText = async (text, title) => {
+    const baseName = (title || '').replace(/[\\/:*?"<>|]+/g, ' ').trim().slice(0, 80) || 'Texto compartilhado';
+    const uri = `${FileSystem.cacheDirectory}shared_${Date.now()}.txt`;
+    await FileSystem.writeAsStringAsync(uri, text);
+    return { ...(await toFile(uri)), name: `${baseName}.txt`, mimeType: 'text/plain' };
+};
+
+const handleShareIntent = async (value) => {
+    const shareIntent = parseShareIntent(value, {});
+    const [sharedFile] = shareIntent.files || [];
+    if (sharedFile) {
+        deliverFile({
+            uri: sharedFile.path,
+            name: sharedFile.fileName || getFileName(sharedFile.path),
+            size: sharedFile.size,
+            mimeType: sharedFile.mimeType,
+        });
+        return;
+    }
+    const text = shareIntent.text?.trim();
+    // Um "Abrir com" de arquivo de texto também passa por aqui, como uma
+    // URL content://; esse já chegou pelo Linking.
+    if (!text || isFileUrl(text)) return;
+    deliverFile(await saveSharedText(text, shareIntent.meta?.title));
+};
+
+const startShareListening = () => {
+    if (Platform.OS !== 'android' || !ShareIntentModule) return;
+    ShareIntentModule.addListener('onChange', ({ value }) => {
+        handleShareIntent(value).catch(e => console.error("Erro ao ler o conteúdo compartilhado:", e));
+    });
+    // Os "Abrir com" (VIEW) de PDF também chegam aqui como erro; o Linking já os trata
+    ShareIntentModule.addListener('onError', ({ value }) => {
+        console.log("Intent ignorado pelo compartilhamento:", value);
+    });
+    // O intent que abriu o app fica guardado até ser pedido; os seguintes
+    // chegam sozinhos pelo onChange
+    const readInitialIntent = async () => {
+        try {
+            await ShareIntentModule.getShareIntent('');
+        } catch (e) {
+            console.error("Erro ao ler o conteúdo compartilhado:", e);
+        }
+    };
+    readInitialIntent();
+    AppState.addEventListener('change', (state) => {
+        if (state === 'active') readInitialIntent();
+    });
+};
+
+const startListening = () => {
+    if (isListening) return;
+    isListening = true;
+    Linking.getInitialURL()
+        .then(url => url && handleUrl(url))
+        .catch(e => console.error("Erro ao ler o arquivo que abriu o app:", e));
+    Linking.addEventListener('url', ({ url }) => handleUrl(url));
+    startShareListening();
+};
+
+// O ouvinte recebe cada arquivo aberto com o app, inclusive um que tenha
+// chegado antes da inscrição. Devolve a função para cancelar a inscrição.
+export const subscribeToIncomingFiles = (listener) => {
+    startListening();
+    listeners.add(listener);
+    if (pendingFile) {
+        const file = pendingFile;
+        pendingFile = null;
+        listener(file);
+    }
+    return () => listeners.delete(listener);
+};
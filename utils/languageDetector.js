@@ -0,0 +1,41 @@
+// /Front-and/utils/languageDetector.js
+
+import { tokenize } from './textUtils';
+
+// Palavras muito frequentes de cada idioma. Basta contar quantas aparecem no
+// texto para separar com segurança os idiomas que o app costuma receber.
+const STOPWORDS = {
+    pt: ['de', 'que', 'nao', 'para', 'com', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as', 'dos', 'como', 'mas', 'ao', 'ele', 'das', 'seu', 'sua', 'ou', 'quando', 'muito', 'nos', 'ja', 'tambem', 'pelo', 'pela', 'ate', 'isso', 'ela', 'entre', 'depois', 'sem', 'mesmo', 'aos', 'seus', 'quem', 'nas', 'esse', 'eles', 'voce', 'essa', 'num', 'nem', 'suas', 'meu', 'minha', 'numa', 'pelos', 'elas', 'qual', 'nossa', 'este', 'esta', 'sao', 'foi', 'tem', 'ser', 'sobre'],
+    en: ['the', 'of', 'and', 'to', 'in', 'is', 'you', 'that', 'it', 'he', 'was', 'for', 'on', 'are', 'as', 'with', 'his', 'they', 'at', 'be', 'this', 'have', 'from', 'or', 'one', 'had', 'by', 'but', 'not', 'what', 'all', 'were', 'we', 'when', 'your', 'can', 'said', 'there', 'an', 'which', 'she', 'do', 'how', 'their', 'if', 'will', 'would', 'been', 'has', 'more', 'who', 'its', 'than', 'these', 'into', 'only', 'other', 'about'],
+    es: ['de', 'la', 'que', 'el', 'en', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'no', 'una', 'su', 'para', 'es', 'al', 'lo', 'como', 'mas', 'pero', 'sus', 'le', 'ya', 'fue', 'este', 'ha', 'si', 'porque', 'esta', 'entre', 'cuando', 'muy', 'sin', 'sobre', 'tambien', 'me', 'hasta', 'hay', 'donde', 'quien', 'desde', 'todo', 'nos', 'durante', 'todos', 'uno', 'les', 'ni', 'contra', 'otros', 'ese', 'eso', 'ante', 'ellos', 'esto', 'mi', 'antes', 'algunos', 'unos', 'yo', 'otro', 'otras', 'otra', 'tanto', 'esa', 'estos', 'mucho', 'quienes', 'nada', 'muchos', 'cual'],
+    fr: ['de', 'la', 'le', 'et', 'les', 'des', 'en', 'un', 'du', 'une', 'que', 'est', 'pour', 'qui', 'dans', 'par', 'plus', 'pas', 'au', 'sur', 'ne', 'se', 'ce', 'il', 'sont', 'avec', 'aux', 'ou', 'mais', 'elle', 'son', 'sa', 'ses', 'cette', 'nous', 'vous', 'leur', 'ils', 'comme', 'tout', 'bien', 'aussi', 'fait', 'ont', 'etait', 'sans', 'entre', 'meme', 'dont', 'deux', 'lui', 'peut', 'ces', 'alors', 'je', 'tres'],
+    de: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'fur', 'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er', 'hat', 'dass', 'sie', 'nach', 'wird', 'bei', 'einer', 'um', 'am', 'sind', 'noch', 'wie', 'einem', 'uber', 'einen', 'so', 'zum', 'war', 'haben', 'nur', 'oder', 'aber', 'vor', 'zur', 'bis', 'mehr', 'durch', 'man', 'sein', 'wurde', 'sei', 'ich', 'wir'],
+    it: ['di', 'che', 'il', 'la', 'e', 'in', 'un', 'per', 'non', 'una', 'del', 'della', 'con', 'sono', 'si', 'da', 'le', 'dei', 'gli', 'nel', 'lo', 'anche', 'come', 'alla', 'ma', 'questo', 'piu', 'al', 'delle', 'ha', 'nella', 'cosa', 'ci', 'se', 'io', 'essere', 'era', 'tutto', 'sua', 'suo', 'molto', 'quando', 'degli', 'loro', 'stato', 'ho', 'questa', 'hanno', 'fatto', 'perche', 'ancora', 'cui', 'dove', 'sulla', 'sul', 'tra', 'mio', 'dal', 'ogni'],
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+const MIN_WORDS = 20; // abaixo disso o palpite não é confiável
+const MAX_WORDS = 2000;
+
+// Idioma provável do texto (código ISO 639-1, ex: 'pt', 'en'), ou null
+// quando o texto é curto demais ou não parece nenhum dos idiomas conhecidos.
+export const detectLanguage = (text) => {
+    const terms = tokenize(text).slice(0, MAX_WORDS);
+    if (terms.length < MIN_WORDS) return null;
+
+    let bestLanguage = null;
+    let bestScore = 0;
+    for (const [language, stopwords] of Object.entries(STOPWORD_SETS)) {
+        const score = terms.reduce((count, term) => count + (stopwords.has(term) ? 1 : 0), 0);
+        if (score > bestScore) {
+            bestScore = score;
+            bestLanguage = language;
+        }
+    }
+
+    // Textos sem palavras funcionais suficientes (tabelas, listas de nomes) ficam sem idioma
+    return bestScore / terms.length >= 0.08 ? bestLanguage : null;
+};
@@ -2,71 +2,382 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system';
+import { CURRENT_SCHEMA_VERSION, migrateLibrary } from './libraryMigrations';
+import { normalizeStoredPage } from './pageSchema';
 
-const LIBRARY_KEY = '@HearLearn:library';
+// Chave da versão 1.0.x/v1, em que a biblioteca inteira era um único array
+const LEGACY_LIBRARY_KEY = '@HearLearn:library';
+// A partir do esquema v2 cada livro tem o seu registro e o índice guarda só a ordem dos ids
+const LIBRARY_INDEX_KEY = '@HearLearn:libraryIndex';
+const BOOK_KEY_PREFIX = '@HearLearn:book:';
+const SCHEMA_VERSION_KEY = '@HearLearn:schemaVersion';
+const SHELVES_KEY = '@HearLearn:shelves';
 
-// Função para obter o caminho do arquivo de dados de um livro
+const getBookKey = (bookId) => `${BOOK_KEY_PREFIX}${bookId}`;
+
+// Caminho do arquivo único de páginas usado até o esquema v7
 const getBookDataPath = (bookId) => `${FileSystem.documentDirectory}book-data/${bookId}.json`;
 
+// --- Acesso ao armazenamento (funções internas) ---
+
+const readIndex = async () => {
+    const jsonValue = await AsyncStorage.getItem(LIBRARY_INDEX_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : [];
+};
+
+const readBook = async (bookId) => {
+    const jsonValue = await AsyncStorage.getItem(getBookKey(bookId));
+    return jsonValue != null ? JSON.parse(jsonValue) : null;
+};
+
+const writeBook = async (book) => {
+    await AsyncStorage.setItem(getBookKey(book.id_arquivo), JSON.stringify(book));
+};
+
+// Lê os registros dos ids pedidos, na ordem do índice, ignorando os que faltarem
+const readBooks = async (bookIds) => {
+    if (bookIds.length === 0) return [];
+    const entries = await AsyncStorage.multiGet(bookIds.map(getBookKey));
+    return entries
+        .map(([, jsonValue]) => (jsonValue != null ? JSON.parse(jsonValue) : null))
+        .filter(Boolean);
+};
+
+// Lê a biblioteca completa a partir do índice (função interna)
+const readLibrary = async () => readBooks(await readIndex());
+
+// Salva a lista de metadados dos livros (função interna).
+// Só grava os registros que mudaram em relação a `previous` e apaga os removidos.
+const saveLibrary = async (library, previous = []) => {
+    const previousById = new Map(previous.map(book => [book.id_arquivo, book]));
+    const changed = library.filter(book => previousById.get(book.id_arquivo) !== book);
+    if (changed.length > 0) {
+        await AsyncStorage.multiSet(changed.map(book => [getBookKey(book.id_arquivo), JSON.stringify(book)]));
+    }
+
+    const ids = library.map(book => book.id_arquivo);
+    const removedKeys = previous
+        .filter(book => !ids.includes(book.id_arquivo))
+        .map(book => getBookKey(book.id_arquivo));
+    if (removedKeys.length > 0) {
+        await AsyncStorage.multiRemove(removedKeys);
+    }
+
+    const previousIds = previous.map(book => book.id_arquivo);
+    if (ids.length !== previousIds.length || ids.some((id, i) => id !== previousIds[i])) {
+        await AsyncStorage.setItem(LIBRARY_INDEX_KEY, JSON.stringify(ids));
+    }
+};
+
+// --- Páginas processadas ---
+// Desde o esquema v8 cada página fica no seu próprio arquivo, em
+// book-data/{id}/{índice}.json, e book-data/{id}/index.json guarda a lista
+// dos índices já gravados: { pages: [0, 1, 2, ...] }. As páginas podem chegar
+// fora de ordem; quem lê o livro recebe só a sequência contínua a partir da
+// primeira. O arquivo único book-data/{id}.json é o formato anterior.
+
+const getBookDirPath = (bookId) => `${FileSystem.documentDirectory}book-data/${bookId}/`;
+const getPagePath = (bookId, pageIndex) => `${getBookDirPath(bookId)}${pageIndex}.json`;
+const getPageIndexPath = (bookId) => `${getBookDirPath(bookId)}index.json`;
+
+// Índices de páginas já lidos, para não reler index.json a cada página gravada
+const pageIndexCache = new Map();
+// Uma fila por livro: páginas gravadas ao mesmo tempo não podem perder entradas do índice
+const pageWriteQueues = new Map();
+
+const enqueuePageWrite = (bookId, task) => {
+    const previous = pageWriteQueues.get(bookId) || Promise.resolve();
+    const result = previous.then(task);
+    pageWriteQueues.set(bookId, result.catch(() => {}));
+    return result;
+};
+
+const readPageIndex = async (bookId) => {
+    if (pageIndexCache.has(bookId)) return pageIndexCache.get(bookId);
+    const indexPath = getPageIndexPath(bookId);
+    const fileInfo = await FileSystem.getInfoAsync(indexPath);
+    if (!fileInfo.exists) return null;
+    const index = JSON.parse(await FileSystem.readAsStringAsync(indexPath));
+    pageIndexCache.set(bookId, index);
+    return index;
+};
+
+const writePageIndex = async (bookId, index) => {
+    await FileSystem.writeAsStringAsync(getPageIndexPath(bookId), JSON.stringify(index));
+    pageIndexCache.set(bookId, index);
+};
+
+// Páginas no formato anterior (um único arquivo por livro), ou null
+const readLegacyBookPages = async (bookId) => {
+    const filePath = getBookDataPath(bookId);
+    const fileInfo = await FileSystem.getInfoAsync(filePath);
+    if (!fileInfo.exists) return null;
+    return JSON.parse(await FileSystem.readAsStringAsync(filePath));
+};
+
+// Grava todas as páginas no formato atual (função interna, sem fila)
+const writeAllPages = async (bookId, pages) => {
+    await FileSystem.deleteAsync(getBookDirPath(bookId), { idempotent: true });
+    await FileSystem.makeDirectoryAsync(getBookDirPath(bookId), { intermediates: true });
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        await FileSystem.writeAsStringAsync(getPagePath(bookId, pageIndex), JSON.stringify(pages[pageIndex]));
+    }
+    await writePageIndex(bookId, { pages: pages.map((_, pageIndex) => pageIndex) });
+    await FileSystem.deleteAsync(getBookDataPath(bookId), { idempotent: true });
+};
+
+// Converte o arquivo único de um livro para um arquivo por página
+const convertLegacyBookPages = async (bookId) => {
+    const legacyPages = await readLegacyBookPages(bookId);
+    if (legacyPages) {
+        await writeAllPages(bookId, Array.isArray(legacyPages) ? legacyPages : []);
+    }
+};
+
+// Carrega as páginas processadas de um livro, da primeira até a primeira que ainda falta
+export const loadBookPages = async (bookId) => {
+    try {
+        const index = await readPageIndex(bookId);
+        if (!index) {
+            const legacyPages = await readLegacyBookPages(bookId);
+            return legacyPages && legacyPages.map((page, pageIndex) => normalizeStoredPage(page, pageIndex + 1));
+        }
+
+        const stored = new Set(index.pages);
+        let count = 0;
+        while (stored.has(count)) count++;
+
+        const pages = await Promise.all(Array.from({ length: count }, async (_, pageIndex) => {
+            try {
+                const page = JSON.parse(await FileSystem.readAsStringAsync(getPagePath(bookId, pageIndex)));
+                return normalizeStoredPage(page, pageIndex + 1);
+            } catch (e) {
+                console.error(`Erro ao ler a página ${pageIndex + 1} do livro ${bookId}:`, e);
+                return null;
+            }
+        }));
+        // Uma página ilegível interrompe a sequência, como se ainda não tivesse chegado
+        const firstMissing = pages.indexOf(null);
+        return firstMissing === -1 ? pages : pages.slice(0, firstMissing);
+    } catch (e) {
+        console.error(`Erro ao carregar páginas do livro ${bookId}:`, e);
+        return null;
+    }
+};
+
+// Carrega uma única página já gravada, ou null se ela ainda não chegou
+export const loadPageData = async (bookId, pageIndex) => {
+    try {
+        const index = await readPageIndex(bookId);
+        if (!index) {
+            const legacyPages = await readLegacyBookPages(bookId);
+            const page = legacyPages?.[pageIndex];
+            return page ? normalizeStoredPage(page, pageIndex + 1) : null;
+        }
+        if (!index.pages.includes(pageIndex)) return null;
+        const page = JSON.parse(await FileSystem.readAsStringAsync(getPagePath(bookId, pageIndex)));
+        return normalizeStoredPage(page, pageIndex + 1);
+    } catch (e) {
+        console.error(`Erro ao ler a página ${pageIndex + 1} do livro ${bookId}:`, e);
+        return null;
+    }
+};
+
+// Índices de todas as páginas já gravadas, em ordem (inclusive fora da sequência)
+export const loadStoredPageIndices = async (bookId) => {
+    try {
+        const index = await readPageIndex(bookId);
+        if (index) return index.pages;
+        const legacyPages = await readLegacyBookPages(bookId);
+        return legacyPages ? legacyPages.map((_, pageIndex) => pageIndex) : [];
+    } catch (e) {
+        console.error(`Erro ao ler o índice de páginas do livro ${bookId}:`, e);
+        return [];
+    }
+};
+
+// Grava (ou substitui) uma página. Retorna quantas páginas o livro tem gravadas,
+// ou 0 em caso de erro.
+export const savePageData = (bookId, pageIndex, pageData) => enqueuePageWrite(bookId, async () => {
+    try {
+        let index = await readPageIndex(bookId);
+        if (!index) {
+            await convertLegacyBookPages(bookId);
+            index = await readPageIndex(bookId) || { pages: [] };
+            await FileSystem.makeDirectoryAsync(getBookDirPath(bookId), { intermediates: true });
+        }
+
+        await FileSystem.writeAsStringAsync(getPagePath(bookId, pageIndex), JSON.stringify(pageData));
+        if (!index.pages.includes(pageIndex)) {
+            await writePageIndex(bookId, { pages: [...index.pages, pageIndex].sort((a, b) => a - b) });
+        }
+        return (await readPageIndex(bookId)).pages.length;
+    } catch (e) {
+        console.error(`Erro ao gravar a página ${pageIndex + 1} do livro ${bookId}:`, e);
+        return 0;
+    }
+});
+
+// Grava de uma vez todas as páginas de um livro, substituindo as existentes
+export const saveBookPages = (bookId, pages) => enqueuePageWrite(bookId, () => writeAllPages(bookId, pages));
+
+// Apaga as páginas do livro, em qualquer um dos formatos
+const removeBookPages = (bookId) => enqueuePageWrite(bookId, async () => {
+    pageIndexCache.delete(bookId);
+    await FileSystem.deleteAsync(getBookDirPath(bookId), { idempotent: true });
+    await FileSystem.deleteAsync(getBookDataPath(bookId), { idempotent: true });
+});
+
+// Acesso a arquivos oferecido às migrações
+const migrationStorage = {
+    writeBookPages: saveBookPages,
+    readBookPages: (bookId) => loadBookPages(bookId),
+    splitBookPages: (bookId) => enqueuePageWrite(bookId, () => convertLegacyBookPages(bookId)),
+};
+
+// Atualiza instalações antigas para a versão atual do esquema.
+// Sem versão gravada significa biblioteca da 1.0.x (versão 0).
+const runMigrations = async () => {
+    const savedVersion = await AsyncStorage.getItem(SCHEMA_VERSION_KEY);
+    const fromVersion = savedVersion != null ? parseInt(savedVersion, 10) : 0;
+    if (fromVersion === CURRENT_SCHEMA_VERSION) return;
+
+    // Até a v1 tudo vive no array antigo; depois, nos registros por livro.
+    // Os registros já existentes entram como `previous` mesmo no layout antigo,
+    // para o saveLibrary conciliar o que uma tentativa anterior tenha gravado.
+    const legacyJson = await AsyncStorage.getItem(LEGACY_LIBRARY_KEY);
+    const usesLegacyLayout = fromVersion < 2;
+    const currentLibrary = await readLibrary();
+    const rawLibrary = usesLegacyLayout
+        ? (legacyJson != null ? JSON.parse(legacyJson) : [])
+        : currentLibrary;
+
+    const { library, version } = await migrateLibrary(rawLibrary, fromVersion, migrationStorage);
+    await saveLibrary(library, currentLibrary);
+    await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+    if (legacyJson != null) {
+        await AsyncStorage.removeItem(LEGACY_LIBRARY_KEY);
+    }
+    console.log(`Biblioteca migrada da versão ${fromVersion} para ${version}.`);
+};
+
+let migrationPromise = null;
+
+// Garante que as migrações rodem uma única vez por execução do app.
+// Chamado na inicialização e antes de qualquer leitura da biblioteca.
+// Se a migração falhar, a promessa fica rejeitada: leituras e escritas
+// falham até o app ser reaberto, em vez de mexer num armazenamento que
+// ficou no formato antigo (ou pela metade).
+export const initializeLibrary = () => {
+    if (!migrationPromise) {
+        migrationPromise = runMigrations().catch(e => {
+            console.error("Erro ao migrar a biblioteca.", e);
+            throw new Error(`Não foi possível atualizar a biblioteca: ${e.message}`);
+        });
+    }
+    return migrationPromise;
+};
+
 // Carrega apenas os metadados dos livros da lista principal
 export const loadLibrary = async () => {
     try {
-        const jsonValue = await AsyncStorage.getItem(LIBRARY_KEY);
-        return jsonValue != null ? JSON.parse(jsonValue) : [];
+        await initializeLibrary();
+        return await readLibrary();
     } catch (e) {
         console.error("Erro ao carregar a biblioteca.", e);
         return [];
     }
 };
 
-// Salva a lista de metadados dos livros (função interna)
-const saveLibrary = async (library) => {
-    const jsonValue = JSON.stringify(library);
-    await AsyncStorage.setItem(LIBRARY_KEY, jsonValue);
-}
+// Carrega só a lista ordenada de ids, sem ler os registros dos livros
+export const loadBookIds = async () => {
+    try {
+        await initializeLibrary();
+        return await readIndex();
+    } catch (e) {
+        console.error("Erro ao carregar o índice da biblioteca.", e);
+        return [];
+    }
+};
 
-// Carrega os dados das páginas de um livro específico a partir do seu arquivo
-export const loadBookPages = async (bookId) => {
-    const filePath = getBookDataPath(bookId);
+// Carrega os metadados de um único livro
+export const loadBook = async (bookId) => {
     try {
-        const fileInfo = await FileSystem.getInfoAsync(filePath);
-        if (fileInfo.exists) {
-            const content = await FileSystem.readAsStringAsync(filePath);
-            return JSON.parse(content);
-        }
-        return null;
+        await initializeLibrary();
+        return await readBook(bookId);
     } catch (e) {
-        console.error(`Erro ao carregar páginas do livro ${bookId}:`, e);
+        console.error(`Erro ao carregar o livro ${bookId}:`, e);
         return null;
     }
 };
 
-// NOVO: Adiciona os dados de uma nova página ao arquivo de um livro
-export const appendPageData = async (bookId, newPageData) => {
-    const dir = `${FileSystem.documentDirectory}book-data/`;
-    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
-    const filePath = getBookDataPath(bookId);
+// Carrega os metadados de alguns livros (ex: uma página da lista)
+export const loadBooks = async (bookIds) => {
     try {
-        const existingPages = await loadBookPages(bookId) || [];
-        const updatedPages = [...existingPages, newPageData];
-        await FileSystem.writeAsStringAsync(filePath, JSON.stringify(updatedPages));
-        return updatedPages.length; // Retorna o número de páginas processadas
+        await initializeLibrary();
+        return await readBooks(bookIds);
     } catch (e) {
-        console.error(`Erro ao adicionar página ao livro ${bookId}:`, e);
-        return 0;
+        console.error("Erro ao carregar livros.", e);
+        return [];
     }
 };
 
+// --- Fila de escrita ---
+// Todas as alterações da biblioteca passam por esta fila, uma de cada vez.
+// Cada tarefa lê a versão mais recente, aplica a mudança e grava antes da
+// próxima começar, então duas telas alterando ao mesmo tempo não se sobrescrevem.
+let writeQueue = Promise.resolve();
+
+const enqueueWrite = (task) => {
+    const result = writeQueue.then(task);
+    writeQueue = result.catch(() => {}); // uma falha não trava as escritas seguintes
+    return result;
+};
+
+// Aplica `mutator` à biblioteca inteira dentro da fila de escrita.
+// O mutator recebe a lista atual e devolve a nova lista (ou a mesma para não gravar).
+export const updateLibrary = async (mutator) => {
+    await initializeLibrary();
+    return enqueueWrite(async () => {
+        const library = await readLibrary();
+        const newLibrary = await mutator(library);
+        if (newLibrary !== library) {
+            await saveLibrary(newLibrary, library);
+        }
+        return newLibrary;
+    });
+};
+
+// Atualiza um único livro de forma transacional. O mutator recebe o livro
+// atual e devolve o livro alterado; devolver o mesmo objeto não grava nada.
+// Só o registro desse livro é lido e regravado.
+// Retorna o livro resultante, ou null se ele não existir mais.
+export const updateBook = async (bookId, mutator) => {
+    await initializeLibrary();
+    return enqueueWrite(async () => {
+        const current = await readBook(bookId);
+        if (!current) return null;
+
+        const next = await mutator(current);
+        if (next && next !== current) {
+            await writeBook(next);
+        }
+        return next;
+    });
+};
+
 // ATUALIZADO: Salva um novo livro na biblioteca (apenas metadados).
 export const saveBook = async (bookMetadata) => {
     try {
-        let library = await loadLibrary();
         const { pagesData, ...metadata } = bookMetadata; // Garante que pagesData não seja salvo nos metadados
+        let created = false;
 
-        const bookIndex = library.findIndex(book => book.id_arquivo === metadata.id_arquivo);
-
-        if (bookIndex === -1) {
-            const newBook = {
+        await updateLibrary((library) => {
+            if (library.some(book => book.id_arquivo === metadata.id_arquivo)) {
+                return library;
+            }
+            created = true;
+            return [...library, {
                 ...metadata,
                 status: 'processing', // O status inicial é sempre 'processando'
                 lastPosition: 0,
@@ -74,49 +385,112 @@ export const saveBook = async (bookMetadata) => {
                 completed: false,
                 bookmarks: [],
                 annotations: {},
-            };
-            library.push(newBook);
-            await saveLibrary(library);
-
-            // Cria um arquivo de páginas vazio para o livro
-            const dir = `${FileSystem.documentDirectory}book-data/`;
-            await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
-            const filePath = getBookDataPath(metadata.id_arquivo);
-            await FileSystem.writeAsStringAsync(filePath, JSON.stringify([]));
+                highlights: {},
+                failedPages: {},
+                shelfId: metadata.shelfId || null,
+                tags: metadata.tags || [],
+            }];
+        });
+
+        if (created) {
+            // Cria a pasta de páginas, ainda vazia, do livro
+            await saveBookPages(metadata.id_arquivo, []);
         }
     } catch (e) {
         console.error("Erro ao salvar o livro.", e);
     }
 };
 
+// Insere (ou substitui) um livro com os metadados exatamente como vieram,
+// junto com as suas páginas. Usado na restauração de backups.
+export const restoreBook = async (metadata, pages) => {
+    await saveBookPages(metadata.id_arquivo, pages);
+    await updateLibrary((library) => {
+        const index = library.findIndex(book => book.id_arquivo === metadata.id_arquivo);
+        if (index === -1) return [...library, metadata];
+        const newLibrary = [...library];
+        newLibrary[index] = metadata;
+        return newLibrary;
+    });
+};
+
 // NOVO: Atualiza o status de um livro (ex: 'processing' para 'ready' ou 'failed')
-export const updateBookStatus = async (bookId, status) => {
+// `errorMessage` só acompanha o status 'failed' (book.processingError); qualquer
+// outra mudança de status o apaga.
+export const updateBookStatus = async (bookId, status, errorMessage = null) => {
     try {
-        let library = await loadLibrary();
-        const newLibrary = library.map(book => {
-            if (book.id_arquivo === bookId) {
-                return { ...book, status: status };
-            }
-            return book;
+        await updateBook(bookId, (book) => {
+            if (book.status === status && (book.processingError || null) === (errorMessage || null)) return book;
+            const { processingError: _previousError, ...rest } = book;
+            return errorMessage ? { ...rest, status, processingError: errorMessage } : { ...rest, status };
         });
-        await saveLibrary(newLibrary);
     } catch (e) {
         console.error(`Erro ao atualizar status do livro ${bookId}:`, e);
     }
 };
 
+// --- Páginas com falha ---
+// book.failedPages: { [pageIndex]: { error, attempts, failedAt, pending } }
+// `pending` indica que a página deve ser tentada de novo pela fila.
+
+export const recordPageFailure = async (bookId, pageIndex, error, attempts) => {
+    try {
+        await updateBook(bookId, (book) => ({
+            ...book,
+            failedPages: {
+                ...(book.failedPages || {}),
+                [pageIndex]: { error, attempts, failedAt: new Date().toISOString(), pending: false },
+            },
+        }));
+    } catch (e) {
+        console.error(`Erro ao registrar a falha da página ${pageIndex + 1} do livro ${bookId}:`, e);
+    }
+};
+
+export const clearPageFailure = async (bookId, pageIndex) => {
+    try {
+        await updateBook(bookId, (book) => {
+            if (!book.failedPages?.[pageIndex]) return book;
+            const { [pageIndex]: _removed, ...failedPages } = book.failedPages;
+            return { ...book, failedPages };
+        });
+    } catch (e) {
+        console.error(`Erro ao limpar a falha da página ${pageIndex + 1} do livro ${bookId}:`, e);
+    }
+};
+
+// Marca todas as páginas com falha para uma nova tentativa.
+// Retorna quantas páginas foram marcadas.
+export const markFailedPagesForRetry = async (bookId) => {
+    let count = 0;
+    try {
+        await updateBook(bookId, (book) => {
+            const entries = Object.entries(book.failedPages || {});
+            count = entries.length;
+            if (count === 0) return book;
+            const failedPages = {};
+            entries.forEach(([pageIndex, failure]) => {
+                failedPages[pageIndex] = { ...failure, pending: true };
+            });
+            return { ...book, failedPages };
+        });
+    } catch (e) {
+        console.error(`Erro ao marcar as páginas com falha do livro ${bookId}:`, e);
+    }
+    return count;
+};
+
 // Remove o livro da lista e também seus arquivos de dados e PDF
 export const removeBook = async (bookId) => {
     try {
-        let library = await loadLibrary();
-        const bookToRemove = library.find(book => book.id_arquivo === bookId);
-
-        const newLibrary = library.filter(book => book.id_arquivo !== bookId);
-        await saveLibrary(newLibrary);
+        let bookToRemove = null;
+        await updateLibrary((library) => {
+            bookToRemove = library.find(book => book.id_arquivo === bookId);
+            return library.filter(book => book.id_arquivo !== bookId);
+        });
 
-        const dataPath = getBookDataPath(bookId);
-        await FileSystem.deleteAsync(dataPath, { idempotent: true });
-        console.log(`Dados do livro removidos: ${dataPath}`);
+        await removeBookPages(bookId);
+        console.log(`Dados do livro removidos: ${bookId}`);
 
         if (bookToRemove?.localUri) {
             await FileSystem.deleteAsync(bookToRemove.localUri, { idempotent: true });
@@ -131,91 +505,285 @@ export const removeBook = async (bookId) => {
 
 // --- Funções Originais Mantidas ---
 
-export const updateBookState = async (bookId, pageIndex, timeIncrement) => {
+// Guarda a posição de leitura (página e palavra, em lastPosition e
+// lastWordIndex) e soma o tempo ouvido
+export const updateBookState = async (bookId, pageIndex, timeIncrement, wordIndex = 0) => {
     try {
-        const library = await loadLibrary();
-        const newLibrary = library.map(book => {
-            if (book.id_arquivo === bookId) {
-                const isCompleted = pageIndex >= book.total_paginas - 1;
-                return {
-                    ...book,
-                    lastPosition: pageIndex,
-                    listeningTime: (book.listeningTime || 0) + timeIncrement,
-                    completed: book.completed || isCompleted,
-                };
-            }
-            return book;
+        await updateBook(bookId, (book) => {
+            const isCompleted = pageIndex >= book.total_paginas - 1;
+            return {
+                ...book,
+                lastPosition: pageIndex,
+                lastWordIndex: Math.max(wordIndex, 0),
+                listeningTime: (book.listeningTime || 0) + timeIncrement,
+                completed: book.completed || isCompleted,
+            };
         });
-        await saveLibrary(newLibrary);
     } catch (e) {
         console.error("Erro ao atualizar o estado do livro.", e);
     }
 };
 
-export const addBookmark = async (bookId, pageIndex) => {
+// Marcadores: [{ id, pageIndex, wordIndex, label, snippet, createdAt }], em ordem de leitura
+
+const sortBookmarks = (bookmarks) => [...bookmarks].sort((a, b) => (a.pageIndex - b.pageIndex) || (a.wordIndex - b.wordIndex));
+
+export const addBookmark = async (bookId, { pageIndex, wordIndex, snippet, label }) => {
+    const bookmark = {
+        id: `bm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        pageIndex,
+        wordIndex: wordIndex || 0,
+        label: label || '',
+        snippet: snippet || '',
+        createdAt: new Date().toISOString(),
+    };
     try {
-        const library = await loadLibrary();
-        const newLibrary = library.map(book => {
-            if (book.id_arquivo === bookId) {
-                const bookmarks = book.bookmarks || [];
-                if (!bookmarks.includes(pageIndex)) {
-                    return { ...book, bookmarks: [...bookmarks, pageIndex].sort((a, b) => a - b) };
-                }
-            }
-            return book;
-        });
-        await saveLibrary(newLibrary);
+        await updateBook(bookId, (book) => ({
+            ...book,
+            bookmarks: sortBookmarks([...(book.bookmarks || []), bookmark]),
+        }));
+        return bookmark;
     } catch (e) {
         console.error("Erro ao adicionar o marcador.", e);
+        return null;
     }
 };
 
-export const removeBookmark = async (bookId, pageIndex) => {
+export const renameBookmark = async (bookId, bookmarkId, label) => {
     try {
-        const library = await loadLibrary();
-        const newLibrary = library.map(book => {
-            if (book.id_arquivo === bookId) {
-                const bookmarks = book.bookmarks || [];
-                return { ...book, bookmarks: bookmarks.filter(p => p !== pageIndex) };
-            }
-            return book;
-        });
-        await saveLibrary(newLibrary);
+        await updateBook(bookId, (book) => ({
+            ...book,
+            bookmarks: (book.bookmarks || []).map(bookmark => (
+                bookmark.id === bookmarkId ? { ...bookmark, label: label.trim() } : bookmark
+            )),
+        }));
+    } catch (e) {
+        console.error("Erro ao renomear o marcador.", e);
+    }
+};
+
+export const removeBookmark = async (bookId, bookmarkId) => {
+    try {
+        await updateBook(bookId, (book) => ({
+            ...book,
+            bookmarks: (book.bookmarks || []).filter(bookmark => bookmark.id !== bookmarkId),
+        }));
     } catch (e) {
         console.error("Erro ao remover o marcador.", e);
     }
 };
 
-export const saveAnnotation = async (bookId, pageIndex, text) => {
+// Anotações: { [pageIndex]: [{ id, startWord, endWord, quote, text, createdAt, updatedAt }] }
+// startWord/endWord são índices (inclusivos) das palavras da página, os mesmos de pageData.palavras.
+
+export const addAnnotation = async (bookId, pageIndex, { startWord, endWord, quote, text }) => {
+    const now = new Date().toISOString();
+    const annotation = {
+        id: `note_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        startWord: Math.min(startWord, endWord),
+        endWord: Math.max(startWord, endWord),
+        quote: quote || '',
+        text,
+        createdAt: now,
+        updatedAt: now,
+    };
     try {
-        const library = await loadLibrary();
-        const newLibrary = library.map(book => {
-            if (book.id_arquivo === bookId) {
-                const annotations = book.annotations || {};
-                annotations[pageIndex] = text;
-                return { ...book, annotations };
-            }
-            return book;
+        await updateBook(bookId, (book) => {
+            const annotations = book.annotations || {};
+            const pageNotes = [...(annotations[pageIndex] || []), annotation]
+                .sort((a, b) => a.startWord - b.startWord);
+            return { ...book, annotations: { ...annotations, [pageIndex]: pageNotes } };
         });
-        await saveLibrary(newLibrary);
+        return annotation;
     } catch (e) {
         console.error("Erro ao salvar anotação.", e);
+        return null;
     }
 };
 
-export const removeAnnotation = async (bookId, pageIndex) => {
+// Altera o texto e/ou o intervalo de uma anotação existente
+export const updateAnnotation = async (bookId, pageIndex, annotationId, changes) => {
     try {
-        const library = await loadLibrary();
-        const newLibrary = library.map(book => {
-            if (book.id_arquivo === bookId) {
-                const annotations = book.annotations || {};
-                delete annotations[pageIndex];
-                return { ...book, annotations };
-            }
-            return book;
+        await updateBook(bookId, (book) => {
+            const annotations = book.annotations || {};
+            const pageNotes = (annotations[pageIndex] || []).map(note => {
+                if (note.id !== annotationId) return note;
+                const updated = { ...note, ...changes, updatedAt: new Date().toISOString() };
+                return {
+                    ...updated,
+                    startWord: Math.min(updated.startWord, updated.endWord),
+                    endWord: Math.max(updated.startWord, updated.endWord),
+                };
+            }).sort((a, b) => a.startWord - b.startWord);
+            return { ...book, annotations: { ...annotations, [pageIndex]: pageNotes } };
+        });
+    } catch (e) {
+        console.error("Erro ao atualizar anotação.", e);
+    }
+};
+
+export const removeAnnotation = async (bookId, pageIndex, annotationId) => {
+    try {
+        await updateBook(bookId, (book) => {
+            const { [pageIndex]: pageNotes = [], ...otherPages } = book.annotations || {};
+            const remaining = pageNotes.filter(note => note.id !== annotationId);
+            const annotations = remaining.length > 0 ? { ...otherPages, [pageIndex]: remaining } : otherPages;
+            return { ...book, annotations };
         });
-        await saveLibrary(newLibrary);
     } catch (e) {
         console.error("Erro ao remover anotação.", e);
     }
-};
\ No newline at end of file
+};
+
+// Destaques: { [pageIndex]: [{ id, startWord, endWord, color, createdAt }] }
+// Mesmos índices de palavras das anotações.
+
+export const addHighlight = async (bookId, pageIndex, { startWord, endWord, color }) => {
+    const highlight = {
+        id: `hl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        startWord: Math.min(startWord, endWord),
+        endWord: Math.max(startWord, endWord),
+        color,
+        createdAt: new Date().toISOString(),
+    };
+    try {
+        await updateBook(bookId, (book) => {
+            const highlights = book.highlights || {};
+            const pageHighlights = [...(highlights[pageIndex] || []), highlight]
+                .sort((a, b) => a.startWord - b.startWord);
+            return { ...book, highlights: { ...highlights, [pageIndex]: pageHighlights } };
+        });
+        return highlight;
+    } catch (e) {
+        console.error("Erro ao salvar destaque.", e);
+        return null;
+    }
+};
+
+export const updateHighlightColor = async (bookId, pageIndex, highlightIds, color) => {
+    try {
+        await updateBook(bookId, (book) => {
+            const highlights = book.highlights || {};
+            const pageHighlights = (highlights[pageIndex] || []).map(highlight => (
+                highlightIds.includes(highlight.id) ? { ...highlight, color } : highlight
+            ));
+            return { ...book, highlights: { ...highlights, [pageIndex]: pageHighlights } };
+        });
+    } catch (e) {
+        console.error("Erro ao alterar a cor do destaque.", e);
+    }
+};
+
+export const removeHighlights = async (bookId, pageIndex, highlightIds) => {
+    try {
+        await updateBook(bookId, (book) => {
+            const { [pageIndex]: pageHighlights = [], ...otherPages } = book.highlights || {};
+            const remaining = pageHighlights.filter(highlight => !highlightIds.includes(highlight.id));
+            const highlights = remaining.length > 0 ? { ...otherPages, [pageIndex]: remaining } : otherPages;
+            return { ...book, highlights };
+        });
+    } catch (e) {
+        console.error("Erro ao remover destaque.", e);
+    }
+};
+
+// --- Estantes e Tags ---
+
+// Normaliza uma tag digitada pelo utilizador (sem espaços extras, minúsculas)
+const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+export const loadShelves = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(SHELVES_KEY);
+        return jsonValue != null ? JSON.parse(jsonValue) : [];
+    } catch (e) {
+        console.error("Erro ao carregar as estantes.", e);
+        return [];
+    }
+};
+
+// Substitui a lista de estantes (usado pela restauração de backups)
+export const saveShelves = async (shelves) => {
+    await enqueueWrite(() => AsyncStorage.setItem(SHELVES_KEY, JSON.stringify(shelves)));
+};
+
+export const createShelf = async (name) => {
+    const shelf = { id: `shelf_${Date.now()}`, name: name.trim() };
+    try {
+        await enqueueWrite(async () => {
+            const jsonValue = await AsyncStorage.getItem(SHELVES_KEY);
+            const shelves = jsonValue != null ? JSON.parse(jsonValue) : [];
+            await AsyncStorage.setItem(SHELVES_KEY, JSON.stringify([...shelves, shelf]));
+        });
+        return shelf;
+    } catch (e) {
+        console.error("Erro ao criar a estante.", e);
+        return null;
+    }
+};
+
+export const renameShelf = async (shelfId, name) => {
+    try {
+        await enqueueWrite(async () => {
+            const jsonValue = await AsyncStorage.getItem(SHELVES_KEY);
+            const shelves = jsonValue != null ? JSON.parse(jsonValue) : [];
+            const newShelves = shelves.map(shelf => (shelf.id === shelfId ? { ...shelf, name: name.trim() } : shelf));
+            await AsyncStorage.setItem(SHELVES_KEY, JSON.stringify(newShelves));
+        });
+    } catch (e) {
+        console.error("Erro ao renomear a estante.", e);
+    }
+};
+
+// Remove a estante; os livros que estavam nela ficam sem estante
+export const removeShelf = async (shelfId) => {
+    try {
+        await enqueueWrite(async () => {
+            const jsonValue = await AsyncStorage.getItem(SHELVES_KEY);
+            const shelves = jsonValue != null ? JSON.parse(jsonValue) : [];
+            await AsyncStorage.setItem(SHELVES_KEY, JSON.stringify(shelves.filter(shelf => shelf.id !== shelfId)));
+        });
+        await updateLibrary(library => library.map(book => (
+            book.shelfId === shelfId ? { ...book, shelfId: null } : book
+        )));
+    } catch (e) {
+        console.error("Erro ao remover a estante.", e);
+    }
+};
+
+export const setBookShelf = async (bookId, shelfId) => {
+    try {
+        await updateBook(bookId, book => ({ ...book, shelfId: shelfId || null }));
+    } catch (e) {
+        console.error("Erro ao mover o livro de estante.", e);
+    }
+};
+
+export const setBookTags = async (bookId, tags) => {
+    try {
+        const uniqueTags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+        await updateBook(bookId, book => ({ ...book, tags: uniqueTags }));
+    } catch (e) {
+        console.error("Erro ao salvar as tags do livro.", e);
+    }
+};
+
+// Idioma do livro: book.detectedLanguage vem das páginas; book.language é a
+// escolha do usuário e vale mais (null volta para o detectado).
+
+export const setBookLanguage = async (bookId, language) => {
+    try {
+        await updateBook(bookId, book => ({ ...book, language: language || null }));
+    } catch (e) {
+        console.error("Erro ao salvar o idioma do livro.", e);
+    }
+};
+
+// Grava o idioma detectado só na primeira vez, para não mudar no meio do livro
+export const setDetectedLanguage = async (bookId, language) => {
+    try {
+        await updateBook(bookId, book => (book.detectedLanguage ? book : { ...book, detectedLanguage: language }));
+    } catch (e) {
+        console.error("Erro ao salvar o idioma detectado do livro.", e);
+    }
+};
@@ -0,0 +1,167 @@
+// /Front-and/utils/libraryMigrations.js
+
+// Versão atual do esquema da biblioteca. Sempre que o formato dos metadados
+// mudar, adicione uma migração abaixo e incremente este número.
+export const CURRENT_SCHEMA_VERSION = 9;
+
+// Cada migração recebe a biblioteca no formato da versão anterior e devolve
+// a biblioteca no formato de `version`. O segundo argumento (`storage`) dá
+// acesso aos arquivos do aparelho; nos testes basta passar um objeto em memória
+// com as mesmas funções, e a biblioteca pode ser um snapshot JSON de uma
+// instalação antiga.
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normaliza os livros da 1.0.x (campos opcionais e páginas inline)',
+        migrate: async (library, storage) => {
+            const migrated = [];
+            for (const book of library) {
+                if (!book || !book.id_arquivo) continue; // registros corrompidos são descartados
+
+                const { pagesData, ...metadata } = book;
+                if (Array.isArray(pagesData) && pagesData.length > 0) {
+                    await storage.writeBookPages(book.id_arquivo, pagesData);
+                }
+
+                migrated.push({
+                    ...metadata,
+                    status: metadata.status || 'ready',
+                    lastPosition: metadata.lastPosition || 0,
+                    listeningTime: metadata.listeningTime || 0,
+                    completed: !!metadata.completed,
+                    bookmarks: Array.isArray(metadata.bookmarks) ? metadata.bookmarks : [],
+                    annotations: metadata.annotations && typeof metadata.annotations === 'object' ? metadata.annotations : {},
+                });
+            }
+            return migrated;
+        },
+    },
+    {
+        version: 2,
+        description: 'Biblioteca dividida em um registro por livro mais um índice de ids',
+        // Os dados não mudam; quem grava no novo layout (e apaga o array antigo)
+        // é o executor em libraryManager, que sabe ler os dois formatos.
+        migrate: async (library) => library,
+    },
+    {
+        version: 3,
+        description: 'Estantes e tags nos metadados dos livros',
+        migrate: async (library) => library.map(book => ({
+            ...book,
+            shelfId: book.shelfId || null,
+            tags: Array.isArray(book.tags) ? book.tags : [],
+        })),
+    },
+    {
+        version: 4,
+        description: 'Anotações viram listas por página, ancoradas a um intervalo de palavras',
+        // Notas antigas (um texto por página) ficam ancoradas na primeira palavra.
+        // A data de criação delas não é conhecida, então fica null.
+        migrate: async (library) => library.map((book) => {
+            const annotations = {};
+            Object.entries(book.annotations || {}).forEach(([pageIndex, value]) => {
+                if (Array.isArray(value)) {
+                    annotations[pageIndex] = value;
+                } else if (typeof value === 'string' && value.trim() !== '') {
+                    annotations[pageIndex] = [{
+                        id: `note_migrated_${pageIndex}`,
+                        startWord: 0,
+                        endWord: 0,
+                        quote: '',
+                        text: value,
+                        createdAt: null,
+                        updatedAt: null,
+                    }];
+                }
+            });
+            return { ...book, annotations };
+        }),
+    },
+    {
+        version: 5,
+        description: 'Destaques coloridos por página',
+        migrate: async (library) => library.map(book => ({
+            ...book,
+            highlights: book.highlights && typeof book.highlights === 'object' ? book.highlights : {},
+        })),
+    },
+    {
+        version: 6,
+        description: 'Marcadores com palavra exata, rótulo, trecho e data',
+        // Marcadores antigos eram só o índice da página: passam a apontar para a
+        // primeira palavra, com o início da página como trecho.
+        migrate: async (library, storage) => {
+            const migrated = [];
+            for (const book of library) {
+                const oldBookmarks = Array.isArray(book.bookmarks) ? book.bookmarks : [];
+                const needsPages = oldBookmarks.some(bookmark => typeof bookmark === 'number');
+                const pages = needsPages && storage.readBookPages ? await storage.readBookPages(book.id_arquivo) : null;
+
+                const bookmarks = oldBookmarks.map((bookmark) => {
+                    if (typeof bookmark !== 'number') return bookmark;
+                    const words = (pages?.[bookmark]?.texto_completo || '').split(/\s+/).filter(Boolean);
+                    return {
+                        id: `bm_migrated_${bookmark}`,
+                        pageIndex: bookmark,
+                        wordIndex: 0,
+                        label: '',
+                        snippet: words.slice(0, 12).join(' '),
+                        createdAt: null,
+                    };
+                });
+                migrated.push({ ...book, bookmarks });
+            }
+            return migrated;
+        },
+    },
+    {
+        version: 7,
+        description: 'Registro das páginas que falharam no processamento',
+        migrate: async (library) => library.map(book => ({
+            ...book,
+            failedPages: book.failedPages && typeof book.failedPages === 'object' ? book.failedPages : {},
+        })),
+    },
+    {
+        version: 8,
+        description: 'Páginas gravadas uma por arquivo',
+        // Só mexe nos arquivos do aparelho; backups guardam as páginas como lista
+        // e não oferecem splitBookPages.
+        migrate: async (library, storage) => {
+            if (storage.splitBookPages) {
+                for (const book of library) {
+                    await storage.splitBookPages(book.id_arquivo);
+                }
+            }
+            return library;
+        },
+    },
+    {
+        version: 9,
+        description: 'Identificador do PDF no servidor separado do id do livro',
+        // Até aqui todo livro era criado pelo servidor, então os dois ids coincidem
+        migrate: async (library) => library.map(book => ({
+            ...book,
+            serverFileId: book.serverFileId !== undefined ? book.serverFileId : book.id_arquivo,
+        })),
+    },
+];
+
+// Aplica, em ordem, todas as migrações posteriores a `fromVersion`.
+// Não toca no AsyncStorage: quem chama decide onde guardar o resultado.
+export const migrateLibrary = async (library, fromVersion, storage) => {
+    let current = Array.isArray(library) ? library : [];
+    let version = fromVersion;
+
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Versão do esquema (${fromVersion}) é mais recente que a suportada (${CURRENT_SCHEMA_VERSION}).`);
+    }
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= version) continue;
+        current = await migration.migrate(current, storage);
+        version = migration.version;
+    }
+
+    return { library: current, version };
+};
@@ -0,0 +1,129 @@
+// /Front-and/utils/pageSchema.js
+
+import { splitWords } from './textUtils';
+
+// Formato das páginas gravadas e usadas pelo player, venham do servidor
+// ou da leitura no aparelho:
+//
+// {
+//     texto_completo: string,         // palavras separadas por espaço
+//     palavras: [{ texto: string, coords: { x0, y0, x1, y1 } | null }],
+//     dimensoes: { largura, altura }, // mesma unidade das coords
+//     idioma: string | null,          // código ISO, ex: 'pt'
+//     extraido_por_ocr: boolean,
+//     capitulo?: string | null,       // só nos livros de texto (EPUB, TXT, Markdown)
+// }
+//
+// palavras[i] corresponde à palavra i de splitWords(texto_completo), e as
+// coords são contadas a partir do canto superior esquerdo da página.
+// Páginas que não puderam ser processadas ficam vazias, com
+// falhou: true e a mensagem em erro (ver createFailedPage).
+
+// Usada quando a página não traz posições de palavras e não diz o próprio tamanho
+export const DEFAULT_PAGE_DIMENSIONS = { largura: 1000, altura: 1414 }; // proporção A4 aproximada
+
+// Página vazia gravada no lugar de uma que não pôde ser processada
+export const createFailedPage = (erro) => ({
+    texto_completo: '',
+    palavras: [],
+    dimensoes: { ...DEFAULT_PAGE_DIMENSIONS },
+    falhou: true,
+    erro,
+});
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const normalizeCoords = (coords) => {
+    if (!coords || typeof coords !== 'object') return null;
+    const { x0, y0, x1, y1 } = coords;
+    if (![x0, y0, x1, y1].every(isFiniteNumber)) return null;
+    // Caixas com os cantos trocados são comuns em PDFs girados
+    return { x0: Math.min(x0, x1), y0: Math.min(y0, y1), x1: Math.max(x0, x1), y1: Math.max(y0, y1) };
+};
+
+const createPageDataError = (pageNumber, problems) => {
+    const error = new Error(`A página ${pageNumber} chegou em formato inválido: ${problems.join('; ')}.`);
+    error.invalidPage = true; // repetir o pedido não vai mudar a resposta
+    error.problems = problems;
+    return error;
+};
+
+// Lista os problemas da página (vazia quando ela segue o formato acima)
+export const validatePageData = (raw) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ["a página não é um objeto"];
+    if (raw.falhou) return [];
+
+    const problems = [];
+    if (typeof raw.texto_completo !== 'string') problems.push("texto_completo ausente");
+    if (!Array.isArray(raw.palavras)) {
+        problems.push("palavras ausente");
+    } else {
+        const invalidWord = raw.palavras.findIndex(word => !word || typeof word.texto !== 'string');
+        if (invalidWord !== -1) problems.push(`palavra ${invalidWord} sem texto`);
+
+        const wordCount = typeof raw.texto_completo === 'string' ? splitWords(raw.texto_completo.trim()).filter(Boolean).length : 0;
+        if (raw.palavras.length > 0 && raw.palavras.length !== wordCount) {
+            problems.push(`${raw.palavras.length} palavras para ${wordCount} no texto`);
+        }
+    }
+
+    const hasCoords = Array.isArray(raw.palavras) && raw.palavras.some(word => word?.coords);
+    if (raw.dimensoes != null || hasCoords) {
+        const { largura, altura } = raw.dimensoes || {};
+        if (!(isFiniteNumber(largura) && largura > 0 && isFiniteNumber(altura) && altura > 0)) {
+            problems.push("dimensoes inválidas");
+        }
+    }
+    if (raw.idioma != null && typeof raw.idioma !== 'string') problems.push("idioma inválido");
+    if (raw.capitulo != null && typeof raw.capitulo !== 'string') problems.push("capitulo inválido");
+    return problems;
+};
+
+// Confere a página e devolve uma cópia no formato acima, com os campos
+// opcionais preenchidos. Lança um erro (com `invalidPage`) se a página não
+// puder ser usada.
+export const normalizePageData = (raw, pageNumber) => {
+    const problems = validatePageData(raw);
+    if (problems.length > 0) throw createPageDataError(pageNumber, problems);
+
+    if (raw.falhou) {
+        return createFailedPage(raw.erro || null);
+    }
+
+    const texto_completo = raw.texto_completo.trim();
+    return {
+        texto_completo,
+        palavras: raw.palavras.map(word => ({ texto: word.texto, coords: normalizeCoords(word.coords) })),
+        dimensoes: raw.dimensoes
+            ? { largura: raw.dimensoes.largura, altura: raw.dimensoes.altura }
+            : { ...DEFAULT_PAGE_DIMENSIONS },
+        idioma: raw.idioma || null,
+        extraido_por_ocr: !!raw.extraido_por_ocr,
+        ...(raw.capitulo !== undefined ? { capitulo: raw.capitulo || null } : {}),
+    };
+};
+
+// Para páginas já gravadas antes da validação. Se só as palavras ou as
+// dimensões estiverem erradas, o texto continua disponível (sem as posições)
+// junto com o que ainda for válido, como o idioma que escolhe a voz;
+// sem texto, a página vira uma página com falha em vez de quebrar o player.
+export const normalizeStoredPage = (raw, pageNumber) => {
+    try {
+        return normalizePageData(raw, pageNumber);
+    } catch (error) {
+        console.error(`Página ${pageNumber} gravada em formato inválido:`, error.message);
+        if (typeof raw?.texto_completo === 'string') {
+            const { largura, altura } = raw.dimensoes || {};
+            const hasValidDimensions = isFiniteNumber(largura) && largura > 0 && isFiniteNumber(altura) && altura > 0;
+            return normalizePageData({
+                texto_completo: raw.texto_completo,
+                palavras: [],
+                dimensoes: hasValidDimensions ? { largura, altura } : undefined,
+                idioma: typeof raw.idioma === 'string' ? raw.idioma : null,
+                extraido_por_ocr: raw.extraido_por_ocr,
+                ...(typeof raw.capitulo === 'string' ? { capitulo: raw.capitulo } : {}),
+            }, pageNumber);
+        }
+        return createFailedPage(error.message);
+    }
+};
@@ -0,0 +1,1122 @@
+// /Front-and/utils/pdfTextExtractor.js
+
+import { inflate } from 'pako';
+import { detectLanguage } from './languageDetector';
+
+// Leitura do texto de PDFs digitais no próprio aparelho. Produz o mesmo
+// modelo de página que o servidor devolve:
+// { texto_completo, palavras: [{ texto, coords: { x0, y0, x1, y1 } }], dimensoes: { largura, altura }, idioma }
+// com as coordenadas em pontos do PDF, contadas a partir do canto superior esquerdo
+// da página como ela é exibida (já girada, se tiver /Rotate).
+//
+// O documento inteiro fica numa string binária (um caractere por byte).
+// Só o necessário para achar texto é interpretado: objetos, streams com
+// FlateDecode/ASCIIHex/ASCII85, fluxos de objetos, árvore de páginas, fontes
+// (Widths, W, Encoding/Differences e ToUnicode) e os operadores de texto.
+// Páginas sem texto aproveitável (digitalizadas) devolvem null e ficam para o OCR do servidor.
+
+const MAX_FORM_DEPTH = 5;
+const MIN_VALID_CHAR_RATIO = 0.7;
+
+// --- Leitura de objetos ---
+
+const isWhitespace = (code) => code === 0 || code === 9 || code === 10 || code === 12 || code === 13 || code === 32;
+const DELIMITERS = '()<>[]{}/%';
+const isDelimiter = (code) => DELIMITERS.includes(String.fromCharCode(code));
+
+const PdfName = (name) => ({ name });
+const PdfRef = (num, gen) => ({ ref: num, gen });
+const PdfCommand = (cmd) => ({ cmd });
+
+const isName = (value, name) => !!value && typeof value === 'object' && value.name !== undefined && (name === undefined || value.name === name);
+const isRef = (value) => !!value && typeof value === 'object' && value.ref !== undefined;
+const isCommand = (value) => !!value && typeof value === 'object' && value.cmd !== undefined;
+
+// Lê valores PDF de uma string binária a partir de `pos`
+const createLexer = (data, start = 0) => {
+    const lexer = { data, pos: start };
+
+    const skipWhitespace = () => {
+        while (lexer.pos < data.length) {
+            const code = data.charCodeAt(lexer.pos);
+            if (isWhitespace(code)) {
+                lexer.pos++;
+            } else if (code === 37) { // % comentário até o fim da linha
+                while (lexer.pos < data.length && data[lexer.pos] !== '\n' && data[lexer.pos] !== '\r') lexer.pos++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const readRegular = () => {
+        const begin = lexer.pos;
+        while (lexer.pos < data.length) {
+            const code = data.charCodeAt(lexer.pos);
+            if (isWhitespace(code) || isDelimiter(code)) break;
+            lexer.pos++;
+        }
+        return data.slice(begin, lexer.pos);
+    };
+
+    const readLiteralString = () => {
+        lexer.pos++; // (
+        let depth = 1;
+        let result = '';
+        while (lexer.pos < data.length) {
+            const ch = data[lexer.pos++];
+            if (ch === '\\') {
+                const next = data[lexer.pos++];
+                const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+                if (escapes[next] !== undefined) {
+                    result += escapes[next];
+                } else if (next >= '0' && next <= '7') {
+                    let octal = next;
+                    while (octal.length < 3 && data[lexer.pos] >= '0' && data[lexer.pos] <= '7') octal += data[lexer.pos++];
+                    result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    if (data[lexer.pos] === '\n') lexer.pos++; // quebra de linha escapada
+                } else if (next !== '\n') {
+                    result += next;
+                }
+            } else if (ch === '(') {
+                depth++;
+                result += ch;
+            } else if (ch === ')') {
+                depth--;
+                if (depth === 0) break;
+                result += ch;
+            } else {
+                result += ch;
+            }
+        }
+        return result;
+    };
+
+    const readHexString = () => {
+        lexer.pos++; // <
+        let hex = '';
+        while (lexer.pos < data.length && data[lexer.pos] !== '>') {
+            const ch = data[lexer.pos++];
+            if (/[0-9a-fA-F]/.test(ch)) hex += ch;
+        }
+        lexer.pos++; // >
+        if (hex.length % 2 === 1) hex += '0';
+        let result = '';
+        for (let i = 0; i < hex.length; i += 2) result += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+        return result;
+    };
+
+    const readName = () => {
+        lexer.pos++; // /
+        return PdfName(readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    };
+
+    // Lê o próximo valor. Palavras que não são valores (operadores, `obj`,
+    // `stream`, `R` isolado...) voltam como PdfCommand.
+    lexer.read = () => {
+        skipWhitespace();
+        if (lexer.pos >= data.length) return undefined;
+        const ch = data[lexer.pos];
+
+        if (ch === '<' && data[lexer.pos + 1] === '<') {
+            lexer.pos += 2;
+            const dict = new Map();
+            while (true) {
+                skipWhitespace();
+                if (lexer.pos >= data.length) break;
+                if (data[lexer.pos] === '>' && data[lexer.pos + 1] === '>') {
+                    lexer.pos += 2;
+                    break;
+                }
+                const key = lexer.read();
+                if (!isName(key)) continue; // chave inválida: ignora o token
+                dict.set(key.name, lexer.read());
+            }
+            return dict;
+        }
+        if (ch === '<') return readHexString();
+        if (ch === '(') return readLiteralString();
+        if (ch === '/') return readName();
+        if (ch === '[') {
+            lexer.pos++;
+            const array = [];
+            while (true) {
+                skipWhitespace();
+                if (lexer.pos >= data.length) break;
+                if (data[lexer.pos] === ']') {
+                    lexer.pos++;
+                    break;
+                }
+                const value = lexer.read();
+                if (value === undefined) break;
+                array.push(value);
+            }
+            return array;
+        }
+        if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+            lexer.pos++;
+            return PdfCommand(ch);
+        }
+
+        const word = readRegular();
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            const number = parseFloat(word);
+            // "num gen R" é uma referência a outro objeto
+            if (/^\d+$/.test(word)) {
+                const saved = lexer.pos;
+                skipWhitespace();
+                const gen = readRegular();
+                if (/^\d+$/.test(gen)) {
+                    skipWhitespace();
+                    if (data[lexer.pos] === 'R' && (lexer.pos + 1 >= data.length || isWhitespace(data.charCodeAt(lexer.pos + 1)) || isDelimiter(data.charCodeAt(lexer.pos + 1)))) {
+                        lexer.pos++;
+                        return PdfRef(number, parseInt(gen, 10));
+                    }
+                }
+                lexer.pos = saved;
+            }
+            return number;
+        }
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        if (!word) {
+            lexer.pos++; // caractere inesperado
+            return PdfCommand('');
+        }
+        return PdfCommand(word);
+    };
+
+    return lexer;
+};
+
+// --- Filtros de stream ---
+
+const bytesToBinary = (bytes) => {
+    let result = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        result += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return result;
+};
+
+const binaryToBytes = (binary) => {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+    return bytes;
+};
+
+const decodeAsciiHex = (data) => {
+    const hex = data.replace(/[^0-9a-fA-F>]/g, '').split('>')[0];
+    let result = '';
+    for (let i = 0; i < hex.length; i += 2) result += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    return result;
+};
+
+const decodeAscii85 = (data) => {
+    const input = data.replace(/\s/g, '').replace(/^<~/, '').split('~>')[0];
+    let result = '';
+    let group = [];
+    const flush = (count) => {
+        while (group.length < 5) group.push(84); // completa com 'u'
+        let value = 0;
+        for (const digit of group) value = value * 85 + digit;
+        const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+        result += String.fromCharCode(...bytes.slice(0, count));
+        group = [];
+    };
+    for (const ch of input) {
+        if (ch === 'z' && group.length === 0) {
+            result += '\0\0\0\0';
+            continue;
+        }
+        group.push(ch.charCodeAt(0) - 33);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length > 0) flush(group.length - 1);
+    return result;
+};
+
+// Desfaz o preditor PNG (usado em fluxos de referências e de objetos)
+const undoPngPredictor = (data, columns) => {
+    const rowLength = columns + 1;
+    const rows = Math.floor(data.length / rowLength);
+    const output = new Uint8Array(rows * columns);
+    const previous = new Uint8Array(columns);
+    for (let row = 0; row < rows; row++) {
+        const filter = data[row * rowLength];
+        for (let i = 0; i < columns; i++) {
+            const raw = data[row * rowLength + 1 + i];
+            const left = i > 0 ? output[row * columns + i - 1] : 0;
+            const up = previous[i];
+            const upLeft = i > 0 ? previous[i - 1] : 0;
+            let value = raw;
+            if (filter === 1) value = raw + left;
+            else if (filter === 2) value = raw + up;
+            else if (filter === 3) value = raw + Math.floor((left + up) / 2);
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+            }
+            output[row * columns + i] = value & 0xff;
+        }
+        previous.set(output.subarray(row * columns, (row + 1) * columns));
+    }
+    return output;
+};
+
+// --- Documento ---
+
+// Abre o PDF a partir do conteúdo em string binária. Lança um erro se o
+// arquivo não tiver a estrutura mínima (ou estiver criptografado).
+export const openPdfDocument = (data) => {
+    if (!data.startsWith('%PDF') && data.indexOf('%PDF') === -1) {
+        throw new Error("O arquivo não é um PDF.");
+    }
+
+    const offsets = new Map(); // número do objeto -> posição logo após "obj"
+    const cache = new Map();
+    const compressed = new Map(); // objetos guardados dentro de fluxos de objetos
+    const trailers = []; // dicionários de trailer, do mais recente ao mais antigo
+    const objectStreamOf = new Map(); // número do objeto -> fluxo de objetos que a tabela indica
+
+    const readStreamAt = (dict, lexer) => {
+        let start = lexer.pos;
+        if (data[start] === '\r') start++;
+        if (data[start] === '\n') start++;
+        let length = dict.get('Length');
+        if (isRef(length)) length = getObject(length.ref);
+        let end = typeof length === 'number' ? start + length : -1;
+        if (end < 0 || data.slice(end, end + 20).trim().indexOf('endstream') !== 0) {
+            end = data.indexOf('endstream', start);
+            if (end === -1) end = data.length;
+            while (end > start && (data[end - 1] === '\n' || data[end - 1] === '\r')) end--;
+        }
+        return { dict, raw: data.slice(start, end) };
+    };
+
+    const parseObjectAt = (offset) => {
+        const lexer = createLexer(data, offset);
+        const value = lexer.read();
+        if (value instanceof Map) {
+            const next = lexer.read();
+            if (isCommand(next) && next.cmd === 'stream') return readStreamAt(value, lexer);
+        }
+        return value;
+    };
+
+    const getObject = (num) => {
+        if (cache.has(num)) return cache.get(num);
+        cache.set(num, null); // evita laços em referências circulares
+        let value = null;
+        if (offsets.has(num)) {
+            value = parseObjectAt(offsets.get(num));
+        } else if (compressed.has(num)) {
+            value = compressed.get(num)();
+        }
+        cache.set(num, value);
+        return value;
+    };
+
+    const resolve = (value) => (isRef(value) ? getObject(value.ref) : value);
+
+    const decodeStream = (stream) => {
+        let result = stream.raw;
+        const filters = [].concat(resolve(stream.dict.get('Filter')) || []).map(resolve);
+        const params = [].concat(resolve(stream.dict.get('DecodeParms')) || []).map(resolve);
+        filters.forEach((filter, index) => {
+            const name = filter?.name;
+            if (name === 'FlateDecode' || name === 'Fl') {
+                let bytes = inflate(binaryToBytes(result));
+                const param = params[index];
+                const predictor = param instanceof Map ? param.get('Predictor') : null;
+                if (predictor >= 10) {
+                    const colors = param.get('Colors') || 1;
+                    const bits = param.get('BitsPerComponent') || 8;
+                    const columns = Math.ceil(((param.get('Columns') || 1) * colors * bits) / 8);
+                    bytes = undoPngPredictor(bytes, columns);
+                }
+                result = bytesToBinary(bytes);
+            } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+                result = decodeAsciiHex(result);
+            } else if (name === 'ASCII85Decode' || name === 'A85') {
+                result = decodeAscii85(result);
+            } else {
+                throw new Error(`Filtro de stream não suportado: ${name}`);
+            }
+        });
+        return result;
+    };
+
+    // Posição logo após o "num gen obj" que começa em `offset`, ou -1 se ali
+    // não começar o objeto esperado
+    const objectHeaderEnd = (offset, num) => {
+        const header = /\s*(\d+)\s+\d+\s+obj\b/y;
+        header.lastIndex = offset;
+        const found = header.exec(data);
+        return found && parseInt(found[1], 10) === num ? header.lastIndex : -1;
+    };
+
+    // Tabela clássica de referências ("xref" seguido de subseções). Devolve
+    // o trailer, ou null se a tabela estiver malformada.
+    const readXrefTable = (position, seen) => {
+        const lexer = createLexer(data, position + 'xref'.length);
+        while (true) {
+            const first = lexer.read();
+            if (isCommand(first) && first.cmd === 'trailer') break;
+            const count = lexer.read();
+            if (typeof first !== 'number' || typeof count !== 'number') return null;
+            for (let i = 0; i < count; i++) {
+                const offset = lexer.read();
+                lexer.read(); // geração
+                const type = lexer.read();
+                if (typeof offset !== 'number' || !isCommand(type)) return null;
+                const num = first + i;
+                if (seen.has(num)) continue;
+                seen.add(num);
+                if (type.cmd !== 'n') continue;
+                const objectStart = objectHeaderEnd(offset, num);
+                if (objectStart === -1) return null;
+                offsets.set(num, objectStart);
+            }
+        }
+        const trailer = lexer.read();
+        return trailer instanceof Map ? trailer : null;
+    };
+
+    // Fluxo de referências (PDF 1.5+). Devolve o dicionário dele, que faz
+    // as vezes de trailer, ou null se não for um fluxo de referências.
+    const readXrefStream = (position, seen) => {
+        const lexer = createLexer(data, position);
+        const num = lexer.read();
+        lexer.read(); // geração
+        const keyword = lexer.read();
+        if (typeof num !== 'number' || !isCommand(keyword) || keyword.cmd !== 'obj') return null;
+        const stream = parseObjectAt(lexer.pos);
+        if (!stream?.dict || !isName(stream.dict.get('Type'), 'XRef')) return null;
+
+        const widths = stream.dict.get('W');
+        if (!Array.isArray(widths) || widths.length < 3) return null;
+        const index = stream.dict.get('Index') || [0, stream.dict.get('Size') || 0];
+        const content = decodeStream(stream);
+        const field = (at, width, fallback) => {
+            if (width === 0) return fallback;
+            let value = 0;
+            for (let i = 0; i < width; i++) value = value * 256 + content.charCodeAt(at + i);
+            return value;
+        };
+        const entryLength = widths[0] + widths[1] + widths[2];
+        let at = 0;
+        for (let section = 0; section + 1 < index.length; section += 2) {
+            for (let i = 0; i < index[section + 1] && at + entryLength <= content.length; i++, at += entryLength) {
+                const objectNum = index[section] + i;
+                if (seen.has(objectNum)) continue;
+                seen.add(objectNum);
+                const type = field(at, widths[0], 1);
+                const second = field(at + widths[0], widths[1], 0);
+                if (type === 1) {
+                    const objectStart = objectHeaderEnd(second, objectNum);
+                    if (objectStart === -1) return null;
+                    offsets.set(objectNum, objectStart);
+                } else if (type === 2) {
+                    objectStreamOf.set(objectNum, second);
+                }
+            }
+        }
+        return stream.dict;
+    };
+
+    // Monta o mapa de objetos pela tabela de referências, seguindo startxref
+    // e as atualizações anteriores (/Prev). Assim os corpos dos streams não
+    // precisam ser percorridos. Devolve false se a tabela não servir.
+    const readCrossReferences = () => {
+        const startxref = data.lastIndexOf('startxref');
+        if (startxref === -1) return false;
+        let position = createLexer(data, startxref + 'startxref'.length).read();
+        const seen = new Set();
+        const visited = new Set();
+        while (typeof position === 'number' && position >= 0 && position < data.length && !visited.has(position)) {
+            visited.add(position);
+            const isTable = /\s*xref\b/y;
+            isTable.lastIndex = position;
+            let trailer;
+            if (isTable.test(data)) {
+                trailer = readXrefTable(data.indexOf('xref', position), seen);
+                // Arquivos híbridos guardam parte das referências num fluxo à parte
+                const hybrid = trailer?.get('XRefStm');
+                if (typeof hybrid === 'number' && !readXrefStream(hybrid, seen)) return false;
+            } else {
+                trailer = readXrefStream(position, seen);
+            }
+            if (!trailer) return false;
+            trailers.push(trailer);
+            position = trailer.get('Prev');
+        }
+        return trailers.length > 0 && offsets.size > 0;
+    };
+
+    // Sem tabela utilizável (arquivo danificado ou editado à mão): procura os
+    // objetos no arquivo, pulando os dados dos streams.
+    const scanObjects = () => {
+        const tokenRegex = /(\d+)\s+(\d+)\s+obj\b|\bstream(?:\r\n|\r|\n)/g;
+        let lastObjectStart = 0;
+        let match;
+        while ((match = tokenRegex.exec(data)) !== null) {
+            if (match[1] !== undefined) {
+                // Atualizações incrementais redefinem objetos mais adiante no arquivo
+                offsets.set(parseInt(match[1], 10), match.index + match[0].length);
+                lastObjectStart = match.index;
+                continue;
+            }
+            const start = match.index + match[0].length;
+            const length = /\/Length\s+(\d+)(?![\d.]|\s+\d+\s+R)/.exec(data.slice(lastObjectStart, match.index));
+            const end = length ? start + parseInt(length[1], 10) : -1;
+            const endKeyword = /\s*endstream/y;
+            endKeyword.lastIndex = end;
+            tokenRegex.lastIndex = end >= start && endKeyword.test(data) ? endKeyword.lastIndex : Math.max(data.indexOf('endstream', start), start);
+        }
+    };
+
+    let hasCrossReferences = false;
+    try {
+        hasCrossReferences = readCrossReferences();
+    } catch (e) {
+        hasCrossReferences = false; // fluxo de referências ilegível: procura os objetos
+    }
+    if (!hasCrossReferences) {
+        offsets.clear();
+        trailers.length = 0;
+        objectStreamOf.clear();
+        scanObjects();
+    }
+    cache.clear();
+
+    // Registra os objetos dos fluxos de objetos (PDF 1.5+), sem lê-los ainda
+    for (const num of offsets.keys()) {
+        const offset = offsets.get(num);
+        const header = data.slice(offset, offset + 300);
+        if (!/\/Type\s*\/ObjStm/.test(header) && !/\/ObjStm/.test(header)) continue;
+        const stream = getObject(num);
+        if (!stream?.dict || !isName(stream.dict.get('Type'), 'ObjStm')) continue;
+
+        let content;
+        try {
+            content = decodeStream(stream);
+        } catch (e) {
+            continue;
+        }
+        const count = stream.dict.get('N') || 0;
+        const first = stream.dict.get('First') || 0;
+        const headerLexer = createLexer(content, 0);
+        for (let i = 0; i < count; i++) {
+            const objectNum = headerLexer.read();
+            const relativeOffset = headerLexer.read();
+            if (typeof objectNum !== 'number' || typeof relativeOffset !== 'number') break;
+            if (offsets.has(objectNum) || compressed.has(objectNum)) continue;
+            // Versão antiga de um objeto que a tabela diz estar em outro fluxo
+            if (objectStreamOf.has(objectNum) && objectStreamOf.get(objectNum) !== num) continue;
+            compressed.set(objectNum, () => createLexer(content, first + relativeOffset).read());
+        }
+    }
+
+    // Catálogo: pelo trailer clássico ou pelo dicionário do fluxo de referências
+    const findRoot = () => {
+        const latestTrailer = trailers.find(dict => dict.get('Root'));
+        if (latestTrailer) {
+            if (trailers.some(dict => dict.get('Encrypt'))) throw new Error("PDF protegido por senha ou criptografado.");
+            return resolve(latestTrailer.get('Root'));
+        }
+        let position = data.lastIndexOf('trailer');
+        while (position !== -1) {
+            const trailer = createLexer(data, position + 'trailer'.length).read();
+            if (trailer instanceof Map && trailer.get('Root')) {
+                if (trailer.get('Encrypt')) throw new Error("PDF protegido por senha ou criptografado.");
+                return resolve(trailer.get('Root'));
+            }
+            position = data.lastIndexOf('trailer', position - 1);
+        }
+        for (const num of [...offsets.keys()].reverse()) {
+            const object = getObject(num);
+            const dict = object?.dict || object;
+            if (!(dict instanceof Map)) continue;
+            if (isName(dict.get('Type'), 'XRef') && dict.get('Root')) {
+                if (dict.get('Encrypt')) throw new Error("PDF protegido por senha ou criptografado.");
+                return resolve(dict.get('Root'));
+            }
+        }
+        for (const num of [...offsets.keys(), ...compressed.keys()]) {
+            const object = getObject(num);
+            if (object instanceof Map && isName(object.get('Type'), 'Catalog')) return object;
+        }
+        return null;
+    };
+
+    const catalog = findRoot();
+    const pagesRoot = catalog instanceof Map ? resolve(catalog.get('Pages')) : null;
+    if (!(pagesRoot instanceof Map)) {
+        throw new Error("Não foi possível encontrar as páginas do PDF.");
+    }
+
+    // Páginas em ordem, com os atributos herdados já aplicados
+    const pages = [];
+    const visited = new Set();
+    const collectPages = (node, inherited) => {
+        if (!(node instanceof Map) || visited.has(node)) return;
+        visited.add(node);
+        const attributes = {
+            resources: resolve(node.get('Resources')) || inherited.resources,
+            mediaBox: resolve(node.get('MediaBox')) || inherited.mediaBox,
+            cropBox: resolve(node.get('CropBox')) || inherited.cropBox,
+            rotate: resolve(node.get('Rotate')) ?? inherited.rotate,
+        };
+        const kids = resolve(node.get('Kids'));
+        if (Array.isArray(kids)) {
+            kids.forEach(kid => collectPages(resolve(kid), attributes));
+        } else {
+            pages.push({ dict: node, ...attributes });
+        }
+    };
+    collectPages(pagesRoot, {});
+
+    return { pages, resolve, decodeStream, fontCache: new Map() };
+};
+
+export const getPageCount = (doc) => doc.pages.length;
+
+// --- Fontes ---
+
+// WinAnsiEncoding: igual ao Latin-1, exceto a faixa 128–159
+const WIN_ANSI_HIGH = {
+    128: '€', 130: '‚', 131: 'ƒ', 132: '„', 133: '…', 134: '†', 135: '‡',
+    136: 'ˆ', 137: '‰', 138: 'Š', 139: '‹', 140: 'Œ', 142: 'Ž', 145: '‘',
+    146: '’', 147: '“', 148: '”', 149: '•', 150: '–', 151: '—', 152: '˜',
+    153: '™', 154: 'š', 155: '›', 156: 'œ', 158: 'ž', 159: 'Ÿ',
+};
+const winAnsiChar = (code) => WIN_ANSI_HIGH[code] || (code >= 32 && code !== 127 && !(code >= 128 && code < 160) ? String.fromCharCode(code) : '');
+
+// Nomes de glifos mais comuns em /Differences
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+    period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+    seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+    question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_',
+    braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', quoteleft: '‘', quoteright: '’',
+    quotedblleft: '“', quotedblright: '”', endash: '–', emdash: '—', bullet: '•',
+    ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', germandbls: 'ß',
+    ordfeminine: 'ª', ordmasculine: 'º', degree: '°', guillemotleft: '«',
+    guillemotright: '»', exclamdown: '¡', questiondown: '¿', section: '§',
+    paragraph: '¶', copyright: '©', registered: '®', trademark: '™', Euro: '€',
+    minus: '−', periodcentered: '·', dagger: '†', daggerdbl: '‡', ae: 'æ',
+    AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', dotlessi: 'ı',
+    nbspace: ' ', sfthyphen: '-',
+};
+const ACCENTS = {
+    acute: '́', grave: '̀', circumflex: '̂', tilde: '̃', dieresis: '̈',
+    ring: '̊', cedilla: '̧', caron: '̌',
+};
+
+const glyphNameToUnicode = (glyphName) => {
+    if (GLYPH_NAMES[glyphName] !== undefined) return GLYPH_NAMES[glyphName];
+    if (glyphName.length === 1) return glyphName;
+    const uni = /^uni([0-9A-Fa-f]{4})$/.exec(glyphName) || /^u([0-9A-Fa-f]{4,6})$/.exec(glyphName);
+    if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+    const accented = /^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla|caron)$/.exec(glyphName);
+    if (accented) return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+    return '';
+};
+
+// Código hexadecimal de um CMap (UTF-16BE) para texto
+const utf16HexToString = (hex) => {
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return result;
+};
+
+const binaryToCode = (binary) => {
+    let code = 0;
+    for (let i = 0; i < binary.length; i++) code = code * 256 + binary.charCodeAt(i);
+    return code;
+};
+
+// Lê um CMap ToUnicode: código -> texto
+const parseToUnicode = (content) => {
+    const map = new Map();
+    const lexer = createLexer(content, 0);
+    let mode = null;
+    const tokens = [];
+    while (true) {
+        const value = lexer.read();
+        if (value === undefined) break;
+        if (isCommand(value)) {
+            if (value.cmd === 'beginbfchar' || value.cmd === 'beginbfrange') {
+                mode = value.cmd;
+                tokens.length = 0;
+            } else if (value.cmd === 'endbfchar') {
+                for (let i = 0; i + 1 < tokens.length; i += 2) {
+                    if (typeof tokens[i] === 'string' && typeof tokens[i + 1] === 'string') {
+                        map.set(binaryToCode(tokens[i]), utf16HexToString(bytesToHex(tokens[i + 1])));
+                    }
+                }
+                mode = null;
+            } else if (value.cmd === 'endbfrange') {
+                for (let i = 0; i + 2 < tokens.length; i += 3) {
+                    const low = binaryToCode(tokens[i]);
+                    const high = binaryToCode(tokens[i + 1]);
+                    const target = tokens[i + 2];
+                    if (high - low > 0xffff) continue;
+                    for (let code = low; code <= high; code++) {
+                        if (Array.isArray(target)) {
+                            const item = target[code - low];
+                            if (typeof item === 'string') map.set(code, utf16HexToString(bytesToHex(item)));
+                        } else if (typeof target === 'string') {
+                            // Incrementa o último caractere de destino
+                            const base = utf16HexToString(bytesToHex(target));
+                            const last = base.charCodeAt(base.length - 1) + (code - low);
+                            map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+                        }
+                    }
+                }
+                mode = null;
+            }
+        } else if (mode) {
+            tokens.push(value);
+        }
+    }
+    return map;
+};
+
+const bytesToHex = (binary) => {
+    let hex = '';
+    for (let i = 0; i < binary.length; i++) hex += binary.charCodeAt(i).toString(16).padStart(2, '0');
+    return hex;
+};
+
+const loadFont = (doc, fontRef) => {
+    const key = isRef(fontRef) ? `ref:${fontRef.ref}` : fontRef;
+    if (key && doc.fontCache.has(key)) return doc.fontCache.get(key);
+
+    const { resolve } = doc;
+    const dict = resolve(fontRef);
+    const font = {
+        codeLength: 1,
+        toUnicode: null,
+        encoding: null,
+        widthOf: () => 500,
+        ascent: 0.8,
+        descent: -0.2,
+    };
+    if (!(dict instanceof Map)) return font;
+
+    const toUnicodeStream = resolve(dict.get('ToUnicode'));
+    if (toUnicodeStream?.dict) {
+        try {
+            font.toUnicode = parseToUnicode(doc.decodeStream(toUnicodeStream));
+        } catch (e) {
+            font.toUnicode = null;
+        }
+    }
+
+    let descriptorSource = dict;
+    if (isName(dict.get('Subtype'), 'Type0')) {
+        font.codeLength = 2;
+        const descendant = resolve([].concat(resolve(dict.get('DescendantFonts')) || [])[0]);
+        if (descendant instanceof Map) {
+            descriptorSource = descendant;
+            const defaultWidth = resolve(descendant.get('DW')) ?? 1000;
+            const widths = new Map();
+            const w = resolve(descendant.get('W')) || [];
+            for (let i = 0; i < w.length;) {
+                const first = resolve(w[i]);
+                const next = resolve(w[i + 1]);
+                if (Array.isArray(next)) {
+                    next.forEach((width, offset) => widths.set(first + offset, resolve(width)));
+                    i += 2;
+                } else {
+                    const width = resolve(w[i + 2]);
+                    for (let code = first; code <= next && code - first < 0xffff; code++) widths.set(code, width);
+                    i += 3;
+                }
+            }
+            font.widthOf = (code) => (widths.has(code) ? widths.get(code) : defaultWidth);
+        }
+    } else {
+        const firstChar = resolve(dict.get('FirstChar')) || 0;
+        const widths = resolve(dict.get('Widths'));
+        const descriptor = resolve(dict.get('FontDescriptor'));
+        const missingWidth = descriptor instanceof Map ? resolve(descriptor.get('MissingWidth')) || 500 : 500;
+        if (Array.isArray(widths)) {
+            font.widthOf = (code) => {
+                const width = resolve(widths[code - firstChar]);
+                return typeof width === 'number' && width > 0 ? width : missingWidth;
+            };
+        }
+
+        const encoding = {};
+        const encodingValue = resolve(dict.get('Encoding'));
+        const differences = encodingValue instanceof Map ? resolve(encodingValue.get('Differences')) : null;
+        if (Array.isArray(differences)) {
+            let code = 0;
+            differences.forEach(item => {
+                const value = resolve(item);
+                if (typeof value === 'number') {
+                    code = value;
+                } else if (isName(value)) {
+                    encoding[code++] = glyphNameToUnicode(value.name);
+                }
+            });
+        }
+        font.encoding = encoding;
+    }
+
+    const descriptor = resolve(descriptorSource.get('FontDescriptor'));
+    if (descriptor instanceof Map) {
+        const ascent = resolve(descriptor.get('Ascent'));
+        const descent = resolve(descriptor.get('Descent'));
+        if (typeof ascent === 'number' && ascent > 0) font.ascent = Math.min(ascent / 1000, 1.2);
+        if (typeof descent === 'number' && descent < 0) font.descent = Math.max(descent / 1000, -0.6);
+    }
+
+    if (key) doc.fontCache.set(key, font);
+    return font;
+};
+
+// Texto de um código de caractere; undefined quando a fonte não diz qual é
+const decodeChar = (font, code) => {
+    if (font.toUnicode?.has(code)) return font.toUnicode.get(code);
+    if (font.codeLength === 2) return undefined; // CID sem ToUnicode: o código não diz nada
+    if (font.encoding && font.encoding[code] !== undefined) return font.encoding[code];
+    return winAnsiChar(code);
+};
+
+// --- Interpretação do conteúdo da página ---
+
+const multiply = (m1, m2) => [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5],
+];
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const applyMatrix = (m, x, y) => ({ x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] });
+
+// Percorre o conteúdo e devolve os glifos na ordem em que são desenhados:
+// [{ char, x0, x1, y, height, known }] ou { breakWord: true } nas separações.
+const collectGlyphs = (doc, content, resources, baseMatrix, depth, glyphs) => {
+    const { resolve } = doc;
+    const lexer = createLexer(content, 0);
+    const fonts = resources instanceof Map ? resolve(resources.get('Font')) : null;
+    const xObjects = resources instanceof Map ? resolve(resources.get('XObject')) : null;
+
+    let ctm = baseMatrix;
+    const stack = [];
+    let textState = { font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, hScale: 1, leading: 0, rise: 0 };
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    let operands = [];
+
+    const showText = (text) => {
+        const font = textState.font;
+        if (!font) return;
+        for (let i = 0; i < text.length; i += font.codeLength) {
+            const code = binaryToCode(text.slice(i, i + font.codeLength));
+            const decoded = decodeChar(font, code);
+            const width = font.widthOf(code) / 1000;
+
+            const trm = multiply([textState.fontSize * textState.hScale, 0, 0, textState.fontSize, 0, textState.rise], multiply(tm, ctm));
+            const start = applyMatrix(trm, 0, 0);
+            const end = applyMatrix(trm, width, 0);
+            const height = Math.hypot(trm[2], trm[3]);
+            const isSpace = font.codeLength === 1 && code === 32;
+
+            glyphs.push({
+                char: decoded === undefined ? '�' : decoded,
+                known: decoded !== undefined,
+                x0: Math.min(start.x, end.x),
+                x1: Math.max(start.x, end.x),
+                y: start.y,
+                ascent: font.ascent * height,
+                descent: font.descent * height,
+                height,
+            });
+
+            const advance = (width * textState.fontSize + textState.charSpacing + (isSpace ? textState.wordSpacing : 0)) * textState.hScale;
+            tm = multiply([1, 0, 0, 1, advance, 0], tm);
+        }
+    };
+
+    const nextLine = (tx, ty) => {
+        tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+    };
+
+    while (true) {
+        const token = lexer.read();
+        if (token === undefined) break;
+        if (!isCommand(token)) {
+            operands.push(token);
+            continue;
+        }
+
+        const op = token.cmd;
+        const num = (index) => (typeof operands[index] === 'number' ? operands[index] : 0);
+        switch (op) {
+            case 'q': stack.push({ ctm, textState: { ...textState } }); break;
+            case 'Q': {
+                const saved = stack.pop();
+                if (saved) {
+                    ctm = saved.ctm;
+                    textState = saved.textState;
+                }
+                break;
+            }
+            case 'cm': ctm = multiply([num(0), num(1), num(2), num(3), num(4), num(5)], ctm); break;
+            case 'BT': tm = IDENTITY; tlm = IDENTITY; break;
+            case 'ET': glyphs.push({ breakWord: true }); break;
+            case 'Tf': {
+                const fontName = operands[0];
+                const fontRef = isName(fontName) && fonts instanceof Map ? fonts.get(fontName.name) : null;
+                textState.font = fontRef ? loadFont(doc, fontRef) : null;
+                textState.fontSize = num(1);
+                break;
+            }
+            case 'Tc': textState.charSpacing = num(0); break;
+            case 'Tw': textState.wordSpacing = num(0); break;
+            case 'Tz': textState.hScale = num(0) / 100; break;
+            case 'TL': textState.leading = num(0); break;
+            case 'Ts': textState.rise = num(0); break;
+            case 'Td': nextLine(num(0), num(1)); break;
+            case 'TD': textState.leading = -num(1); nextLine(num(0), num(1)); break;
+            case 'Tm': tlm = [num(0), num(1), num(2), num(3), num(4), num(5)]; tm = tlm; break;
+            case 'T*': nextLine(0, -textState.leading); break;
+            case 'Tj': if (typeof operands[0] === 'string') showText(operands[0]); break;
+            case "'":
+                nextLine(0, -textState.leading);
+                if (typeof operands[0] === 'string') showText(operands[0]);
+                break;
+            case '"':
+                textState.wordSpacing = num(0);
+                textState.charSpacing = num(1);
+                nextLine(0, -textState.leading);
+                if (typeof operands[2] === 'string') showText(operands[2]);
+                break;
+            case 'TJ': {
+                const items = Array.isArray(operands[0]) ? operands[0] : [];
+                items.forEach(item => {
+                    if (typeof item === 'string') {
+                        showText(item);
+                    } else if (typeof item === 'number') {
+                        const shift = (-item / 1000) * textState.fontSize * textState.hScale;
+                        tm = multiply([1, 0, 0, 1, shift, 0], tm);
+                        // Um recuo grande dentro do TJ faz as vezes de espaço
+                        if (item < -200) glyphs.push({ breakWord: true });
+                    }
+                });
+                break;
+            }
+            case 'Do': {
+                const name = operands[0];
+                const xObject = isName(name) && xObjects instanceof Map ? resolve(xObjects.get(name.name)) : null;
+                if (depth < MAX_FORM_DEPTH && xObject?.dict && isName(xObject.dict.get('Subtype'), 'Form')) {
+                    const matrix = resolve(xObject.dict.get('Matrix'));
+                    const formMatrix = Array.isArray(matrix) && matrix.length === 6 ? matrix.map(resolve) : IDENTITY;
+                    const formResources = resolve(xObject.dict.get('Resources')) || resources;
+                    try {
+                        collectGlyphs(doc, doc.decodeStream(xObject), formResources, multiply(formMatrix, ctm), depth + 1, glyphs);
+                    } catch (e) {
+                        // Formulário com filtro desconhecido: segue sem o texto dele
+                    }
+                }
+                break;
+            }
+            case 'BI': {
+                // Imagem embutida: pula os dados binários até EI
+                const end = content.indexOf('EI', lexer.pos);
+                lexer.pos = end === -1 ? content.length : end + 2;
+                break;
+            }
+            default:
+                break;
+        }
+        operands = [];
+    }
+    return glyphs;
+};
+
+// Agrupa os glifos em palavras, separando em espaços, quebras de linha e
+// intervalos horizontais maiores que uma fração da altura da letra.
+const buildWords = (glyphs, toTopDown) => {
+    const words = [];
+    let current = null;
+
+    const finish = () => {
+        if (current && current.text.trim()) {
+            const topLeft = toTopDown(current.x0, current.top);
+            const bottomRight = toTopDown(current.x1, current.bottom);
+            words.push({
+                texto: current.text.trim(),
+                coords: {
+                    x0: Math.min(topLeft.x, bottomRight.x),
+                    y0: Math.min(topLeft.y, bottomRight.y),
+                    x1: Math.max(topLeft.x, bottomRight.x),
+                    y1: Math.max(topLeft.y, bottomRight.y),
+                },
+            });
+        }
+        current = null;
+    };
+
+    let previous = null;
+    glyphs.forEach(glyph => {
+        if (glyph.breakWord) {
+            finish();
+            previous = null;
+            return;
+        }
+        if (/^\s+$/.test(glyph.char) || glyph.char === '') {
+            finish();
+            previous = glyph;
+            return;
+        }
+        if (current && previous) {
+            const sameLine = Math.abs(glyph.y - previous.y) < Math.max(previous.height, glyph.height) * 0.5;
+            const gap = glyph.x0 - previous.x1;
+            const tolerance = Math.max(previous.height, glyph.height) * 0.25;
+            if (!sameLine || gap > tolerance || gap < -Math.max(previous.height, 1)) finish();
+        }
+
+        const top = glyph.y + glyph.ascent;
+        const bottom = glyph.y + glyph.descent;
+        if (!current) {
+            current = { text: '', x0: glyph.x0, x1: glyph.x1, top, bottom, known: 0, total: 0 };
+        }
+        current.text += glyph.char.replace(/\s+/g, '');
+        current.x0 = Math.min(current.x0, glyph.x0);
+        current.x1 = Math.max(current.x1, glyph.x1);
+        current.top = Math.max(current.top, top);
+        current.bottom = Math.min(current.bottom, bottom);
+        previous = glyph;
+    });
+    finish();
+    return words;
+};
+
+// Maior vão em branco entre as palavras ao longo de um eixo, ou null.
+// `start`/`end` dão o intervalo de cada palavra no eixo; o vão precisa ter
+// mais que minGap e deixar pelo menos minSide de conteúdo de cada lado.
+const findWidestGap = (words, start, end, minGap, minSide) => {
+    const sorted = [...words].sort((a, b) => start(a) - start(b));
+    const first = start(sorted[0]);
+    const last = Math.max(...sorted.map(end));
+    let reach = end(sorted[0]);
+    let widest = null;
+    for (let i = 1; i < sorted.length; i++) {
+        const next = start(sorted[i]);
+        const size = next - reach;
+        if (size > minGap && (!widest || size > widest.size) && reach - first >= minSide && last - next >= minSide) {
+            widest = { at: (reach + next) / 2, size };
+        }
+        reach = Math.max(reach, end(sorted[i]));
+    }
+    return widest;
+};
+
+// Palavras de um mesmo bloco, linha a linha e da esquerda para a direita
+const orderByLines = (words) => {
+    const center = (word) => (word.coords.y0 + word.coords.y1) / 2;
+    const lines = [];
+    [...words].sort((a, b) => center(a) - center(b)).forEach(word => {
+        const line = lines[lines.length - 1];
+        const height = word.coords.y1 - word.coords.y0;
+        if (line && Math.abs(center(word) - line.center) < Math.max(height, line.height) * 0.5) {
+            line.words.push(word);
+        } else {
+            lines.push({ center: center(word), height, words: [word] });
+        }
+    });
+    return lines.flatMap(line => line.words.sort((a, b) => a.coords.x0 - b.coords.x0));
+};
+
+// Põe as palavras em ordem de leitura, que nem sempre é a ordem em que o PDF
+// as desenha. A página é cortada nos maiores vãos em branco (XY-cut): um vão
+// vertical largo separa colunas, lidas da esquerda para a direita, e um
+// horizontal separa blocos, lidos de cima para baixo. Colunas estreitas
+// (marcadores de lista, números) não são separadas do texto ao lado.
+const orderWords = (words, lineHeight) => {
+    if (words.length < 2) return words;
+    const column = findWidestGap(words, word => word.coords.x0, word => word.coords.x1, lineHeight, lineHeight * 3);
+    const row = findWidestGap(words, word => word.coords.y0, word => word.coords.y1, 0, 0);
+    if (column && (!row || column.size > row.size)) {
+        return [
+            ...orderWords(words.filter(word => word.coords.x1 <= column.at), lineHeight),
+            ...orderWords(words.filter(word => word.coords.x1 > column.at), lineHeight),
+        ];
+    }
+    if (row) {
+        return [
+            ...orderWords(words.filter(word => word.coords.y1 <= row.at), lineHeight),
+            ...orderWords(words.filter(word => word.coords.y1 > row.at), lineHeight),
+        ];
+    }
+    return orderByLines(words);
+};
+
+// Matriz que leva o espaço do PDF à página como é exibida, já girada por
+// /Rotate (em sentido horário), com a origem no canto inferior esquerdo
+const displayMatrix = (rotation, { left, bottom, right, top }) => {
+    if (rotation === 90) return [0, -1, 1, 0, -bottom, right];
+    if (rotation === 180) return [-1, 0, 0, -1, right, top];
+    if (rotation === 270) return [0, 1, -1, 0, top, -left];
+    return [1, 0, 0, 1, -left, -bottom];
+};
+
+// Extrai o texto de uma página (índice a partir de 0).
+// Devolve null quando a página não tem texto legível e precisa de OCR.
+export const extractPage = (doc, pageIndex) => {
+    const page = doc.pages[pageIndex];
+    if (!page) return null;
+    const { resolve } = doc;
+
+    const box = (Array.isArray(page.cropBox) ? page.cropBox : page.mediaBox) || [0, 0, 612, 792];
+    const [ax, ay, bx, by] = box.map(value => resolve(value) || 0);
+    const bounds = { left: Math.min(ax, bx), bottom: Math.min(ay, by), right: Math.max(ax, bx), top: Math.max(ay, by) };
+    // Páginas deitadas (/Rotate) são lidas como aparecem na tela
+    const rotation = ((Math.round((typeof page.rotate === 'number' ? page.rotate : 0) / 90) * 90) % 360 + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    const width = sideways ? bounds.top - bounds.bottom : bounds.right - bounds.left;
+    const height = sideways ? bounds.right - bounds.left : bounds.top - bounds.bottom;
+
+    const contents = [].concat(resolve(page.dict.get('Contents')) || []).map(resolve).filter(stream => stream?.dict);
+    let content = '';
+    for (const stream of contents) {
+        content += `${doc.decodeStream(stream)}\n`;
+    }
+
+    const glyphs = collectGlyphs(doc, content, page.resources, displayMatrix(rotation, bounds), 0, []);
+    const visible = glyphs.filter(glyph => !glyph.breakWord && glyph.char.trim());
+    if (visible.length === 0) return null;
+    const knownCount = visible.filter(glyph => glyph.known && !/[\u0000-\u001f�]/.test(glyph.char)).length;
+    if (knownCount / visible.length < MIN_VALID_CHAR_RATIO) return null;
+
+    const toTopDown = (x, y) => ({ x, y: height - y });
+    const words = buildWords(glyphs, toTopDown);
+    if (words.length === 0) return null;
+    const heights = words.map(word => word.coords.y1 - word.coords.y0).sort((a, b) => a - b);
+    const palavras = orderWords(words, heights[Math.floor(heights.length / 2)]);
+
+    const texto_completo = palavras.map(word => word.texto).join(' ');
+    return {
+        texto_completo,
+        palavras,
+        dimensoes: { largura: width, altura: height },
+        idioma: detectLanguage(texto_completo),
+        extraido_por_ocr: false,
+    };
+};
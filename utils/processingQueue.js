@@ -0,0 +1,411 @@
+// /Front-and/utils/processingQueue.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+    loadLibrary, loadBook, loadStoredPageIndices, savePageData, updateBookStatus,
+    recordPageFailure, clearPageFailure, markFailedPagesForRetry, setDetectedLanguage,
+} from './libraryManager';
+import { indexPage } from './searchIndex';
+import { fetchPageData } from './apiClient';
+import { createFailedPage } from './pageSchema';
+import { extractLocalPage, ensureServerFile, closeBookDocument } from './bookImporter';
+
+// Fila de processamento dos livros, independente das telas. Os livros são
+// processados um de cada vez, na ordem da fila; as páginas do livro da vez são
+// pedidas em paralelo (até `concurrency` ao mesmo tempo) e gravadas conforme
+// chegam, em qualquer ordem.
+// A ordem fica gravada em QUEUE_KEY; a situação de cada livro fica no
+// próprio status: 'processing' (na fila), 'paused' (na fila, mas pulado)
+// e 'canceled' (fora da fila, com as páginas já obtidas).
+//
+// O texto de cada página é lido primeiro no aparelho; só as páginas que
+// precisam de OCR são pedidas ao servidor (que recebe o PDF na primeira vez).
+//
+// Cada página é tentada até MAX_ATTEMPTS vezes. Se ainda assim falhar, entra
+// no livro uma página vazia no lugar dela (falhou: true) e a falha fica em
+// book.failedPages, para ser tentada de novo depois. Só quando várias páginas
+// seguidas falham o livro inteiro é marcado como 'failed'.
+
+const QUEUE_KEY = '@HearLearn:processingQueue';
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 2000; // ms; dobra a cada nova tentativa
+const MAX_CONSECUTIVE_FAILURES = 3;
+const CONCURRENCY_KEY = '@HearLearn:processingConcurrency';
+const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 6;
+
+let order = [];
+let activeBookId = null;
+const pausedIds = new Set();
+const progress = {}; // { [bookId]: fração de páginas processadas }
+const consecutiveFailures = new Map();
+let concurrency = DEFAULT_CONCURRENCY;
+const listeners = new Set();
+
+let startPromise = null;
+let isWorkerRunning = false;
+
+const saveOrder = async () => {
+    try {
+        await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(order));
+    } catch (e) {
+        console.error("Erro ao gravar a fila de processamento:", e);
+    }
+};
+
+// Estado atual da fila: { order, pausedIds, activeBookId, progress }
+export const getQueueState = () => ({
+    order: [...order],
+    pausedIds: [...pausedIds],
+    activeBookId,
+    progress: { ...progress },
+});
+
+// O ouvinte recebe (estado, evento), onde evento é 'progress' quando só
+// mudou o andamento de um livro e 'status' quando algum livro mudou de situação.
+export const subscribeToQueue = (listener) => {
+    listeners.add(listener);
+    listener(getQueueState(), 'status');
+    return () => listeners.delete(listener);
+};
+
+const notify = (event) => {
+    const state = getQueueState();
+    listeners.forEach(listener => {
+        try {
+            listener(state, event);
+        } catch (e) {
+            console.error("Erro num ouvinte da fila de processamento:", e);
+        }
+    });
+};
+
+const dropFromQueue = (bookId) => {
+    order = order.filter(id => id !== bookId);
+    pausedIds.delete(bookId);
+    consecutiveFailures.delete(bookId);
+};
+
+// `error` (opcional) fica no livro, em processingError, para a tela mostrar
+const failBook = async (bookId, error = null) => {
+    if (!order.includes(bookId)) return;
+    await updateBookStatus(bookId, 'failed', error?.message);
+    dropFromQueue(bookId);
+    await saveOrder();
+    notify('status');
+};
+
+// Quantas páginas podem ser pedidas ao mesmo tempo (1 a MAX_CONCURRENCY)
+export const loadConcurrency = async () => {
+    try {
+        const saved = parseInt(await AsyncStorage.getItem(CONCURRENCY_KEY), 10);
+        if (saved >= 1 && saved <= MAX_CONCURRENCY) concurrency = saved;
+    } catch (e) {
+        console.error("Erro ao carregar o limite de páginas em paralelo:", e);
+    }
+    return concurrency;
+};
+
+// O novo limite vale a partir do próximo lote de páginas
+export const setConcurrency = async (value) => {
+    concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Math.round(value)));
+    await AsyncStorage.setItem(CONCURRENCY_KEY, String(concurrency));
+    return concurrency;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Erros de rede, tempo esgotado e erros do servidor valem nova tentativa;
+// os demais 4xx e as páginas em formato inválido não vão mudar se o pedido for repetido.
+const isRetryable = (error) => !error.invalidPage && (!error.status || error.status >= 500 || error.status === 408 || error.status === 429);
+
+// Pede a página com espera exponencial entre as tentativas.
+// O erro final leva o número de tentativas em `attempts`.
+const fetchPageWithRetry = async (bookId, pageNumber) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fetchPageData(bookId, pageNumber);
+        } catch (error) {
+            if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+                error.attempts = attempt;
+                throw error;
+            }
+            const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+            console.log(`Página ${pageNumber} falhou (tentativa ${attempt}), nova tentativa em ${delay} ms.`);
+            await wait(delay);
+        }
+    }
+};
+
+// Lê a página no aparelho ou, se ela precisar de OCR, pede ao servidor
+const obtainPage = async (book, pageIndex) => {
+    const localPage = await extractLocalPage(book, pageIndex);
+    if (localPage) return localPage;
+    let serverFileId;
+    try {
+        serverFileId = await ensureServerFile(book);
+    } catch (error) {
+        error.attempts = 1;
+        throw error;
+    }
+    return fetchPageWithRetry(serverFileId, pageIndex + 1);
+};
+
+// O livro ainda é o primeiro não pausado da fila?
+const isBookActive = (bookId) => order.find(id => !pausedIds.has(id)) === bookId;
+
+// Executa as tarefas com no máximo `limit` ao mesmo tempo. Quando canContinue()
+// fica falso, as tarefas em andamento terminam e nenhuma outra é iniciada.
+const runPool = async (tasks, limit, canContinue) => {
+    let next = 0;
+    const runNext = async () => {
+        while (next < tasks.length && canContinue()) {
+            const task = tasks[next++];
+            await task();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, runNext));
+};
+
+// Pede uma página que ainda não foi gravada
+const fetchMissingPage = async (book, pageIndex) => {
+    const bookId = book.id_arquivo;
+    let pageData;
+    try {
+        pageData = await obtainPage(book, pageIndex);
+        consecutiveFailures.delete(bookId);
+    } catch (error) {
+        if (!order.includes(bookId)) return; // o livro já saiu da fila
+        console.error(`Erro ao processar página ${pageIndex + 1}:`, error);
+        const failures = (consecutiveFailures.get(bookId) || 0) + 1;
+        consecutiveFailures.set(bookId, failures);
+        if (failures >= Math.max(MAX_CONSECUTIVE_FAILURES, concurrency)) {
+            // Várias páginas seguidas falhando: o problema deve ser o servidor, não a página
+            await failBook(bookId);
+            return;
+        }
+        pageData = createFailedPage(error.message);
+        await recordPageFailure(bookId, pageIndex, error.message, error.attempts);
+    }
+
+    // O livro pode ter sido removido enquanto a página chegava
+    const currentBook = await loadBook(bookId);
+    if (!currentBook) return;
+
+    // A primeira página com idioma reconhecido define o idioma do livro (e a voz do player)
+    if (pageData.idioma && !currentBook.detectedLanguage) {
+        await setDetectedLanguage(bookId, pageData.idioma.split(/[-_]/)[0].toLowerCase());
+    }
+
+    // Checado de novo logo antes de gravar, sem await no meio: quem tira o livro
+    // da fila (forgetBook) vem antes do removeBook, e este passa pela mesma fila
+    // de escrita das páginas, então só apaga depois desta gravação.
+    if (!order.includes(bookId)) return;
+    const storedCount = await savePageData(bookId, pageIndex, pageData);
+    if (storedCount === 0) {
+        // Sem conseguir gravar não adianta continuar pedindo páginas
+        await failBook(bookId);
+        return;
+    }
+    if (!order.includes(bookId)) return;
+    indexPage(bookId, pageIndex, pageData);
+    progress[bookId] = storedCount / book.total_paginas;
+    notify('progress');
+};
+
+// Nova tentativa de uma página que já tinha falhado. Se falhar de novo
+// (inclusive ao gravar), a página sai de `pending` e as tentativas somam
+// às anteriores; só volta à fila por retryFailedPages.
+const retryFailedPage = async (book, pageIndex) => {
+    const bookId = book.id_arquivo;
+    try {
+        const pageData = await obtainPage(book, pageIndex);
+        if (!order.includes(bookId)) return; // o livro saiu da fila (ver fetchMissingPage)
+        if (!(await savePageData(bookId, pageIndex, pageData))) {
+            const error = new Error("Não foi possível gravar a página no aparelho.");
+            error.attempts = 1;
+            throw error;
+        }
+        if (!order.includes(bookId)) return;
+        indexPage(bookId, pageIndex, pageData);
+        await clearPageFailure(bookId, pageIndex);
+    } catch (error) {
+        console.error(`Erro ao reprocessar a página ${pageIndex + 1}:`, error);
+        const previousAttempts = book.failedPages?.[pageIndex]?.attempts || 0;
+        await recordPageFailure(bookId, pageIndex, error.message, previousAttempts + (error.attempts || 1));
+    }
+    notify('progress');
+};
+
+// Pede as páginas que faltam e depois as que falharam e foram marcadas para
+// nova tentativa. Devolve false quando o livro saiu da fila.
+const processBook = async (bookId) => {
+    const book = await loadBook(bookId);
+    if (!book) {
+        console.log(`Processamento cancelado para ${bookId}, livro removido.`);
+        dropFromQueue(bookId);
+        return false;
+    }
+
+    const stored = new Set(await loadStoredPageIndices(bookId));
+    const tasks = [];
+    for (let pageIndex = 0; pageIndex < book.total_paginas; pageIndex++) {
+        if (!stored.has(pageIndex)) tasks.push(() => fetchMissingPage(book, pageIndex));
+    }
+    const failedPages = book.failedPages || {};
+    Object.keys(failedPages)
+        .filter(pageIndex => failedPages[pageIndex].pending)
+        .forEach(pageIndex => tasks.push(() => retryFailedPage(book, Number(pageIndex))));
+
+    if (tasks.length > 0) {
+        await runPool(tasks, concurrency, () => isBookActive(bookId));
+        return order.includes(bookId);
+    }
+
+    await updateBookStatus(bookId, 'ready');
+    const failedCount = Object.keys(failedPages).length;
+    console.log(failedCount > 0
+        ? `Livro ${book.nome_original} processado com ${failedCount} página(s) com falha.`
+        : `Livro ${book.nome_original} processado com sucesso!`);
+    dropFromQueue(bookId);
+    return false;
+};
+
+// Processa a fila enquanto houver livros que não estejam pausados.
+// O livro da vez deixa de receber pedidos novos assim que for pausado,
+// cancelado ou passado para trás por outro livro.
+const runWorker = async () => {
+    if (isWorkerRunning) return;
+    isWorkerRunning = true;
+    try {
+        await loadConcurrency();
+        while (true) {
+            const nextId = order.find(id => !pausedIds.has(id));
+            if (!nextId) break;
+
+            if (activeBookId !== nextId) {
+                activeBookId = nextId;
+                notify('status');
+            }
+            let stillQueued;
+            try {
+                stillQueued = await processBook(nextId);
+            } catch (error) {
+                error.bookId = nextId;
+                throw error;
+            }
+            if (!stillQueued) {
+                await saveOrder();
+                notify('status');
+            }
+        }
+    } finally {
+        activeBookId = null;
+        isWorkerRunning = false;
+        notify('status');
+    }
+};
+
+// As telas não esperam pelo worker: um erro inesperado fica registrado no
+// livro que estava sendo processado, que sai da fila como 'failed', e o
+// restante da fila segue.
+const startWorker = () => {
+    runWorker().catch(async (error) => {
+        console.error("Erro na fila de processamento:", error);
+        if (!error.bookId) return;
+        await failBook(error.bookId, error);
+        startWorker();
+    });
+};
+
+// Lê a fila gravada, acerta-a com a biblioteca e retoma o processamento.
+// Livros em 'processing' que não estejam na fila (bibliotecas antigas)
+// entram no fim dela.
+export const startProcessingQueue = () => {
+    if (!startPromise) {
+        startPromise = (async () => {
+            try {
+                const saved = JSON.parse(await AsyncStorage.getItem(QUEUE_KEY)) || [];
+                const library = await loadLibrary();
+                const booksById = new Map(library.map(book => [book.id_arquivo, book]));
+                const isQueued = (book) => book && (book.status === 'processing' || book.status === 'paused');
+
+                order = saved.filter(id => isQueued(booksById.get(id)));
+                library.forEach(book => {
+                    if (isQueued(book) && !order.includes(book.id_arquivo)) order.push(book.id_arquivo);
+                    if (book.status === 'paused') pausedIds.add(book.id_arquivo);
+                });
+                for (const bookId of order) {
+                    const book = booksById.get(bookId);
+                    if (book.total_paginas > 0) {
+                        progress[bookId] = (await loadStoredPageIndices(bookId)).length / book.total_paginas;
+                    }
+                }
+                await saveOrder();
+            } catch (e) {
+                console.error("Erro ao carregar a fila de processamento:", e);
+            }
+            notify('status');
+            startWorker();
+        })();
+    }
+    return startPromise;
+};
+
+// Coloca um livro no fim da fila (ou retoma um livro cancelado ou com falha)
+export const enqueueBook = async (bookId) => {
+    await startProcessingQueue();
+    if (!order.includes(bookId)) order.push(bookId);
+    pausedIds.delete(bookId);
+    await updateBookStatus(bookId, 'processing');
+    await saveOrder();
+    notify('status');
+    startWorker();
+};
+
+export const pauseBook = async (bookId) => {
+    if (!order.includes(bookId)) return;
+    pausedIds.add(bookId);
+    await updateBookStatus(bookId, 'paused');
+    notify('status');
+};
+
+export const resumeBook = async (bookId) => {
+    if (!order.includes(bookId)) return enqueueBook(bookId);
+    pausedIds.delete(bookId);
+    await updateBookStatus(bookId, 'processing');
+    notify('status');
+    startWorker();
+};
+
+// Volta a pedir as páginas que falharam (e continua as que faltarem)
+export const retryFailedPages = async (bookId) => {
+    await markFailedPagesForRetry(bookId);
+    await enqueueBook(bookId);
+};
+
+// Tira o livro da fila, mantendo as páginas já processadas
+export const cancelBook = async (bookId) => {
+    if (!order.includes(bookId)) return;
+    dropFromQueue(bookId);
+    await updateBookStatus(bookId, 'canceled');
+    await saveOrder();
+    notify('status');
+};
+
+// Passa o livro para o início da fila
+export const prioritizeBook = async (bookId) => {
+    if (!order.includes(bookId)) return;
+    order = [bookId, ...order.filter(id => id !== bookId)];
+    await saveOrder();
+    notify('status');
+};
+
+// Esquece o livro antes de ele ser removido da biblioteca
+export const forgetBook = async (bookId) => {
+    dropFromQueue(bookId);
+    closeBookDocument(bookId);
+    delete progress[bookId];
+    await saveOrder();
+    notify('status');
+};
@@ -0,0 +1,161 @@
+// /Front-and/utils/searchIndex.js
+
+import * as FileSystem from 'expo-file-system';
+import { loadLibrary, loadPageData, loadStoredPageIndices } from './libraryManager';
+import { tokenize, findPhraseMatches, buildSnippet } from './textUtils';
+
+// Índice invertido por livro, guardado em search-index/{id}.json:
+// { pages: [páginas já indexadas], terms: { termo: [índices das páginas onde aparece] } }
+// O índice é construído página a página durante o processamento (indexPage).
+// Antes de cada busca, as páginas gravadas que ainda não estão em `pages`
+// (uma página refeita depois, um índice perdido) são lidas e acrescentadas.
+// A busca consulta só o índice e lê do armazenamento apenas as páginas encontradas.
+
+const INDEX_DIR = `${FileSystem.documentDirectory}search-index/`;
+const MAX_RESULTS = 100;
+
+const getIndexPath = (bookId) => `${INDEX_DIR}${bookId}.json`;
+
+// Índices já lidos nesta execução, para não reler o arquivo a cada página
+const indexCache = new Map();
+// Uma fila por livro, para que páginas indexadas em sequência não se sobrescrevam
+const indexQueues = new Map();
+
+const enqueueForBook = (bookId, task) => {
+    const previous = indexQueues.get(bookId) || Promise.resolve();
+    const result = previous.then(task);
+    indexQueues.set(bookId, result.catch(() => {}));
+    return result;
+};
+
+const readIndex = async (bookId) => {
+    if (indexCache.has(bookId)) return indexCache.get(bookId);
+    try {
+        const filePath = getIndexPath(bookId);
+        const fileInfo = await FileSystem.getInfoAsync(filePath);
+        if (!fileInfo.exists) return null;
+        const index = JSON.parse(await FileSystem.readAsStringAsync(filePath));
+        indexCache.set(bookId, index);
+        return index;
+    } catch (e) {
+        console.error(`Erro ao ler o índice de busca do livro ${bookId}:`, e);
+        return null;
+    }
+};
+
+const writeIndex = async (bookId, index) => {
+    await FileSystem.makeDirectoryAsync(INDEX_DIR, { intermediates: true });
+    await FileSystem.writeAsStringAsync(getIndexPath(bookId), JSON.stringify(index));
+    indexCache.set(bookId, index);
+};
+
+const createIndex = () => ({ pages: [], terms: {} });
+
+const addPageTerms = (index, pageIndex, pageData) => {
+    if (!index.pages.includes(pageIndex)) index.pages.push(pageIndex);
+    const terms = new Set(tokenize(pageData?.texto_completo));
+    for (const term of terms) {
+        const pages = index.terms[term] || (index.terms[term] = []);
+        if (!pages.includes(pageIndex)) pages.push(pageIndex);
+    }
+};
+
+// Índices gravados antes da lista de páginas não dizem o que cobrem: recomeçam
+const readCurrentIndex = async (bookId) => {
+    const index = await readIndex(bookId);
+    return Array.isArray(index?.pages) ? index : createIndex();
+};
+
+// Acrescenta uma página recém-gravada (inclusive as que falharam) ao índice do livro
+export const indexPage = (bookId, pageIndex, pageData) => enqueueForBook(bookId, async () => {
+    try {
+        const index = await readCurrentIndex(bookId);
+        addPageTerms(index, pageIndex, pageData);
+        await writeIndex(bookId, index);
+    } catch (e) {
+        console.error(`Erro ao indexar a página ${pageIndex + 1} do livro ${bookId}:`, e);
+    }
+});
+
+// Garante um índice completo para as páginas já processadas do livro.
+// Devolve null se o livro ainda não tem páginas.
+const ensureBookIndex = (bookId) => enqueueForBook(bookId, async () => {
+    const storedPages = await loadStoredPageIndices(bookId);
+    if (storedPages.length === 0) return null;
+
+    const index = await readCurrentIndex(bookId);
+    const indexedPages = new Set(index.pages);
+    const missingPages = storedPages.filter(pageIndex => !indexedPages.has(pageIndex));
+    if (missingPages.length === 0) return index;
+
+    // Lidas uma de cada vez: só os termos ficam na memória
+    for (const pageIndex of missingPages) {
+        addPageTerms(index, pageIndex, await loadPageData(bookId, pageIndex));
+    }
+    try {
+        await writeIndex(bookId, index);
+    } catch (e) {
+        console.error(`Erro ao gravar o índice de busca do livro ${bookId}:`, e);
+    }
+    return index;
+});
+
+// Passa pela fila do livro: uma indexação já pedida termina antes e não
+// recria o arquivo depois de apagado
+export const removeBookIndex = (bookId) => enqueueForBook(bookId, async () => {
+    indexCache.delete(bookId);
+    try {
+        await FileSystem.deleteAsync(getIndexPath(bookId), { idempotent: true });
+    } catch (e) {
+        console.error(`Erro ao remover o índice de busca do livro ${bookId}:`, e);
+    }
+});
+
+// Páginas candidatas: as que contêm todos os termos (o último como prefixo)
+const findCandidatePages = (index, queryTerms) => {
+    let candidates = null;
+    queryTerms.forEach((term, i) => {
+        const isLast = i === queryTerms.length - 1;
+        const pages = new Set();
+        for (const [indexedTerm, termPages] of Object.entries(index.terms)) {
+            if (isLast ? indexedTerm.startsWith(term) : indexedTerm === term) {
+                termPages.forEach(page => pages.add(page));
+            }
+        }
+        candidates = candidates ? new Set([...candidates].filter(page => pages.has(page))) : pages;
+    });
+    return [...(candidates || [])].sort((a, b) => a - b);
+};
+
+// Busca em todos os livros processados. Cada resultado traz o livro, a página,
+// a posição da ocorrência e um trecho para exibir:
+// { book, pageIndex, wordIndex, wordCount, snippet }
+export const searchLibrary = async (query) => {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    const library = await loadLibrary();
+    const results = [];
+
+    for (const book of library) {
+        const index = await ensureBookIndex(book.id_arquivo);
+        if (!index) continue;
+
+        for (const pageIndex of findCandidatePages(index, queryTerms)) {
+            const text = (await loadPageData(book.id_arquivo, pageIndex))?.texto_completo;
+            const [firstMatch] = findPhraseMatches(text, query);
+            if (!firstMatch) continue; // os termos estão na página, mas não em sequência
+
+            results.push({
+                book,
+                pageIndex,
+                wordIndex: firstMatch.wordIndex,
+                wordCount: firstMatch.wordCount,
+                snippet: buildSnippet(text, firstMatch.wordIndex, firstMatch.wordCount),
+            });
+            if (results.length >= MAX_RESULTS) return results;
+        }
+    }
+
+    return results;
+};
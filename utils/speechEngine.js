@@ -0,0 +1,461 @@
+// /Front-and/utils/speechEngine.js
+
+import * as Speech from 'expo-speech';
+import { splitWords } from './textUtils';
+import { normalizeWords } from './textNormalizer';
+
+// Leitura em voz alta de uma página, frase por frase. O texto é dividido em
+// frases (e as frases em parágrafos), que vão para o Speech.speak uma de cada
+// vez, sempre com a seguinte já na fila para não haver pausa entre elas.
+// Assim a posição é sempre conhecida: pular, mudar a velocidade ou retomar
+// recomeça numa frase, e os limites de palavra de cada frase são convertidos
+// para o índice da palavra na página (o mesmo de splitWords(texto_completo)).
+//
+// Frases: [{ start, end, paragraph }], com start/end (exclusivo) em índices
+// de palavra e paragraph o número do parágrafo na página.
+
+const MAX_SENTENCE_WORDS = 60; // frases maiores são cortadas numa vírgula
+const MIN_SENTENCE_WORDS = 15;
+const LOOKAHEAD = 1; // frases já entregues ao sintetizador além da atual
+const RESTART_THRESHOLD = 2; // palavras; voltar logo no começo da frase vai para a anterior
+
+const SENTENCE_END = /[.!?…]+["'»”’)\]]*$/;
+const CLAUSE_END = /[,;:—]["'»”’)\]]*$/;
+const ABBREVIATIONS = new Set([
+    'sr', 'sra', 'srta', 'dr', 'dra', 'prof', 'profa', 'exmo', 'exma', 'etc', 'ex', 'p', 'pp', 'pág', 'págs',
+    'vol', 'cap', 'fig', 'art', 'nº', 'n', 'no', 'av', 'mr', 'mrs', 'ms', 'st', 'vs', 'e.g', 'i.e', 'cf', 'ed',
+]);
+
+const isAbbreviation = (word) => {
+    const bare = word.replace(/^["'«“‘(\[]+/, '').replace(/[.]+$/, '').toLowerCase();
+    return ABBREVIATIONS.has(bare) || /^[a-zà-ú]$/i.test(bare); // iniciais: "J. R. R."
+};
+
+// A frase só termina se a palavra seguinte não começar em minúscula
+const endsSentence = (word, nextWord) => {
+    if (!SENTENCE_END.test(word)) return false;
+    if (/\.$/.test(word) && isAbbreviation(word)) return false;
+    return !nextWord || !/^["'«“‘(\[]*[a-zà-ú]/.test(nextWord);
+};
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Parágrafos marcados no texto por linhas em branco (livros de texto)
+const findTextParagraphStarts = (text) => {
+    const starts = new Set([0]);
+    let wordIndex = 0;
+    text.trim().split(/(\s+)/).forEach((part, position) => {
+        if (position % 2 === 1) {
+            if (/\n\s*\n/.test(part)) starts.add(wordIndex);
+        } else if (part) {
+            wordIndex += 1;
+        }
+    });
+    return starts;
+};
+
+// Parágrafos pela diagramação (PDFs): um espaço maior entre as linhas, ou uma
+// linha que começa recuada depois de outra que terminou uma frase
+const findLayoutParagraphStarts = (palavras) => {
+    const starts = new Set([0]);
+    const lines = [];
+    palavras.forEach((word, index) => {
+        const previous = palavras[index - 1];
+        const { coords } = word;
+        const isNewLine = !previous || coords.x0 < previous.coords.x0 && coords.y0 >= previous.coords.y1 - (previous.coords.y1 - previous.coords.y0) / 2;
+        if (isNewLine) {
+            lines.push({ first: index, top: coords.y0, bottom: coords.y1, left: coords.x0, right: coords.x1 });
+        } else {
+            const line = lines[lines.length - 1];
+            line.bottom = Math.max(line.bottom, coords.y1);
+            line.right = Math.max(line.right, coords.x1);
+        }
+    });
+    if (lines.length < 3) return starts;
+
+    const steps = lines.slice(1).map((line, i) => line.top - lines[i].top).filter(step => step > 0);
+    const lineStep = median(steps);
+    const lineHeight = median(lines.map(line => line.bottom - line.top));
+    const margin = median(lines.map(line => line.left));
+    lines.forEach((line, i) => {
+        if (i === 0) return;
+        const previous = lines[i - 1];
+        const step = line.top - previous.top;
+        const previousEndsSentence = SENTENCE_END.test(palavras[line.first - 1].texto);
+        const isIndented = line.left > margin + lineHeight;
+        if ((step > 0 && step > lineStep * 1.5) || (previousEndsSentence && isIndented)) starts.add(line.first);
+    });
+    return starts;
+};
+
+const findParagraphStarts = (pageData, wordCount) => {
+    const text = pageData.texto_completo || '';
+    if (/\n\s*\n/.test(text.trim())) return findTextParagraphStarts(text);
+    const palavras = pageData.palavras || [];
+    if (palavras.length === wordCount && palavras.every(word => word.coords)) return findLayoutParagraphStarts(palavras);
+    return new Set([0]);
+};
+
+// Divide a página em frases. Frases longas demais para pular com precisão
+// são cortadas na última vírgula (ou ponto e vírgula) antes do limite.
+export const segmentSentences = (pageData) => {
+    const words = splitWords((pageData?.texto_completo || '').trim()).filter(Boolean);
+    if (words.length === 0) return [];
+    const paragraphStarts = findParagraphStarts(pageData, words.length);
+
+    const sentences = [];
+    let paragraph = 0;
+    let start = 0;
+    const close = (end) => {
+        sentences.push({ start, end, paragraph });
+        start = end;
+    };
+
+    for (let i = 0; i < words.length; i++) {
+        if (i > start && paragraphStarts.has(i)) close(i);
+        if (paragraphStarts.has(i) && i > 0) paragraph += 1;
+        if (i + 1 - start >= MAX_SENTENCE_WORDS) {
+            let cut = i + 1;
+            for (let j = i; j >= start + MIN_SENTENCE_WORDS; j--) {
+                if (CLAUSE_END.test(words[j])) {
+                    cut = j + 1;
+                    break;
+                }
+            }
+            close(cut);
+            i = cut - 1;
+            continue;
+        }
+        if (endsSentence(words[i], words[i + 1]) && !paragraphStarts.has(i + 1)) close(i + 1);
+    }
+    if (start < words.length) close(words.length);
+    return sentences;
+};
+
+// Frases de cada página já usada, para não dividir de novo a cada comando
+const sentenceCache = new WeakMap();
+
+export const getSentences = (pageData) => {
+    if (!pageData) return [];
+    if (!sentenceCache.has(pageData)) sentenceCache.set(pageData, segmentSentences(pageData));
+    return sentenceCache.get(pageData);
+};
+
+const findSentenceIndex = (sentences, wordIndex) => {
+    const index = sentences.findIndex(sentence => wordIndex < sentence.end);
+    return index === -1 ? sentences.length - 1 : index;
+};
+
+// Palavra onde começa o salto de `delta` frases ('sentence') ou parágrafos
+// ('paragraph') a partir de wordIndex. Voltar no começo de uma frase vai para
+// a anterior; no meio dela, para o seu início. Devolve null quando o salto
+// passa do fim da página (quem chama decide ir para a próxima).
+export const findSkipTarget = (pageData, wordIndex, unit, delta) => {
+    const sentences = getSentences(pageData);
+    if (sentences.length === 0) return null;
+    const position = Math.max(wordIndex, 0);
+    const current = findSentenceIndex(sentences, position);
+
+    const starts = unit === 'paragraph'
+        ? sentences.filter((sentence, i) => i === 0 || sentence.paragraph !== sentences[i - 1].paragraph)
+        : sentences;
+    let unitIndex = starts.length - 1;
+    while (unitIndex > 0 && starts[unitIndex].start > sentences[current].start) unitIndex--;
+
+    let target = unitIndex + delta;
+    if (delta < 0 && position - starts[unitIndex].start > RESTART_THRESHOLD) target += 1;
+    if (target >= starts.length) return null;
+    return starts[Math.max(target, 0)].start;
+};
+
+// --- Reprodução ---
+//
+// A fila atravessa as páginas: a página seguinte é pedida (options.loadPage)
+// assim que a leitura entra na última página carregada, e suas frases entram
+// no fim da fila. Uma frase que continua na página seguinte só vai para o
+// sintetizador depois que ela chega, já emendada com o seu final.
+//
+// Cada trecho da fila: { text, words: [{ offset, pageIndex, wordIndex }], open },
+// com offset a posição no texto onde a palavra começa e open indicando que
+// a frase ainda pode continuar na próxima página. O texto é o já normalizado
+// (textNormalizer), mas os índices das palavras continuam os da página.
+//
+// A leitura pode ter um ponto de parada (timer de sono): depois de uma página
+// (options.lastPageIndex) ou no fim da frase atual (stopAfterCurrentSentence).
+
+let session = 0; // cada nova leitura invalida os retornos da anterior
+let playback = null;
+
+const getWords = (pageData) => splitWords((pageData?.texto_completo || '').trim()).filter(Boolean);
+
+// "pala-" seguida de "vra" é lida como uma palavra só
+const isHyphenated = (word, nextWord) => /[a-zà-ú]-$/i.test(word) && /^[a-zà-ú]/.test(nextWord || '');
+
+// Acrescenta ao trecho as palavras [start, end) da página, na forma falada.
+// Palavras que não são ditas (ex: citações) ficam com o offset da seguinte,
+// ou de fora, se abrirem o trecho.
+const appendWords = (item, pageIndex, spokenWords, start, end) => {
+    for (let i = start; i < end; i++) {
+        const spoken = spokenWords[i];
+        if (!spoken && !item.text) continue;
+        const previous = item.words[item.words.length - 1];
+        if (previous && isHyphenated(item.text.slice(previous.offset), spoken)) {
+            item.text = `${item.text.slice(0, -1)}${spoken}`;
+            continue;
+        }
+        if (item.text && spoken) item.text += ' ';
+        item.words.push({ offset: item.text.length, pageIndex, wordIndex: i });
+        item.text += spoken;
+    }
+};
+
+const emitWord = ({ pageIndex, wordIndex }) => {
+    const { options } = playback;
+    if (pageIndex !== playback.pageIndex) {
+        playback.pageIndex = pageIndex;
+        options.onPageChange?.(pageIndex);
+        loadNextPage();
+    }
+    if (playback.wordIndex !== wordIndex) {
+        playback.wordIndex = wordIndex;
+        options.onWord?.(wordIndex, pageIndex);
+    }
+};
+
+// Palavra dita a partir do caractere `charIndex` do trecho
+const wordAtChar = (item, charIndex) => {
+    let position = 0;
+    while (position + 1 < item.words.length && item.words[position + 1].offset <= charIndex) position++;
+    return item.words[position];
+};
+
+// Onde retomar depois de uma parada: a primeira palavra ainda não lida
+const getResumePosition = () => {
+    const { queue, current, pages } = playback;
+    if (!queue[current] && !queue[current - 1]) return null;
+    if (queue[current]) return { pageIndex: queue[current].words[0].pageIndex, wordIndex: queue[current].words[0].wordIndex };
+    const lastWord = queue[current - 1].words[queue[current - 1].words.length - 1];
+    const wordCount = getWords(pages.get(lastWord.pageIndex)).length;
+    return lastWord.wordIndex + 1 < wordCount
+        ? { pageIndex: lastWord.pageIndex, wordIndex: lastWord.wordIndex + 1 }
+        : { pageIndex: lastWord.pageIndex + 1, wordIndex: 0 };
+};
+
+// Encerra a leitura. reason: 'end' (acabaram as páginas) ou 'limit' (ponto de
+// parada); no segundo caso, resumeAt diz onde continuar depois.
+const finish = (reason) => {
+    const { onEnd } = playback.options;
+    const resumeAt = reason === 'limit' ? getResumePosition() : null;
+    stopSpeaking(); // descarta o trecho que já estava entregue ao sintetizador
+    onEnd?.({ reason, resumeAt });
+};
+
+// O trecho ainda pode ser lido antes do ponto de parada?
+const isBeforeStop = (queueIndex) => {
+    const { queue, stopAfterItem, options } = playback;
+    if (stopAfterItem !== null && queueIndex > stopAfterItem) return false;
+    const item = queue[queueIndex];
+    return !item || item.words[0].pageIndex <= (options.lastPageIndex ?? Infinity);
+};
+
+const speakItem = (queueIndex, token) => {
+    const item = playback.queue[queueIndex];
+    const { rate, voice } = playback.options;
+
+    Speech.speak(item.text, {
+        language: voice?.language,
+        voice: voice?.voice,
+        rate,
+        onStart: () => {
+            if (token !== session) return;
+            playback.current = queueIndex;
+            emitWord(item.words[0]);
+        },
+        onBoundary: (event) => {
+            if (token !== session || playback.current !== queueIndex || event.charIndex === undefined) return;
+            emitWord(wordAtChar(item, event.charIndex));
+        },
+        onDone: () => {
+            if (token !== session) return;
+            playback.current = queueIndex + 1;
+            if (!isBeforeStop(queueIndex + 1)) {
+                finish('limit');
+                return;
+            }
+            const next = playback.queue[queueIndex + 1];
+            if (next) {
+                // Sem onStart (alguns aparelhos), o trecho seguinte vira o atual aqui
+                emitWord(next.words[0]);
+            } else if (!playback.hasMore) {
+                finish(playback.endReason);
+                return;
+            }
+            fillSynthesizer();
+        },
+        onError: (error) => {
+            if (token !== session) return;
+            const { onError } = playback.options;
+            stopSpeaking();
+            onError?.(error);
+        },
+    });
+};
+
+// Entrega ao sintetizador os trechos até LOOKAHEAD à frente do atual. Uma
+// frase aberta espera a página seguinte (ou a confirmação de que não há mais).
+const fillSynthesizer = () => {
+    const { queue, token } = playback;
+    while (playback.handed < queue.length && playback.handed <= playback.current + LOOKAHEAD && isBeforeStop(playback.handed)) {
+        const item = queue[playback.handed];
+        if (item.open && playback.hasMore) break;
+        speakItem(playback.handed, token);
+        playback.handed += 1;
+    }
+    if (playback.handed === queue.length && playback.current >= queue.length && !playback.hasMore) finish(playback.endReason);
+};
+
+// Põe as frases da página no fim da fila, emendando a frase aberta da anterior
+const appendPage = (pageIndex, pageData, fromWordIndex = 0) => {
+    const { queue, options } = playback;
+    const pageWords = getWords(pageData);
+    playback.pages.set(pageIndex, pageData);
+    playback.lastPageIndex = pageIndex;
+    if (pageWords.length === 0) return; // páginas sem texto (ex: falharam) são puladas
+    playback.lastTextPageIndex = pageIndex;
+    const spokenWords = normalizeWords(pageWords, { language: options.voice?.language, pronunciations: options.pronunciations });
+
+    const sentences = getSentences(pageData).filter(sentence => sentence.end > fromWordIndex);
+    const last = queue[queue.length - 1];
+    if (last?.open) {
+        last.open = false;
+        // Só emenda se a página começar continuando a frase, e não com um
+        // título, fala ou parágrafo novo
+        const first = sentences[0];
+        const startsNewText = /^["'«“—–-]|^[A-ZÀ-Ú]/.test(pageWords[0] || '');
+        const continues = first?.start === 0 && (isHyphenated(last.text, pageWords[0]) || !startsNewText);
+        if (continues) {
+            appendWords(last, pageIndex, spokenWords, first.start, first.end);
+            last.open = first === sentences[sentences.length - 1] && !SENTENCE_END.test(pageWords[first.end - 1]);
+            sentences.shift();
+        }
+    }
+    sentences.forEach((sentence, i) => {
+        const item = { text: '', words: [], open: false };
+        appendWords(item, pageIndex, spokenWords, Math.max(sentence.start, fromWordIndex), sentence.end);
+        item.open = i === sentences.length - 1 && !SENTENCE_END.test(pageWords[sentence.end - 1]);
+        if (item.text) queue.push(item); // frases só de citações não têm o que ler
+    });
+};
+
+// Pede a próxima página quando a leitura chega à última carregada com texto
+const loadNextPage = () => {
+    if (!playback || playback.isLoading || !playback.hasMore || playback.pageIndex < playback.lastTextPageIndex) return;
+    const { token, options } = playback;
+    const pageIndex = playback.lastPageIndex + 1;
+    if (pageIndex > (options.lastPageIndex ?? Infinity)) {
+        playback.hasMore = false;
+        playback.endReason = 'limit';
+        return;
+    }
+    playback.isLoading = true;
+
+    Promise.resolve(options.loadPage ? options.loadPage(pageIndex) : null)
+        .catch((e) => {
+            console.error(`Erro ao carregar a página ${pageIndex + 1} para a leitura:`, e);
+            return null;
+        })
+        .then((pageData) => {
+            if (token !== session) return;
+            playback.isLoading = false;
+            if (!pageData) {
+                playback.hasMore = false;
+            } else {
+                appendPage(pageIndex, pageData);
+                loadNextPage(); // só pede outra se esta não tinha texto
+            }
+            fillSynthesizer();
+        });
+};
+
+// Lê a partir da palavra `fromWordIndex` da página (no meio de uma frase,
+// começa exatamente nela) e segue pelas páginas seguintes. options:
+//   pageIndex            índice da página no livro
+//   loadPage(pageIndex)  página seguinte (ou promessa dela); null no fim do livro
+//   lastPageIndex        última página a ler (opcional, para o timer de sono)
+//   rate, voice          velocidade e { language, voice } do voiceManager
+//   pronunciations       dicionário de pronúncias do usuário (textNormalizer)
+//   onWord(wordIndex, pageIndex), onPageChange(pageIndex), onError(error)
+//   onEnd({ reason, resumeAt })  ver finish()
+// Devolve false quando não há nada para ler a partir dali.
+export const speakPage = (pageData, fromWordIndex, options) => {
+    stopSpeaking();
+    const from = Math.max(fromWordIndex || 0, 0);
+    if (from >= getWords(pageData).length) return false;
+
+    const pageIndex = options.pageIndex ?? 0;
+    playback = {
+        token: ++session,
+        options,
+        queue: [],
+        pages: new Map(),
+        current: 0,
+        handed: 0,
+        pageIndex,
+        lastPageIndex: pageIndex,
+        lastTextPageIndex: pageIndex,
+        wordIndex: -1,
+        hasMore: true,
+        isLoading: false,
+        endReason: 'end',
+        stopAfterItem: null,
+    };
+    appendPage(pageIndex, pageData, from);
+    if (playback.queue[0]) emitWord(playback.queue[0].words[0]);
+    loadNextPage();
+    fillSynthesizer();
+    return true;
+};
+
+export const stopSpeaking = () => {
+    session += 1;
+    playback = null;
+    Speech.stop();
+};
+
+export const isSpeaking = () => playback !== null;
+
+// Muda a última página a ler durante a leitura (null tira o limite).
+// Cancela também uma parada pedida com stopAfterCurrentSentence.
+export const setLastPageIndex = (pageIndex) => {
+    if (!playback) return;
+    playback.stopAfterItem = null;
+    playback.options = { ...playback.options, lastPageIndex: pageIndex ?? undefined };
+    if (playback.endReason === 'limit' && pageIndex == null) {
+        playback.hasMore = true;
+        playback.endReason = 'end';
+    }
+    loadNextPage();
+    fillSynthesizer();
+};
+
+// Para no fim da frase que está sendo lida, em vez de cortar no meio.
+// Devolve false se não havia leitura em andamento.
+export const stopAfterCurrentSentence = () => {
+    if (!playback) return false;
+    playback.stopAfterItem = playback.current;
+    return true;
+};
+
+// Troca a velocidade ou a voz durante a leitura, recomeçando a frase atual
+export const updateSpeechOptions = (changes) => {
+    if (!playback) return;
+    const { queue, current, pages, options } = playback;
+    const item = queue[current] || queue[queue.length - 1];
+    if (!item) return;
+    const { pageIndex, wordIndex } = item.words[0];
+    speakPage(pages.get(pageIndex), wordIndex, { ...options, ...changes, pageIndex });
+};
@@ -0,0 +1,167 @@
+// /Front-and/utils/textBookParser.js
+
+import { splitWords } from './textUtils';
+import { detectLanguage } from './languageDetector';
+import { DEFAULT_PAGE_DIMENSIONS } from './pageSchema';
+
+// Conversão de livros só de texto (TXT, Markdown e o conteúdo dos EPUBs) em
+// páginas no formato de pageSchema. O texto é redistribuído em páginas de
+// tamanho parecido, quebrando de preferência no fim de um parágrafo; cada
+// capítulo começa numa página nova e as páginas levam o título em `capitulo`.
+//
+// Os parsers devolvem capítulos no formato { titulo, paragrafos: [string] }.
+
+const TARGET_WORDS_PER_PAGE = 250;
+const MAX_WORDS_PER_PAGE = 350;
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Divide em parágrafos (separados por linhas em branco), já sem quebras internas
+const splitParagraphs = (text) => text
+    .split(/\n\s*\n/)
+    .map(collapseWhitespace)
+    .filter(Boolean);
+
+// Linha isolada que anuncia um capítulo ("Capítulo 3", "CHAPTER IV - O mar", "Parte um")
+const CHAPTER_HEADING = /^(cap[ií]tulo|chapter|parte|part|livro|book)\s+([0-9]+|[ivxlcdm]+|[a-zà-ú]+)\b.{0,80}$/i;
+
+const newChapter = (titulo) => ({ titulo, paragrafos: [] });
+
+// Remove capítulos vazios (ex: o trecho antes do primeiro título)
+const keepNonEmpty = (chapters) => chapters.filter(chapter => chapter.paragrafos.length > 0);
+
+export const parsePlainText = (text) => {
+    const chapters = [newChapter(null)];
+    splitParagraphs(text.replace(/\r\n?/g, '\n')).forEach(paragraph => {
+        if (CHAPTER_HEADING.test(paragraph)) {
+            chapters.push(newChapter(paragraph));
+        } else {
+            chapters[chapters.length - 1].paragrafos.push(paragraph);
+        }
+    });
+    return keepNonEmpty(chapters);
+};
+
+// Tira a marcação de uma linha de Markdown, deixando só o texto que é lido
+const stripInlineMarkdown = (line) => line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // imagens: fica o texto alternativo
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links: fica o texto do link
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=[^\w*]|$)/g, '$1$2');
+
+// Títulos de nível 1 e 2 abrem capítulos; os demais viram parágrafos
+export const parseMarkdown = (text) => {
+    const chapters = [newChapter(null)];
+    let paragraph = [];
+    let inCodeBlock = false;
+
+    const flush = () => {
+        const content = collapseWhitespace(paragraph.join(' '));
+        if (content) chapters[chapters.length - 1].paragrafos.push(content);
+        paragraph = [];
+    };
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+        if (/^\s*(```|~~~)/.test(rawLine)) {
+            flush();
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            paragraph.push(rawLine);
+            return;
+        }
+
+        const line = rawLine.trim();
+        const heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+        if (heading) {
+            flush();
+            const title = collapseWhitespace(stripInlineMarkdown(heading[2]));
+            if (heading[1].length <= 2) {
+                chapters.push(newChapter(title));
+            } else if (title) {
+                chapters[chapters.length - 1].paragrafos.push(title);
+            }
+            return;
+        }
+        if (!line || /^([-*_]\s*){3,}$/.test(line)) {
+            flush();
+            return;
+        }
+        // Itens de lista e citações contam como parágrafos próprios
+        const listItem = /^([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+        if (listItem) {
+            flush();
+            paragraph.push(stripInlineMarkdown(listItem[2]));
+            flush();
+            return;
+        }
+        paragraph.push(stripInlineMarkdown(line.replace(/^>\s?/, '')));
+    });
+    flush();
+    return keepNonEmpty(chapters);
+};
+
+// Os parágrafos ficam separados por linhas em branco no texto, para a
+// leitura poder pular de um para o outro (speechEngine)
+const buildPage = (words, paragraphStarts, titulo, idioma) => ({
+    texto_completo: words.map((word, i) => (i === 0 ? word : `${paragraphStarts.has(i) ? '\n\n' : ' '}${word}`)).join(''),
+    palavras: words.map(texto => ({ texto, coords: null })),
+    dimensoes: { ...DEFAULT_PAGE_DIMENSIONS },
+    idioma,
+    extraido_por_ocr: false,
+    capitulo: titulo,
+});
+
+// Distribui os capítulos em páginas. Devolve { pages, chapters }, onde
+// chapters é [{ titulo, pageIndex }] com a primeira página de cada capítulo.
+export const paginateChapters = (chapters) => {
+    const sample = chapters.flatMap(chapter => chapter.paragrafos).slice(0, 50).join(' ');
+    const idioma = detectLanguage(sample);
+    const pages = [];
+    const index = [];
+
+    chapters.forEach((chapter, chapterNumber) => {
+        const titulo = chapter.titulo || (chapters.length > 1 ? `Capítulo ${chapterNumber + 1}` : null);
+        index.push({ titulo, pageIndex: pages.length });
+
+        // O título abre a primeira página do capítulo e não fica sozinho nela
+        let words = titulo && chapter.titulo ? splitWords(titulo) : [];
+        let titleLength = words.length;
+        let paragraphStarts = new Set();
+        const pushPage = () => {
+            if (words.length > 0) pages.push(buildPage(words, paragraphStarts, titulo, idioma));
+            words = [];
+            titleLength = 0;
+            paragraphStarts = new Set();
+        };
+
+        chapter.paragrafos.forEach(paragraph => {
+            const paragraphWords = splitWords(paragraph).filter(Boolean);
+            if (words.length > titleLength && words.length + paragraphWords.length > MAX_WORDS_PER_PAGE) pushPage();
+            paragraphStarts.add(words.length);
+            // Parágrafos maiores que uma página são cortados no fim de uma frase, se houver
+            let remaining = paragraphWords;
+            while (words.length + remaining.length > MAX_WORDS_PER_PAGE) {
+                const room = MAX_WORDS_PER_PAGE - words.length;
+                let cut = room;
+                for (let i = room; i > room / 2; i--) {
+                    if (/[.!?…]["»”]?$/.test(remaining[i - 1])) {
+                        cut = i;
+                        break;
+                    }
+                }
+                words.push(...remaining.slice(0, cut));
+                remaining = remaining.slice(cut);
+                pushPage();
+            }
+            words.push(...remaining);
+            if (words.length >= TARGET_WORDS_PER_PAGE) pushPage();
+        });
+        pushPage();
+    });
+
+    return { pages, chapters: index.filter(chapter => chapter.pageIndex < pages.length) };
+};
@@ -0,0 +1,204 @@
+// /Front-and/utils/textNormalizer.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Ajustes no texto antes de ir para o sintetizador: citações ("[12]") somem,
+// endereços, abreviaturas, unidades e algarismos romanos viram palavras, e o
+// dicionário de pronúncias do usuário (termo → forma falada) vale antes de
+// tudo. Cada palavra de splitWords(texto_completo) vira exatamente uma forma
+// falada (às vezes vazia), então o destaque continua nos índices originais.
+
+const PRONUNCIATIONS_KEY = '@HearLearn:pronunciations';
+
+const DEFAULT_LANGUAGE = 'pt';
+
+const ABBREVIATIONS = {
+    pt: {
+        'p.': 'página', 'pp.': 'páginas', 'pág.': 'página', 'págs.': 'páginas', 'fig.': 'figura', 'figs.': 'figuras',
+        'cap.': 'capítulo', 'vol.': 'volume', 'ed.': 'edição', 'séc.': 'século', 'tab.': 'tabela', 'eq.': 'equação',
+        'ex.': 'exemplo', 'etc.': 'etcétera', 'cf.': 'confira', 'nº': 'número', 'n.º': 'número', 'sr.': 'senhor',
+        'sra.': 'senhora', 'dr.': 'doutor', 'dra.': 'doutora', 'prof.': 'professor', 'profa.': 'professora',
+    },
+    en: {
+        'p.': 'page', 'pp.': 'pages', 'fig.': 'figure', 'figs.': 'figures', 'ch.': 'chapter', 'vol.': 'volume',
+        'ed.': 'edition', 'eq.': 'equation', 'no.': 'number', 'e.g.': 'for example', 'i.e.': 'that is',
+        'etc.': 'et cetera', 'cf.': 'compare', 'vs.': 'versus', 'mr.': 'mister', 'mrs.': 'missus', 'dr.': 'doctor',
+        'prof.': 'professor',
+    },
+    es: {
+        'p.': 'página', 'pp.': 'páginas', 'pág.': 'página', 'fig.': 'figura', 'cap.': 'capítulo', 'vol.': 'volumen',
+        'ed.': 'edición', 'ej.': 'ejemplo', 'etc.': 'etcétera', 'sr.': 'señor', 'sra.': 'señora', 'dr.': 'doctor',
+        'dra.': 'doctora', 'prof.': 'profesor',
+    },
+};
+
+// [singular, plural]
+const UNITS = {
+    pt: {
+        'km/h': ['quilômetro por hora', 'quilômetros por hora'], km: ['quilômetro', 'quilômetros'], m: ['metro', 'metros'],
+        cm: ['centímetro', 'centímetros'], mm: ['milímetro', 'milímetros'], kg: ['quilograma', 'quilogramas'],
+        g: ['grama', 'gramas'], mg: ['miligrama', 'miligramas'], l: ['litro', 'litros'], ml: ['mililitro', 'mililitros'],
+        h: ['hora', 'horas'], min: ['minuto', 'minutos'], s: ['segundo', 'segundos'], '°c': ['grau Celsius', 'graus Celsius'],
+    },
+    en: {
+        'km/h': ['kilometer per hour', 'kilometers per hour'], km: ['kilometer', 'kilometers'], m: ['meter', 'meters'],
+        cm: ['centimeter', 'centimeters'], mm: ['millimeter', 'millimeters'], kg: ['kilogram', 'kilograms'],
+        g: ['gram', 'grams'], mg: ['milligram', 'milligrams'], l: ['liter', 'liters'], ml: ['milliliter', 'milliliters'],
+        h: ['hour', 'hours'], min: ['minute', 'minutes'], s: ['second', 'seconds'], '°c': ['degree Celsius', 'degrees Celsius'],
+    },
+    es: {
+        'km/h': ['kilómetro por hora', 'kilómetros por hora'], km: ['kilómetro', 'kilómetros'], m: ['metro', 'metros'],
+        cm: ['centímetro', 'centímetros'], mm: ['milímetro', 'milímetros'], kg: ['kilogramo', 'kilogramos'],
+        g: ['gramo', 'gramos'], mg: ['miligramo', 'miligramos'], l: ['litro', 'litros'], ml: ['mililitro', 'mililitros'],
+        h: ['hora', 'horas'], min: ['minuto', 'minutos'], s: ['segundo', 'segundos'], '°c': ['grado Celsius', 'grados Celsius'],
+    },
+};
+
+// Palavras depois das quais "I", "V", "C"... são números ("capítulo IV")
+const ROMAN_CONTEXT = {
+    pt: ['capítulo', 'cap.', 'século', 'séc.', 'parte', 'volume', 'vol.', 'livro', 'tomo', 'ato', 'cena', 'anexo', 'apêndice', 'seção'],
+    en: ['chapter', 'ch.', 'century', 'part', 'volume', 'vol.', 'book', 'act', 'scene', 'appendix', 'section'],
+    es: ['capítulo', 'cap.', 'siglo', 'parte', 'volumen', 'vol.', 'libro', 'tomo', 'acto', 'escena', 'anexo', 'sección'],
+};
+
+const URL_DOT = { pt: 'ponto', en: 'dot', es: 'punto', fr: 'point', de: 'Punkt', it: 'punto' };
+
+const LEADING_PUNCTUATION = /^["'«“‘(]+/;
+const TRAILING_PUNCTUATION = /[,;:!?)"'»”’]+$/;
+const NUMBER = /^\d+(?:[.,]\d+)?$/;
+const ROMAN_NUMERAL = /^M{0,3}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/;
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+// Citações numéricas: "[12]", "[3-5]", e listas quebradas em palavras ("[3," "4]")
+const CITATION = /\[\d+(?:\s*[-–,]\s*\d+)*\]/g;
+const CITATION_START = /^\[\d+(?:[-–]\d+)?,$/;
+const CITATION_MIDDLE = /^\d+(?:[-–]\d+)?,$/;
+const CITATION_END = /^\d+(?:[-–]\d+)?\]/;
+
+// 'pt', 'pt-BR' ou 'pt_BR' → 'pt'
+const toLanguageCode = (tag) => (tag || DEFAULT_LANGUAGE).split(/[-_]/)[0].toLowerCase();
+
+// Separa a pontuação em volta da palavra: { prefix, core, suffix }
+const splitPunctuation = (word) => {
+    const prefix = (LEADING_PUNCTUATION.exec(word) || [''])[0];
+    const rest = word.slice(prefix.length);
+    const suffix = (TRAILING_PUNCTUATION.exec(rest) || [''])[0];
+    return { prefix, core: rest.slice(0, rest.length - suffix.length), suffix };
+};
+
+const keepCase = (original, replacement) => (
+    /^[A-ZÀ-Ú]/.test(original) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement
+);
+
+const romanToNumber = (roman) => {
+    let total = 0;
+    for (let i = 0; i < roman.length; i++) {
+        const value = ROMAN_VALUES[roman[i]];
+        total += value < (ROMAN_VALUES[roman[i + 1]] || 0) ? -value : value;
+    }
+    return total;
+};
+
+const pluralize = (forms, amount) => (Math.abs(Number(amount.replace(',', '.'))) === 1 ? forms[0] : forms[1]);
+
+// "https://www.exemplo.com.br/artigo" → "exemplo ponto com ponto br"
+const speakUrl = (url, language) => {
+    const host = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#]/)[0];
+    return host.split('.').filter(Boolean).join(` ${URL_DOT[language] || URL_DOT.en} `);
+};
+
+// Forma falada de uma palavra, ou null se nenhuma regra se aplica
+const applyRules = (word, previousWord, language) => {
+    const { prefix, core, suffix } = splitPunctuation(word);
+    if (!core) return null;
+
+    if (/^(https?:\/\/|www\.)\S+/i.test(core)) {
+        return `${prefix}${speakUrl(core.replace(/\.$/, ''), language)}${suffix}`;
+    }
+
+    const abbreviation = ABBREVIATIONS[language]?.[core.toLowerCase()];
+    if (abbreviation) return `${prefix}${keepCase(core, abbreviation)}${suffix}`;
+
+    // Daqui em diante o ponto final não faz parte da palavra
+    const bare = core.replace(/\.$/, '');
+    const end = `${core.slice(bare.length)}${suffix}`;
+
+    // "10 km" ou "10km"
+    const units = UNITS[language];
+    if (units && bare) {
+        const attached = /^(\d+(?:[.,]\d+)?)([^\d.,].*)$/.exec(bare);
+        const amount = attached ? attached[1] : previousWord;
+        const forms = units[(attached ? attached[2] : bare).toLowerCase()];
+        if (forms && NUMBER.test(amount || '')) {
+            return `${prefix}${attached ? `${amount} ` : ''}${pluralize(forms, amount)}${end}`;
+        }
+    }
+
+    // Sozinhos, só os de duas letras ou mais feitos de I, V e X ("XIX"):
+    // "CD", "MM" e o "I" do inglês costumam ser outra coisa
+    if (bare && ROMAN_NUMERAL.test(bare)) {
+        const afterContext = (ROMAN_CONTEXT[language] || []).includes((previousWord || '').toLowerCase());
+        if (afterContext || /^[IVX]{2,}$/.test(bare)) {
+            return `${prefix}${romanToNumber(bare)}${end}`;
+        }
+    }
+
+    return null;
+};
+
+// Formas faladas das palavras (mesma ordem e tamanho de `words`). options:
+//   language        idioma ou variante da voz ('pt', 'en-US'...)
+//   pronunciations  dicionário do usuário { termo: forma falada }
+export const normalizeWords = (words, { language, pronunciations = {} } = {}) => {
+    const languageCode = toLanguageCode(language);
+    const dictionary = new Map(Object.entries(pronunciations).map(([term, spoken]) => [term.toLowerCase(), spoken]));
+    let inCitation = false;
+
+    return words.map((word, i) => {
+        if (inCitation) {
+            if (CITATION_MIDDLE.test(word)) return '';
+            inCitation = false;
+            if (CITATION_END.test(word)) return word.replace(CITATION_END, '').replace(/^[.,;:!?]+$/, '');
+        }
+        if (CITATION_START.test(word)) {
+            inCitation = true;
+            return '';
+        }
+
+        const withoutCitations = word.replace(CITATION, '');
+        if (withoutCitations !== word && !/[\p{L}\p{N}]/u.test(withoutCitations)) return '';
+
+        const { prefix, core, suffix } = splitPunctuation(withoutCitations);
+        const custom = dictionary.get(core.toLowerCase()) ?? dictionary.get(core.replace(/\.$/, '').toLowerCase());
+        if (custom !== undefined) return `${prefix}${custom}${suffix}`;
+
+        const previousWord = splitPunctuation(words[i - 1] || '').core;
+        return applyRules(withoutCitations, previousWord, languageCode) ?? withoutCitations;
+    });
+};
+
+export const loadPronunciations = async () => {
+    try {
+        const saved = await AsyncStorage.getItem(PRONUNCIATIONS_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+        console.error("Erro ao carregar o dicionário de pronúncias:", e);
+        return {};
+    }
+};
+
+const savePronunciations = async (pronunciations) => {
+    await AsyncStorage.setItem(PRONUNCIATIONS_KEY, JSON.stringify(pronunciations));
+    return pronunciations;
+};
+
+// Guarda (ou troca) a forma falada de um termo. Devolve o dicionário atualizado.
+export const setPronunciation = async (term, spoken) => {
+    const pronunciations = await loadPronunciations();
+    return savePronunciations({ ...pronunciations, [term.trim()]: spoken.trim() });
+};
+
+export const removePronunciation = async (term) => {
+    const { [term]: removed, ...pronunciations } = await loadPronunciations();
+    return savePronunciations(pronunciations);
+};
@@ -0,0 +1,83 @@
+// /Front-and/utils/textUtils.js
+
+// Divide o texto de uma página em palavras. É a mesma divisão usada pela
+// leitura em voz alta, então o índice devolvido aqui corresponde ao
+// currentWordIndex do player e ao índice em pageData.palavras.
+export const splitWords = (text) => (text ? text.split(/\s+/) : []);
+
+// UTF-8 (em string binária, como a que o base-64 devolve) para texto
+export const decodeUtf8 = (binary) => {
+    let result = '';
+    for (let i = 0; i < binary.length;) {
+        const byte = binary.charCodeAt(i);
+        let codePoint = byte;
+        let extra = 0;
+        if (byte >= 0xf0) { codePoint = byte & 0x07; extra = 3; }
+        else if (byte >= 0xe0) { codePoint = byte & 0x0f; extra = 2; }
+        else if (byte >= 0xc0) { codePoint = byte & 0x1f; extra = 1; }
+        for (let j = 1; j <= extra; j++) codePoint = (codePoint << 6) | (binary.charCodeAt(i + j) & 0x3f);
+        result += String.fromCodePoint(codePoint);
+        i += extra + 1;
+    }
+    return result;
+};
+
+// Forma comparável de uma palavra: minúsculas, sem acentos e sem pontuação
+export const normalizeTerm = (word) => (word || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+
+// Termos pesquisáveis de um texto, já normalizados e sem entradas vazias
+export const tokenize = (text) => splitWords(text).map(normalizeTerm).filter(Boolean);
+
+// Procura a frase `query` nas palavras do texto. A última palavra da busca
+// vale como prefixo ("leit" encontra "leitura"). Devolve as ocorrências como
+// { wordIndex, wordCount } em índices de splitWords.
+export const findPhraseMatches = (text, query) => {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    const words = splitWords(text).map(normalizeTerm);
+    const matches = [];
+
+    for (let start = 0; start < words.length; start++) {
+        if (!words[start]) continue;
+        let wordIndex = start;
+        let termIndex = 0;
+
+        while (termIndex < queryTerms.length && wordIndex < words.length) {
+            const word = words[wordIndex];
+            if (!word) { wordIndex++; continue; } // pontuação solta entre as palavras
+            const term = queryTerms[termIndex];
+            const isLast = termIndex === queryTerms.length - 1;
+            if (isLast ? !word.startsWith(term) : word !== term) break;
+            termIndex++;
+            wordIndex++;
+        }
+
+        if (termIndex === queryTerms.length) {
+            matches.push({ wordIndex: start, wordCount: wordIndex - start });
+            start = wordIndex - 1;
+        }
+    }
+
+    return matches;
+};
+
+// Trecho curto em volta de uma ocorrência, para listas de resultados
+export const buildSnippet = (text, wordIndex, wordCount = 1, context = 8) => {
+    const words = splitWords(text);
+    const from = Math.max(0, wordIndex - context);
+    const to = Math.min(words.length, wordIndex + wordCount + context);
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < words.length ? '…' : '';
+    return `${prefix}${words.slice(from, to).join(' ')}${suffix}`;
+};
+
+// Todas as ocorrências da frase num livro, em ordem de leitura:
+// [{ pageIndex, wordIndex, wordCount }]
+export const findInPages = (pages, query) => (pages || []).flatMap((page, pageIndex) =>
+    findPhraseMatches(page?.texto_completo, query).map(match => ({ pageIndex, ...match }))
+);
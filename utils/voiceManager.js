@@ -0,0 +1,92 @@
+// /Front-and/utils/voiceManager.js
+
+import * as Speech from 'expo-speech';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Escolha da voz de leitura conforme o idioma do livro. A preferência é
+// guardada por idioma ({ pt: identifier, en: identifier, ... }); quando não
+// há preferência (ou a voz sumiu do aparelho), usa a primeira voz instalada
+// do idioma, de preferência na variante regional padrão.
+
+const VOICE_PREFERENCES_KEY = '@HearLearn:voicePreferences';
+const LEGACY_VOICE_PREFERENCE_KEY = '@HearLearn:voicePreference'; // só português, versões antigas
+
+export const DEFAULT_LANGUAGE = 'pt';
+
+// Idiomas que o detector reconhece, na ordem em que aparecem nas listas
+export const LANGUAGE_NAMES = {
+    pt: 'Português',
+    en: 'Inglês',
+    es: 'Espanhol',
+    fr: 'Francês',
+    de: 'Alemão',
+    it: 'Italiano',
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+// Variante usada quando não há voz instalada para escolher
+const DEFAULT_LOCALES = {
+    pt: 'pt-BR',
+    en: 'en-US',
+    es: 'es-ES',
+    fr: 'fr-FR',
+    de: 'de-DE',
+    it: 'it-IT',
+};
+
+// Código de duas letras a partir de 'pt', 'pt-BR' ou 'pt_BR'
+const toLanguageCode = (tag) => (tag || '').split(/[-_]/)[0].toLowerCase();
+
+const getDefaultLocale = (language) => DEFAULT_LOCALES[language] || language;
+
+export const getLanguageName = (language) => LANGUAGE_NAMES[language] || (language || '').toUpperCase();
+
+// Idioma em que o livro é lido: o escolhido pelo usuário, senão o detectado
+export const getBookLanguage = (book) => book?.language || book?.detectedLanguage || DEFAULT_LANGUAGE;
+
+export const loadVoicePreferences = async () => {
+    try {
+        const saved = await AsyncStorage.getItem(VOICE_PREFERENCES_KEY);
+        if (saved) return JSON.parse(saved);
+
+        const legacyVoice = await AsyncStorage.getItem(LEGACY_VOICE_PREFERENCE_KEY);
+        return legacyVoice ? { [DEFAULT_LANGUAGE]: legacyVoice } : {};
+    } catch (e) {
+        console.error("Erro ao carregar as preferências de voz:", e);
+        return {};
+    }
+};
+
+export const saveVoicePreference = async (language, voiceIdentifier) => {
+    const preferences = await loadVoicePreferences();
+    const updated = { ...preferences, [language]: voiceIdentifier };
+    await AsyncStorage.setItem(VOICE_PREFERENCES_KEY, JSON.stringify(updated));
+    await AsyncStorage.removeItem(LEGACY_VOICE_PREFERENCE_KEY);
+    return updated;
+};
+
+// Vozes instaladas para o idioma, com as da variante padrão primeiro
+export const getVoicesForLanguage = (voices, language) => {
+    const defaultLocale = getDefaultLocale(language).toLowerCase();
+    const isDefaultLocale = (voice) => voice.language.replace('_', '-').toLowerCase() === defaultLocale;
+    return voices
+        .filter(voice => toLanguageCode(voice.language) === language)
+        .sort((a, b) => Number(isDefaultLocale(b)) - Number(isDefaultLocale(a)));
+};
+
+// Opções de fala para o idioma: { language, voice }, prontas para o Speech.speak.
+// `voice` fica undefined quando o aparelho não tem voz do idioma; o sistema
+// então usa a voz padrão dele para `language`.
+export const resolveVoice = async (language = DEFAULT_LANGUAGE) => {
+    const fallback = { language: getDefaultLocale(language), voice: undefined };
+    try {
+        const [voices, preferences] = await Promise.all([Speech.getAvailableVoicesAsync(), loadVoicePreferences()]);
+        const languageVoices = getVoicesForLanguage(voices, language);
+        const voice = languageVoices.find(v => v.identifier === preferences[language]) || languageVoices[0];
+        return voice ? { language: voice.language, voice: voice.identifier } : fallback;
+    } catch (e) {
+        console.error("Erro ao escolher a voz de leitura:", e);
+        return fallback;
+    }
+};
@@ -0,0 +1,34 @@
+// /Front-and/utils/wordGeometry.js
+
+// Converte um ponto da área do player (em dp) para as coordenadas da página
+// usadas em palavras[].coords, desfazendo a escala e a centralização do PDF.
+export const toPagePoint = (x, y, pdfScale, pdfOffsets) => ({
+    x: (x - pdfOffsets.left) / pdfScale,
+    y: (y - pdfOffsets.top) / pdfScale,
+});
+
+// Distância do ponto até a caixa da palavra (0 quando está dentro dela)
+const distanceToBox = (x, y, coords) => {
+    const dx = x < coords.x0 ? coords.x0 - x : x > coords.x1 ? x - coords.x1 : 0;
+    const dy = y < coords.y0 ? coords.y0 - y : y > coords.y1 ? y - coords.y1 : 0;
+    return Math.hypot(dx, dy);
+};
+
+// Índice da palavra sob o ponto, ou a mais próxima dentro de `tolerance`
+// (nas mesmas unidades das coords). Devolve -1 se nenhuma estiver perto.
+export const findWordAtPoint = (palavras, x, y, tolerance = 0) => {
+    if (!Array.isArray(palavras)) return -1;
+
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    palavras.forEach((word, index) => {
+        if (!word?.coords) return;
+        const distance = distanceToBox(x, y, word.coords);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestIndex = index;
+        }
+    });
+
+    return bestDistance <= tolerance ? bestIndex : -1;
+};